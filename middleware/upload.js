@@ -0,0 +1,60 @@
+const fs = require('fs');
+const multer = require('multer');
+const path = require('path');
+
+// Configure multer for file uploads into the given directory
+const createUpload = (directory) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, directory);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  });
+
+  return multer({
+    storage,
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+      const allowedTypes = /jpeg|jpg|png|pdf/;
+      const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+      const mimetype = allowedTypes.test(file.mimetype);
+
+      if (mimetype && extname) {
+        return cb(null, true);
+      } else {
+        cb(new Error('Only images and PDF files are allowed'));
+      }
+    }
+  });
+};
+
+// Stored file details as kept on receipts and comment attachments
+const describeFile = (file) => ({
+  filename: file.filename,
+  originalName: file.originalname,
+  path: file.path,
+  mimetype: file.mimetype,
+  size: file.size
+});
+
+const upload = createUpload('uploads/receipts/');
+const attachmentUpload = createUpload('uploads/attachments/');
+
+// Data files for imports are read from memory and never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
+
+module.exports = { upload, attachmentUpload, csvUpload, describeFile };
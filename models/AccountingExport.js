@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const EXPORT_FORMATS = ['quickbooks_iif', 'xero_csv', 'journal_csv', 'journal_json'];
+
+const accountingExportSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: EXPORT_FORMATS,
+    required: true
+  },
+  // What was selected: approved expenses dated within a range, or those of
+  // a payment batch
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentBatch',
+    default: null
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // Paid expenses whose realized FX gain or loss was posted, dated by
+  // reimbursement date when a range is selected
+  fxExpenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  currency: {
+    type: String,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  // Net realized FX difference posted, positive for a gain
+  fxGainLoss: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['exported', 'voided'],
+    default: 'exported'
+  },
+  voidReason: {
+    type: String,
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The generated file, kept so it can be downloaded again
+  filename: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+accountingExportSchema.index({ company: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccountingExport', accountingExportSchema);
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
@@ -1,23 +1,48 @@
 const mongoose = require('mongoose');
 
 const approvalSchema = new mongoose.Schema({
+  // Either a single expense or a whole expense report is being approved
   expense: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Expense',
-    required: true
+    required: function() {
+      return !this.report;
+    }
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport',
+    default: null
   },
   approver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set when the approval was routed to a delegate of the chain approver
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  delegation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delegation',
+    default: null
+  },
+  // Who decided; differs from approver when a delegate acted
+  actedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   level: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'escalated', 'changes_requested'],
     default: 'pending'
   },
   comments: {
@@ -47,6 +72,10 @@ const approvalSchema = new mongoose.Schema({
   lastReminderSent: {
     type: Date,
     default: null
+  },
+  escalatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -55,6 +84,7 @@ const approvalSchema = new mongoose.Schema({
 // Index for efficient queries
 approvalSchema.index({ approver: 1, status: 1 });
 approvalSchema.index({ expense: 1, level: 1 });
+approvalSchema.index({ report: 1, level: 1 });
 approvalSchema.index({ dueDate: 1, status: 1 });
 
 module.exports = mongoose.model('Approval', approvalSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'accounting_export.create', 'accounting_export.void',
+  'approval.approve', 'approval.cancel', 'approval.escalate', 'approval.reject', 'approval.request_changes',
+  'category.create', 'category.update', 'category.delete',
+  'comment.create', 'comment.update', 'comment.delete',
+  'company.create', 'company.update',
+  'custom_field.create', 'custom_field.update', 'custom_field.delete',
+  'delegation.create', 'delegation.update', 'delegation.revoke',
+  'exchange_rate_override.create', 'exchange_rate_override.update', 'exchange_rate_override.delete',
+  'expense.create', 'expense.update', 'expense.submit', 'expense.resubmit', 'expense.withdraw',
+  'expense.approve', 'expense.reject', 'expense.request_changes', 'expense.escalate',
+  'expense.code', 'expense.receipt_upload', 'expense.statement_rate',
+  'merchant.create', 'merchant.update', 'merchant.delete',
+  'payment_batch.create', 'payment_batch.file_generate', 'payment_batch.pay', 'payment_batch.fail', 'payment_batch.reverse',
+  'per_diem_rate.create', 'per_diem_rate.update', 'per_diem_rate.delete', 'per_diem_rate.import',
+  'report.create', 'report.update', 'report.delete', 'report.submit', 'report.resubmit',
+  'report.approve', 'report.reject', 'report.request_changes', 'report.escalate',
+  'user.create', 'user.update', 'user.delete', 'user.bank_account_update', 'user.notification_preferences_update'
+];
+
+// Models whose changes are audited
+const AUDIT_ENTITY_TYPES = [
+  'AccountingExport', 'Approval', 'Comment', 'Company', 'Delegation', 'ExchangeRateOverride',
+  'Expense', 'ExpenseReport', 'Merchant', 'PaymentBatch', 'PerDiemRate', 'User'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // e.g. 'expense.update', 'approval.approve'
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Other entities affected by the change, e.g. the expense of an approval
+  related: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], rejectChange);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// Index for efficient queries
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ related: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
+module.exports.AUDIT_ENTITY_TYPES = AUDIT_ENTITY_TYPES;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Authors may edit or delete their comments for this long after posting
+const COMMENT_EDIT_WINDOW_MINUTES = 15;
+
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  path: String,
+  mimetype: String,
+  size: Number
+});
+
+// A message in the discussion thread of an expense
+const commentSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  attachments: [attachmentSchema],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.methods.isEditableBy = function(user, now = new Date()) {
+  return this.author.toString() === user._id.toString() &&
+    now - this.createdAt <= COMMENT_EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+// Index for efficient queries
+commentSchema.index({ expense: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
+module.exports.COMMENT_EDIT_WINDOW_MINUTES = COMMENT_EDIT_WINDOW_MINUTES;
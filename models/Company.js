@@ -1,5 +1,278 @@
 const mongoose = require('mongoose');
 
+const APPROVAL_STEP_TYPES = [
+  'direct_manager',
+  'department_head',
+  'specific_user',
+  'role',
+  'finance',
+  'group'
+];
+
+const QUORUM_RULES = ['all', 'count', 'percentage', 'any'];
+
+const VEHICLE_TYPES = ['car', 'electric_car', 'motorcycle', 'bicycle', 'van'];
+
+const DISTANCE_UNITS = ['km', 'mi'];
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+// Accounting dimensions an expense is coded with, and the settings list
+// holding the allowed values of each
+const CODING_DIMENSIONS = {
+  glAccount: 'glAccounts',
+  costCenter: 'costCenters',
+  project: 'projects',
+  department: 'departments'
+};
+
+// Categories every company starts with. Keywords let receipt scanning
+// suggest a category from the receipt text.
+const DEFAULT_CATEGORIES = [
+  { code: 'travel', name: 'Travel', keywords: ['taxi', 'uber', 'lyft', 'flight', 'hotel', 'transport', 'travel', 'airline'] },
+  { code: 'meals', name: 'Meals', keywords: ['restaurant', 'food', 'meal', 'lunch', 'dinner', 'breakfast', 'coffee', 'cafe', 'bar', 'pub'] },
+  { code: 'accommodation', name: 'Accommodation', keywords: [] },
+  { code: 'transportation', name: 'Transportation', keywords: ['gas', 'fuel', 'parking', 'metro', 'bus', 'train'] },
+  { code: 'office_supplies', name: 'Office Supplies', keywords: ['office', 'supplies', 'stationery', 'equipment', 'computer', 'software'] },
+  { code: 'entertainment', name: 'Entertainment', keywords: ['movie', 'theater', 'concert', 'entertainment', 'game', 'sports'] },
+  { code: 'utilities', name: 'Utilities', keywords: ['electricity', 'water', 'internet', 'phone', 'utility'] },
+  { code: 'communication', name: 'Communication', keywords: ['phone', 'internet', 'mobile', 'telecom', 'communication'] },
+  { code: 'training', name: 'Training', keywords: [] },
+  { code: 'other', name: 'Other', keywords: [] }
+];
+
+// A single step of an approval chain. Steps are walked in array order.
+const approvalStepSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: APPROVAL_STEP_TYPES,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Used by 'specific_user' steps
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Used by 'role' steps
+  role: {
+    type: String,
+    enum: ['admin', 'manager', 'employee'],
+    default: null
+  },
+  // Used by 'group' steps: every member is asked at once and the step
+  // resolves once the quorum is reached
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  quorum: {
+    rule: {
+      type: String,
+      enum: QUORUM_RULES,
+      default: 'all'
+    },
+    // Approvals needed for the 'count' rule
+    count: {
+      type: Number,
+      default: null
+    },
+    // Share of members needed for the 'percentage' rule
+    percentage: {
+      type: Number,
+      default: null
+    },
+    // Members who must approve whatever the rule, e.g. the CFO
+    mandatory: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }
+}, { _id: false });
+
+// A named alternative chain that routing rules can select
+const namedChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  steps: [approvalStepSchema]
+}, { _id: false });
+
+// Routing rules are evaluated in order when an expense is submitted; the
+// first active rule whose conditions all match decides the route
+const routingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    // Bounds on the amount in company currency
+    minAmount: {
+      type: Number,
+      default: null
+    },
+    maxAmount: {
+      type: Number,
+      default: null
+    },
+    categories: [String],
+    tags: [String],
+    departments: [String],
+    roles: [String]
+  },
+  // Name of an entry in settings.approvalChains; the default chain when empty
+  chain: {
+    type: String,
+    default: null
+  },
+  // Step types or step names to leave out of the chain
+  skipSteps: [String],
+  autoApprove: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Reimbursement rate per unit of distance for one vehicle type. `tiers`
+// lower (or raise) the rate once an employee's claimed distance in the
+// calendar year passes `after` units.
+const mileageRateSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    enum: VEHICLE_TYPES,
+    default: 'car'
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  unit: {
+    type: String,
+    enum: DISTANCE_UNITS,
+    default: 'km'
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tiers: [{
+    _id: false,
+    after: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }]
+});
+
+// An expense category. Expenses store the code, so it cannot change once
+// created; retired categories are deactivated rather than removed.
+const categorySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  glAccount: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  icon: {
+    type: String,
+    default: null
+  },
+  keywords: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// An extra field captured on expenses, e.g. the client entertained. A field
+// applies to the listed categories, or to all when none are listed.
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    default: 'text'
+  },
+  // Choices of a 'select' field
+  options: [String],
+  categories: [String],
+  // Required wherever the field applies
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Categories in which the field is required when it is otherwise optional
+  requiredFor: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// An allowed value of an accounting dimension
+const dimensionValueSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Departments only: cost center their employees' expenses default to
+  costCenter: {
+    type: String,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
 const companySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -54,8 +327,187 @@ const companySchema = new mongoose.Schema({
     maxExpenseAmount: {
       type: Number,
       default: 10000
+    },
+    // Whether policy violations reject a submission or only flag the expense
+    policyEnforcement: {
+      type: String,
+      enum: ['block', 'flag'],
+      default: 'flag'
+    },
+    categoryLimits: [{
+      category: {
+        type: String,
+        required: true
+      },
+      maxAmount: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    dailyLimit: {
+      type: Number,
+      default: null
+    },
+    receiptRequiredAbove: {
+      type: Number,
+      default: null
+    },
+    categories: {
+      type: [categorySchema],
+      default: () => DEFAULT_CATEGORIES.map(category => ({ ...category }))
+    },
+    customFields: [customFieldSchema],
+    // Lists of the values expenses can be coded with. A dimension is only
+    // used once its list has entries.
+    accounting: {
+      glAccounts: [dimensionValueSchema],
+      costCenters: [dimensionValueSchema],
+      projects: [dimensionValueSchema],
+      departments: [dimensionValueSchema],
+      // Dimensions that must be coded before an expense is reimbursed
+      requiredDimensions: {
+        type: [{
+          type: String,
+          enum: Object.keys(CODING_DIMENSIONS)
+        }],
+        default: ['glAccount', 'costCenter', 'department']
+      },
+      // Accounts credited when expenses are exported: what is owed to
+      // employees, and what the company paid directly for expenses that are
+      // not reimbursable
+      payableAccount: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      companyPaidAccount: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      // Accounts realized exchange differences on reimbursements are
+      // posted to
+      fxGainAccount: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      fxLossAccount: {
+        type: String,
+        trim: true,
+        default: null
+      },
+      // Xero reads dates in the organisation's regional format
+      xero: {
+        taxRate: {
+          type: String,
+          default: 'Tax Exempt'
+        },
+        dateFormat: {
+          type: String,
+          enum: ['DD/MM/YYYY', 'MM/DD/YYYY'],
+          default: 'DD/MM/YYYY'
+        }
+      }
+    },
+    // The entry with the latest effectiveFrom on or before the trip applies
+    mileageRates: [mileageRateSchema],
+    // How per-diem allowances are prorated and reduced
+    perDiem: {
+      // Share of the M&IE rate paid on the first and last day of a trip
+      travelDayPercentage: {
+        type: Number,
+        default: 75,
+        min: 0,
+        max: 100
+      },
+      // Share of the M&IE rate deducted for each provided meal, for rates
+      // without their own meal amounts
+      mealDeductions: {
+        breakfast: {
+          type: Number,
+          default: 20,
+          min: 0,
+          max: 100
+        },
+        lunch: {
+          type: Number,
+          default: 30,
+          min: 0,
+          max: 100
+        },
+        dinner: {
+          type: Number,
+          default: 50,
+          min: 0,
+          max: 100
+        }
+      }
+    },
+    approvalChain: [approvalStepSchema],
+    approvalChains: [namedChainSchema],
+    routingRules: [routingRuleSchema],
+    departmentHeads: [{
+      department: String,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    financeApprover: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Hours between reminders to an approver while an approval is pending
+    reminderIntervalHours: {
+      type: Number,
+      default: 24,
+      min: 1
+    },
+    // Days past the due date before an approval is escalated; null disables
+    escalateAfterDays: {
+      type: Number,
+      default: 3,
+      min: 0
+    },
+    // Takes escalations when the approver has no manager
+    escalationFallback: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Outgoing webhook receiving a copy of every notification
+    notificationWebhook: {
+      url: {
+        type: String,
+        default: null
+      },
+      // Signs payloads; only loaded when explicitly selected
+      secret: {
+        type: String,
+        default: null,
+        select: false
+      }
     }
   },
+  // Company bank account and originator details for payment files
+  paymentSettings: {
+    debtorName: String,
+    iban: String,
+    bic: {
+      type: String,
+      uppercase: true
+    },
+    // NACHA ACH originator details
+    achImmediateDestination: String,
+    achImmediateDestinationName: String,
+    achImmediateOrigin: String,
+    achImmediateOriginName: String,
+    achCompanyId: String,
+    achOriginatingDfi: String
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -64,4 +516,22 @@ const companySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Active custom fields that apply to expenses of a category
+companySchema.methods.getCustomFields = function(category) {
+  return (this.settings.customFields || []).filter(field =>
+    field.isActive && (field.categories.length === 0 || field.categories.includes(category))
+  );
+};
+
+companySchema.methods.isCustomFieldRequired = function(field, category) {
+  return field.required || field.requiredFor.includes(category);
+};
+
 module.exports = mongoose.model('Company', companySchema);
+module.exports.APPROVAL_STEP_TYPES = APPROVAL_STEP_TYPES;
+module.exports.QUORUM_RULES = QUORUM_RULES;
+module.exports.VEHICLE_TYPES = VEHICLE_TYPES;
+module.exports.DISTANCE_UNITS = DISTANCE_UNITS;
+module.exports.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+module.exports.CODING_DIMENSIONS = CODING_DIMENSIONS;
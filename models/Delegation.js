@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Lets a delegate approve on behalf of the delegator within a date window
+const delegationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Optional limits on what the delegate may approve
+  scope: {
+    // In company currency
+    maxAmount: {
+      type: Number,
+      default: null
+    },
+    categories: [{
+      type: String
+    }]
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Revoked delegations are kept for the record
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+delegationSchema.index({ delegator: 1, isActive: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ delegate: 1, isActive: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ company: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Rates fetched from the exchange-rate provider for one base currency and
+// day: one unit of base buys rates[currency] of the other currency
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Day the rates are for, at midnight UTC
+  date: {
+    type: Date,
+    required: true
+  },
+  rates: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+exchangeRateSchema.index({ base: 1, date: -1 }, { unique: true });
+exchangeRateSchema.index({ date: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
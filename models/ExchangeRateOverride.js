@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Rate set by a company admin, used instead of provider rates for
+// expenses dated within its effective period
+const exchangeRateOverrideSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  from: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  to: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Units of `to` for one unit of `from`
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Open-ended when null
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+exchangeRateOverrideSchema.index({ company: 1, from: 1, to: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('ExchangeRateOverride', exchangeRateOverrideSchema);
@@ -1,4 +1,122 @@
 const mongoose = require('mongoose');
+const { VEHICLE_TYPES, DISTANCE_UNITS } = require('./Company');
+const moneyService = require('../services/moneyService');
+
+const EXPENSE_KINDS = ['standard', 'mileage', 'per_diem'];
+
+// Drafts may be saved before every field is filled in
+function requiredUnlessDraft() {
+  return this.status !== 'draft';
+}
+
+// A stop on a mileage trip; coordinates allow the distance to be computed
+const locationSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+const mileageSchema = new mongoose.Schema({
+  origin: locationSchema,
+  destination: locationSchema,
+  waypoints: [locationSchema],
+  distance: {
+    type: Number,
+    min: 0
+  },
+  unit: {
+    type: String,
+    enum: DISTANCE_UNITS,
+    default: 'km'
+  },
+  vehicleType: {
+    type: String,
+    enum: VEHICLE_TYPES,
+    default: 'car'
+  },
+  // Whether the distance was entered or computed from the coordinates
+  distanceSource: {
+    type: String,
+    enum: ['manual', 'coordinates'],
+    default: 'manual'
+  },
+  // The rate table entry the amount was computed with
+  rate: {
+    effectiveFrom: Date,
+    currency: String,
+    unit: String,
+    // Distance claimed earlier in the calendar year, in the rate's unit
+    yearToDate: Number,
+    breakdown: [{
+      _id: false,
+      rate: Number,
+      distance: Number,
+      amount: Number
+    }]
+  }
+}, { _id: false });
+
+// A trip claimed as daily allowances
+const perDiemSchema = new mongoose.Schema({
+  // ISO 3166-1 alpha-2 code
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  departureDate: Date,
+  returnDate: Date,
+  // Lodging paid by the company is not claimed
+  lodgingProvided: {
+    type: Boolean,
+    default: false
+  },
+  providedMeals: [{
+    _id: false,
+    date: Date,
+    breakfast: {
+      type: Boolean,
+      default: false
+    },
+    lunch: {
+      type: Boolean,
+      default: false
+    },
+    dinner: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Allowance per day of the trip, from the rate in force that day
+  days: [{
+    _id: false,
+    date: Date,
+    rate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PerDiemRate'
+    },
+    mie: Number,
+    deductions: Number,
+    lodging: Number,
+    amount: Number
+  }]
+}, { _id: false });
 
 const expenseSchema = new mongoose.Schema({
   employee: {
@@ -11,53 +129,140 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Company',
     required: true
   },
+  // Mileage and per-diem expenses are priced by the server
+  kind: {
+    type: String,
+    enum: EXPENSE_KINDS,
+    default: 'standard'
+  },
   amount: {
     type: Number,
-    required: true,
+    required: requiredUnlessDraft,
     min: 0
   },
   currency: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     uppercase: true
   },
   convertedAmount: {
     type: Number,
-    required: true
+    required: requiredUnlessDraft
+  },
+  // amount and convertedAmount in integer minor units of their currency,
+  // kept in step on validation; totals are added up from these
+  amountMinor: {
+    type: Number,
+    default: null
+  },
+  convertedAmountMinor: {
+    type: Number,
+    default: null
   },
   companyCurrency: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     uppercase: true
   },
   exchangeRate: {
     type: Number,
-    required: true
+    required: requiredUnlessDraft
+  },
+  // Day the exchange rate was quoted for and where it came from: a provider
+  // name, or 'manual' for a company override
+  exchangeRateDate: {
+    type: Date,
+    default: null
   },
+  exchangeRateSource: {
+    type: String,
+    default: null
+  },
+  // What the expense actually cost in company currency, against the rate it
+  // was booked at
+  fx: {
+    // Rate from currency to company currency that the employee's card or
+    // bank statement applied
+    statementRate: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Rate the expense is reimbursed at, fixed when it is batched: the
+    // statement rate, otherwise the rate of the reimbursement date
+    settlementRate: {
+      type: Number,
+      default: null
+    },
+    settlementRateDate: {
+      type: Date,
+      default: null
+    },
+    // 'statement', a rate provider name, or 'manual' for a company override
+    settlementRateSource: {
+      type: String,
+      default: null
+    },
+    settledAmount: {
+      type: Number,
+      default: null
+    },
+    // convertedAmount less settledAmount: positive is a gain for the
+    // company, negative a loss
+    gainLoss: {
+      type: Number,
+      default: null
+    }
+  },
+  // Code of one of the company's categories
   category: {
     type: String,
-    required: true,
-    enum: [
-      'travel',
-      'meals',
-      'accommodation',
-      'transportation',
-      'office_supplies',
-      'entertainment',
-      'utilities',
-      'communication',
-      'training',
-      'other'
-    ]
+    required: requiredUnlessDraft,
+    lowercase: true,
+    trim: true
   },
   description: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
     trim: true
   },
   expenseDate: {
     type: Date,
-    required: true
+    required: requiredUnlessDraft
+  },
+  mileage: {
+    type: mileageSchema,
+    default: null
+  },
+  perDiem: {
+    type: perDiemSchema,
+    default: null
+  },
+  // Accounting dimensions, by code from the company's lists. Defaulted from
+  // the category and the employee's department.
+  coding: {
+    glAccount: {
+      type: String,
+      default: null
+    },
+    costCenter: {
+      type: String,
+      default: null
+    },
+    project: {
+      type: String,
+      default: null
+    },
+    department: {
+      type: String,
+      default: null
+    }
+  },
+  // Report this expense is submitted with, if any
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenseReport',
+    default: null
   },
   receipt: {
     filename: String,
@@ -68,9 +273,13 @@ const expenseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'partially_approved'],
+    enum: ['draft', 'pending', 'approved', 'rejected', 'partially_approved', 'changes_requested'],
     default: 'pending'
   },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
   currentApprover: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -84,23 +293,160 @@ const expenseSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // Snapshot of the company approval chain taken at submission, so later
+  // policy changes do not affect expenses already in flight
+  approvalChain: [{
+    level: Number,
+    type: {
+      type: String
+    },
+    name: String,
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'active', 'approved', 'rejected', 'skipped'],
+      default: 'waiting'
+    },
+    // Group steps: each member's decision and the quorum to reach
+    members: [{
+      _id: false,
+      approver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['waiting', 'pending', 'approved', 'rejected', 'cancelled'],
+        default: 'waiting'
+      }
+    }],
+    quorum: {
+      rule: String,
+      count: Number,
+      percentage: Number,
+      mandatory: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }
+  }],
+  // Outcome of the routing rules evaluated at submission
+  routing: {
+    rule: {
+      type: String,
+      default: null
+    },
+    chain: {
+      type: String,
+      default: null
+    },
+    autoApproved: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Policy checks that failed when the expense was last saved
+  policyViolations: [{
+    code: String,
+    message: String,
+    limit: Number,
+    actual: Number
+  }],
+  // What receipt OCR read, kept alongside the values the expense was saved with
   ocrData: {
     extractedText: String,
     merchant: String,
+    // Directory merchant the name was matched to
+    merchantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Merchant',
+      default: null
+    },
     date: Date,
+    currency: String,
+    // Grand total
     amount: Number,
-    confidence: String,
-    processedAt: Date,
+    subtotal: Number,
+    tax: [{
+      _id: false,
+      label: String,
+      // Percentage, e.g. 20 for 20% VAT
+      rate: Number,
+      amount: Number,
+      // Already part of the item prices, as with most VAT
+      included: Boolean
+    }],
+    tip: Number,
     items: [{
+      _id: false,
       description: String,
+      quantity: Number,
+      unitPrice: Number,
       amount: Number
-    }]
+    }],
+    // Whether the items add up to the subtotal; null without items
+    itemsMatchSubtotal: Boolean,
+    // How sure the reading of each field is, from 0 to 1
+    confidence: {
+      merchant: Number,
+      date: Number,
+      currency: Number,
+      amount: Number,
+      subtotal: Number,
+      tax: Number,
+      tip: Number,
+      items: Number,
+      category: Number
+    },
+    processedAt: Date
   },
   tags: [String],
+  // Values of the company's custom fields, by field key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   isReimbursable: {
     type: Boolean,
     default: true
   },
+  reimbursement: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'scheduled', 'paid'],
+      default: 'unpaid'
+    },
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentBatch',
+      default: null
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Accounting export the expense was posted in; cleared when it is voided
+  exportedIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountingExport',
+    default: null
+  },
+  exportedAt: {
+    type: Date,
+    default: null
+  },
+  // Accounting export the realized FX gain or loss was posted in
+  fxExportedIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AccountingExport',
+    default: null
+  },
   rejectionReason: {
     type: String,
     default: null
@@ -110,6 +456,12 @@ const expenseSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // The approver a delegate acted for
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     level: Number,
     approvedAt: Date,
     comments: String
@@ -119,9 +471,49 @@ const expenseSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
     level: Number,
     rejectedAt: Date,
     reason: String
+  }],
+  // Round trips back to the employee for corrections
+  changeRequests: [{
+    level: Number,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    notes: String,
+    // Fields the approver wants corrected, e.g. receipt or category
+    fields: [String],
+    requestedAt: Date,
+    resubmittedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Overdue approvals handed to another approver
+  escalations: [{
+    level: Number,
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    escalatedAt: Date
   }]
 }, {
   timestamps: true
@@ -132,4 +524,60 @@ expenseSchema.index({ employee: 1, status: 1 });
 expenseSchema.index({ company: 1, status: 1 });
 expenseSchema.index({ expenseDate: -1 });
 
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Round amounts to the minor units of their currency and mirror them as
+// integers
+expenseSchema.pre('validate', function(next) {
+  this.amountMinor = null;
+  if (!isBlank(this.amount) && this.currency) {
+    this.amount = moneyService.round(this.amount, this.currency);
+    this.amountMinor = moneyService.toMinor(this.amount, this.currency);
+  }
+
+  this.convertedAmountMinor = null;
+  if (!isBlank(this.convertedAmount) && this.companyCurrency) {
+    this.convertedAmount = moneyService.round(this.convertedAmount, this.companyCurrency);
+    this.convertedAmountMinor = moneyService.toMinor(this.convertedAmount, this.companyCurrency);
+  }
+
+  next();
+});
+
+// Fields a draft must have before it can be submitted
+const SUBMISSION_FIELDS = ['amount', 'currency', 'category', 'description', 'expenseDate'];
+
+// Pass the company to also check its required custom fields
+expenseSchema.methods.getMissingFields = function(company) {
+  const missing = [
+    ...SUBMISSION_FIELDS.filter(field => isBlank(this[field])),
+    ...(company && this.category ? company.getCustomFields(this.category) : [])
+      .filter(field => company.isCustomFieldRequired(field, this.category))
+      .filter(field => isBlank(this.customFields && this.customFields.get(field.key)))
+      .map(field => `customFields.${field.key}`)
+  ];
+
+  // The amount of a mileage expense follows from its distance
+  if (this.kind === 'mileage') {
+    return [
+      ...missing.filter(field => !['amount', 'currency'].includes(field)),
+      ...(isBlank(this.mileage && this.mileage.distance) ? ['mileage.distance'] : [])
+    ];
+  }
+
+  // A per-diem expense is priced from its destination and dates
+  if (this.kind === 'per_diem') {
+    const perDiem = this.perDiem || {};
+    return [
+      ...missing.filter(field => !['amount', 'currency', 'expenseDate'].includes(field)),
+      ...['country', 'departureDate', 'returnDate']
+        .filter(field => isBlank(perDiem[field]))
+        .map(field => `perDiem.${field}`)
+    ];
+  }
+
+  return missing;
+};
+
 module.exports = mongoose.model('Expense', expenseSchema);
+module.exports.EXPENSE_KINDS = EXPENSE_KINDS;
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+
+const expenseReportSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  tripStartDate: {
+    type: Date,
+    default: null
+  },
+  tripEndDate: {
+    type: Date,
+    default: null
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  // Totals of the report lines that have not been rejected
+  totals: [{
+    currency: String,
+    amount: Number
+  }],
+  convertedAmount: {
+    type: Number,
+    default: 0
+  },
+  companyCurrency: {
+    type: String,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'approved', 'rejected', 'changes_requested'],
+    default: 'draft'
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  currentApprover: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvalLevel: {
+    type: Number,
+    default: 1
+  },
+  totalApprovalLevels: {
+    type: Number,
+    default: 0
+  },
+  // Snapshot of the approval chain taken at submission
+  approvalChain: [{
+    level: Number,
+    type: {
+      type: String
+    },
+    name: String,
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'active', 'approved', 'rejected', 'skipped'],
+      default: 'waiting'
+    },
+    // Group steps: each member's decision and the quorum to reach
+    members: [{
+      _id: false,
+      approver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      status: {
+        type: String,
+        enum: ['waiting', 'pending', 'approved', 'rejected', 'cancelled'],
+        default: 'waiting'
+      }
+    }],
+    quorum: {
+      rule: String,
+      count: Number,
+      percentage: Number,
+      mandatory: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }
+  }],
+  routing: {
+    rule: {
+      type: String,
+      default: null
+    },
+    chain: {
+      type: String,
+      default: null
+    },
+    autoApproved: {
+      type: Boolean,
+      default: false
+    }
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  approvedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The approver a delegate acted for
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    level: Number,
+    approvedAt: Date,
+    comments: String
+  }],
+  rejectedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    level: Number,
+    rejectedAt: Date,
+    reason: String
+  }],
+  // Round trips back to the employee for corrections
+  changeRequests: [{
+    level: Number,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    notes: String,
+    // Fields the approver wants corrected, e.g. receipt or category
+    fields: [String],
+    requestedAt: Date,
+    resubmittedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Overdue approvals handed to another approver
+  escalations: [{
+    level: Number,
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    escalatedAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+expenseReportSchema.index({ employee: 1, status: 1 });
+expenseReportSchema.index({ company: 1, status: 1 });
+
+module.exports = mongoose.model('ExpenseReport', expenseReportSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Company merchant directory: receipt OCR maps the merchant names it reads
+// to these entries, by name or alias
+const merchantSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Other spellings found on receipts, e.g. "SBUX" for Starbucks
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Category code given to expenses at this merchant
+  category: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+merchantSchema.index({ company: 1, name: 1 }, { unique: true });
+merchantSchema.index({ company: 1, isActive: 1 });
+
+module.exports = mongoose.model('Merchant', merchantSchema);
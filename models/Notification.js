@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_EVENTS = [
+  'approval_requested',
+  'expense_approved',
+  'expense_rejected',
+  'approval_reminder',
+  'approval_overdue',
+  'approval_escalated',
+  'approval_withdrawn',
+  'changes_requested',
+  'comment_added',
+  'comment_mention'
+];
+
+// In-app inbox entry; email and webhook deliveries are not stored
+const notificationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: NOTIFICATION_EVENTS,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // The expense, report or approval the notification is about
+  entityType: {
+    type: String,
+    default: null
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
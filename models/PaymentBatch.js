@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Approved reimbursable expenses of one employee, paid out together
+const paymentBatchSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expenses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  }],
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // What is paid out: the expenses at their settlement rates
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The expenses at the rates they were booked at, and the realized FX
+  // difference, positive for a gain
+  bookedAmount: {
+    type: Number,
+    default: null
+  },
+  fxGainLoss: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'paid', 'failed', 'reversed'],
+    default: 'scheduled'
+  },
+  scheduledDate: {
+    type: Date,
+    default: Date.now
+  },
+  paymentReference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  paymentDate: {
+    type: Date,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  },
+  reversalReason: {
+    type: String,
+    default: null
+  },
+  reversedAt: {
+    type: Date,
+    default: null
+  },
+  // Bank files this batch was included in
+  paymentFiles: [{
+    format: String,
+    generatedAt: Date,
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+paymentBatchSchema.index({ company: 1, status: 1 });
+paymentBatchSchema.index({ employee: 1, status: 1 });
+
+module.exports = mongoose.model('PaymentBatch', paymentBatchSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Daily travel allowance for a destination. A rate without a city applies
+// to every city of the country that has no rate of its own.
+const perDiemRateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // ISO 3166-1 alpha-2 code
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Per night
+  lodging: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Meals and incidental expenses, per full day
+  mie: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Deducted when the meal is provided; the company's percentages of the
+  // M&IE rate apply when not set
+  meals: {
+    breakfast: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    lunch: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    dinner: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+perDiemRateSchema.index({ company: 1, country: 1, city: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('PerDiemRate', perDiemRateSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Run state of a background job, shared by every server instance so a
+// restart or a second instance does not run a job again before it is due
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  // Set while an instance is running the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
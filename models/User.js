@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const encryptionService = require('../services/encryptionService');
+const { NOTIFICATION_EVENTS } = require('./Notification');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -55,10 +57,75 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Currency of receipts whose currency cannot be told, before the
+  // company's
+  defaultCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
   employeeId: {
     type: String,
     unique: true,
     sparse: true
+  },
+  // Reimbursement account. Account identifiers are encrypted at rest and
+  // only loaded when explicitly selected.
+  bankAccount: {
+    accountHolderName: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    iban: {
+      type: String,
+      default: null,
+      select: false
+    },
+    bic: {
+      type: String,
+      uppercase: true,
+      default: null
+    },
+    routingNumber: {
+      type: String,
+      default: null
+    },
+    accountNumber: {
+      type: String,
+      default: null,
+      select: false
+    },
+    accountType: {
+      type: String,
+      enum: ['checking', 'savings'],
+      default: 'checking'
+    },
+    // Last four characters of the IBAN or account number, for display
+    last4: {
+      type: String,
+      default: null
+    }
+  },
+  // Channels the user wants notifications on, and events they opted out of
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    webhook: {
+      type: Boolean,
+      default: true
+    },
+    mutedEvents: [{
+      type: String,
+      enum: NOTIFICATION_EVENTS
+    }]
   }
 }, {
   timestamps: true
@@ -82,6 +149,37 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Store bank details, encrypting the account identifiers
+userSchema.methods.setBankAccount = function(details) {
+  const iban = details.iban ? details.iban.replace(/\s+/g, '').toUpperCase() : null;
+  const accountNumber = details.accountNumber ? String(details.accountNumber).trim() : null;
+  const identifier = iban || accountNumber;
+
+  this.bankAccount = {
+    accountHolderName: details.accountHolderName || `${this.firstName} ${this.lastName}`,
+    iban: encryptionService.encrypt(iban),
+    bic: details.bic || null,
+    routingNumber: details.routingNumber || null,
+    accountNumber: encryptionService.encrypt(accountNumber),
+    accountType: details.accountType || 'checking',
+    last4: identifier ? identifier.slice(-4) : null
+  };
+};
+
+// Decrypted bank details; the user must be loaded with
+// .select('+bankAccount.iban +bankAccount.accountNumber')
+userSchema.methods.getBankAccount = function() {
+  const account = this.bankAccount || {};
+  return {
+    accountHolderName: account.accountHolderName || null,
+    iban: encryptionService.decrypt(account.iban),
+    bic: account.bic || null,
+    routingNumber: account.routingNumber || null,
+    accountNumber: encryptionService.decrypt(account.accountNumber),
+    accountType: account.accountType || 'checking'
+  };
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -0,0 +1,324 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const AccountingExport = require('../models/AccountingExport');
+const PaymentBatch = require('../models/PaymentBatch');
+const Company = require('../models/Company');
+const { auth, authorize } = require('../middleware/auth');
+const accountingExportService = require('../services/accountingExportService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/accounting-exports:
+ *   get:
+ *     summary: Get accounting exports (Admin only)
+ *     tags: [Accounting Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [exported, voided]
+ *     responses:
+ *       200:
+ *         description: List of accounting exports
+ */
+router.get('/', auth, authorize('admin'), async (req, res) => {
+  try {
+    const query = { company: req.user.company };
+    if (req.query.status) query.status = req.query.status;
+
+    const exports = await AccountingExport.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ exports });
+  } catch (error) {
+    console.error('Get accounting exports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounting-exports:
+ *   post:
+ *     summary: Export approved expenses as journal entries (Admin only)
+ *     description: >
+ *       Exports approved expenses dated within a range, or those of a payment batch, as one balanced
+ *       journal entry per expense in company currency. Expenses already in an export that was not
+ *       voided are skipped, so running an export again never posts an expense twice. Realized FX
+ *       gains and losses of expenses reimbursed within the range, or in the batch, are posted as
+ *       separate entries against the FX gain and loss accounts.
+ *     tags: [Accounting Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [quickbooks_iif, xero_csv, journal_csv, journal_json]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               batch:
+ *                 type: string
+ *                 description: Payment batch to export instead of a date range
+ *     responses:
+ *       201:
+ *         description: Export created; download the file from /api/accounting-exports/{id}/download
+ *       400:
+ *         description: Nothing to export, or accounts are missing; errors lists every problem
+ *       404:
+ *         description: Payment batch not found
+ */
+router.post('/', [
+  auth,
+  authorize('admin'),
+  body('format').isIn(accountingExportService.FORMATS).withMessage('Invalid export format'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('batch').optional().isMongoId().withMessage('Valid payment batch is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, startDate, endDate, batch: batchId } = req.body;
+
+    if (batchId && (startDate || endDate)) {
+      return res.status(400).json({ message: 'Export either a date range or a payment batch' });
+    }
+    if (!batchId && !(startDate && endDate)) {
+      return res.status(400).json({ message: 'A date range or a payment batch is required' });
+    }
+    if (startDate && endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'End date must be on or after the start date' });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    let batch = null;
+    if (batchId) {
+      batch = await PaymentBatch.findOne({ _id: batchId, company: company._id });
+      if (!batch) {
+        return res.status(404).json({ message: 'Payment batch not found' });
+      }
+    }
+
+    let accountingExport;
+    try {
+      accountingExport = await accountingExportService.createExport(company, req.user, {
+        format,
+        startDate,
+        endDate,
+        batch
+      });
+    } catch (error) {
+      if (error instanceof accountingExportService.AccountingExportError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+
+    await auditService.record(req, 'accounting_export.create', accountingExport, null, {
+      related: [...accountingExport.expenses, ...accountingExport.fxExpenses]
+    });
+
+    const { content, ...exportData } = accountingExport.toObject();
+    res.status(201).json({
+      message: 'Accounting export created successfully',
+      export: exportData
+    });
+  } catch (error) {
+    console.error('Create accounting export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounting-exports/{id}:
+ *   get:
+ *     summary: Get an accounting export with its expenses (Admin only)
+ *     tags: [Accounting Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accounting export details
+ *       404:
+ *         description: Accounting export not found
+ */
+router.get('/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const accountingExport = await AccountingExport.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('expenses', 'description category convertedAmount companyCurrency expenseDate coding employee')
+      .populate('fxExpenses', 'description category convertedAmount companyCurrency fx reimbursement coding employee')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('voidedBy', 'firstName lastName email');
+
+    if (!accountingExport) {
+      return res.status(404).json({ message: 'Accounting export not found' });
+    }
+
+    res.json({ export: accountingExport });
+  } catch (error) {
+    console.error('Get accounting export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounting-exports/{id}/download:
+ *   get:
+ *     summary: Download the file of an accounting export (Admin only)
+ *     description: Returns the file exactly as first generated
+ *     tags: [Accounting Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file download
+ *       404:
+ *         description: Accounting export not found
+ */
+router.get('/:id/download', auth, authorize('admin'), async (req, res) => {
+  try {
+    const accountingExport = await AccountingExport.findOne({ _id: req.params.id, company: req.user.company })
+      .select('+content');
+
+    if (!accountingExport) {
+      return res.status(404).json({ message: 'Accounting export not found' });
+    }
+
+    res.set('Content-Type', accountingExport.contentType);
+    res.set('Content-Disposition', `attachment; filename="${accountingExport.filename}"`);
+    res.send(accountingExport.content);
+  } catch (error) {
+    console.error('Download accounting export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/accounting-exports/{id}/void:
+ *   post:
+ *     summary: Void an accounting export (Admin only)
+ *     description: >
+ *       Releases the export's expenses so the next export includes them again. Postings already
+ *       imported into the accounting system must be removed there. Runs in a transaction, so
+ *       requires MongoDB running as a replica set.
+ *     tags: [Accounting Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Export voided
+ *       400:
+ *         description: Export is already voided
+ *       404:
+ *         description: Accounting export not found
+ */
+router.post('/:id/void', [
+  auth,
+  authorize('admin'),
+  body('reason').notEmpty().withMessage('Void reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const accountingExport = await AccountingExport.findOne({ _id: req.params.id, company: req.user.company });
+    if (!accountingExport) {
+      return res.status(404).json({ message: 'Accounting export not found' });
+    }
+
+    if (accountingExport.status === 'voided') {
+      return res.status(400).json({ message: 'Accounting export is already voided' });
+    }
+
+    const before = auditService.snapshot(accountingExport);
+
+    // The void, the released expenses and the audit entry commit together
+    let voided;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        accountingExport.$session(session);
+        voided = await accountingExportService.voidExport(accountingExport, req.user, req.body.reason);
+        await auditService.record(req, 'accounting_export.void', voided, before, {
+          related: [...voided.expenses, ...voided.fxExpenses]
+        });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    res.json({
+      message: 'Accounting export voided',
+      export: voided
+    });
+  } catch (error) {
+    if (error instanceof accountingExportService.AccountingExportError) {
+      return res.status(400).json({ message: error.message, errors: error.errors });
+    }
+    console.error('Void accounting export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
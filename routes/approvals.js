@@ -1,18 +1,24 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Approval = require('../models/Approval');
 const Expense = require('../models/Expense');
-const User = require('../models/User');
 const Company = require('../models/Company');
 const { auth, authorize, checkCompanyAccess } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const delegationService = require('../services/delegationService');
+const approvalDecisionService = require('../services/approvalDecisionService');
 
 const router = express.Router();
 
+const MAX_BATCH_DECISIONS = 100;
+
 /**
  * @swagger
  * /api/approvals:
  *   get:
  *     summary: Get pending approvals for current user
+ *     description: Includes approvals of users the current user is an active delegate for
  *     tags: [Approvals]
  *     security:
  *       - bearerAuth: []
@@ -22,8 +28,11 @@ const router = express.Router();
  */
 router.get('/', auth, async (req, res) => {
   try {
+    // Include approvals of users this user currently stands in for
+    const delegations = await delegationService.getDelegationsTo(req.user._id);
+
     const approvals = await Approval.find({ 
-      approver: req.user._id, 
+      approver: { $in: [req.user._id, ...delegations.map(d => d.delegator)] }, 
       status: 'pending' 
     })
     .populate({
@@ -33,9 +42,29 @@ router.get('/', auth, async (req, res) => {
         select: 'firstName lastName email'
       }
     })
+    .populate({
+      path: 'report',
+      populate: [
+        { path: 'employee', select: 'firstName lastName email' },
+        { path: 'expenses' }
+      ]
+    })
     .sort({ createdAt: -1 });
 
-    res.json({ approvals });
+    // Delegations may be limited to some amounts and categories
+    const visibleApprovals = approvals.filter(approval => {
+      if (approval.approver.toString() === req.user._id.toString()) return true;
+
+      const subject = approval.report || approval.expense;
+      return subject &&
+        subject.employee._id.toString() !== req.user._id.toString() &&
+        delegations.some(delegation =>
+          delegation.delegator.toString() === approval.approver.toString() &&
+          delegationService.matchesScope(delegation, subject)
+        );
+    });
+
+    res.json({ approvals: visibleApprovals });
   } catch (error) {
     console.error('Get approvals error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -65,9 +94,21 @@ router.get('/', auth, async (req, res) => {
  *             properties:
  *               comments:
  *                 type: string
+ *               coding:
+ *                 $ref: '#/components/schemas/Coding'
+ *               rejectedExpenses:
+ *                 type: array
+ *                 description: For report approvals, lines to reject while approving the rest
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     expense:
+ *                       type: string
+ *                     reason:
+ *                       type: string
  *     responses:
  *       200:
- *         description: Expense approved successfully
+ *         description: Expense approved, or for an approval group the approval recorded until the quorum is reached
  *       400:
  *         description: Bad request
  *       404:
@@ -76,7 +117,11 @@ router.get('/', auth, async (req, res) => {
 router.post('/:id/approve', [
   auth,
   authorize('manager', 'admin'),
-  body('comments').optional().isString()
+  body('comments').optional().isString(),
+  body('coding').optional().isObject().withMessage('Coding must be an object'),
+  body('rejectedExpenses').optional().isArray().withMessage('Rejected expenses must be an array'),
+  body('rejectedExpenses.*.expense').notEmpty().withMessage('Rejected expense id is required'),
+  body('rejectedExpenses.*.reason').notEmpty().withMessage('Rejection reason is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -84,130 +129,20 @@ router.post('/:id/approve', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { comments } = req.body;
-    const approvalId = req.params.id;
-
-    const approval = await Approval.findById(approvalId)
-      .populate('expense');
-
-    if (!approval) {
-      return res.status(404).json({ message: 'Approval not found' });
-    }
-
-    // Check if user is the approver
-    if (approval.approver.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to approve this expense' });
-    }
-
-    // Check if already processed
-    if (approval.status !== 'pending') {
-      return res.status(400).json({ message: 'This approval has already been processed' });
-    }
-
-    const expense = approval.expense;
-
-    // Update approval
-    approval.status = 'approved';
-    approval.comments = comments || null;
-    approval.approvedAt = new Date();
-    await approval.save();
-
-    // Add to expense approvedBy array
-    expense.approvedBy.push({
-      user: req.user._id,
-      level: approval.level,
-      approvedAt: new Date(),
-      comments: comments || null
-    });
-
-    // Check conditional approval rules
-    const company = await Company.findById(expense.company);
-    let shouldApprove = false;
-    let shouldMoveToNext = false;
-
-    // Get all approvals for this expense
-    const allApprovals = await Approval.find({ expense: expense._id });
-    const approvedCount = allApprovals.filter(a => a.status === 'approved').length;
-    const totalApprovers = allApprovals.length;
-
-    // Check specific approver rule (e.g., CFO approval)
-    if (company.settings.approvalRules === 'specific' || company.settings.approvalRules === 'hybrid') {
-      const specificApprovers = company.settings.specificApprovers || [];
-      if (specificApprovers.includes(req.user._id.toString())) {
-        shouldApprove = true;
-      }
-    }
-
-    // Check percentage rule
-    if (!shouldApprove && (company.settings.approvalRules === 'percentage' || company.settings.approvalRules === 'hybrid')) {
-      const threshold = company.settings.percentageThreshold || 60;
-      const approvalPercentage = (approvedCount / totalApprovers) * 100;
-      if (approvalPercentage >= threshold) {
-        shouldApprove = true;
-      }
-    }
-
-    // Check hybrid rule (either condition met)
-    if (company.settings.approvalRules === 'hybrid') {
-      // Already checked above, shouldApprove will be true if either condition is met
-    }
-
-    if (shouldApprove) {
-      // Conditional approval met - approve expense
-      expense.status = 'approved';
-      expense.currentApprover = null;
-    } else {
-      // Check if we need to move to next level
-      const totalLevels = company.settings.approvalRules === 'percentage' ? 3 : 2;
-      
-      if (approval.level >= totalLevels) {
-        // Final approval level reached but conditions not met
-        expense.status = 'approved'; // Auto-approve as fallback
-        expense.currentApprover = null;
-      } else {
-        // Move to next level
-        const nextLevel = approval.level + 1;
-        
-        // Find next approver based on company rules
-        let nextApprover = null;
-        
-        if (company.settings.approvalRules === 'specific' && company.settings.specificApprovers.length > 0) {
-          nextApprover = company.settings.specificApprovers[nextLevel - 1];
-        } else {
-          // Default: find manager or admin
-          nextApprover = await User.findOne({
-            company: expense.company,
-            role: nextLevel === 2 ? 'manager' : 'admin'
-          });
-        }
-
-        if (nextApprover) {
-          // Create next approval
-          const nextApproval = new Approval({
-            expense: expense._id,
-            approver: nextApprover._id,
-            level: nextLevel,
-            dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-          });
-          await nextApproval.save();
-
-          expense.currentApprover = nextApprover._id;
-          expense.approvalLevel = nextLevel;
-        } else {
-          // No more approvers, auto-approve
-          expense.status = 'approved';
-          expense.currentApprover = null;
-        }
-      }
-    }
+    const { comments, rejectedExpenses, coding } = req.body;
 
-    await expense.save();
+    const decision = await approvalDecisionService.load(req.user, req.params.id, 'approve');
+    const result = await approvalDecisionService.approve(req, decision, { comments, rejectedExpenses, coding });
+    await approvalDecisionService.notify(result);
 
     res.json({
-      message: 'Expense approved successfully',
-      approval
+      message: result.message,
+      approval: result.approval
     });
   } catch (error) {
+    if (error instanceof approvalDecisionService.ApprovalDecisionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Approve expense error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -242,7 +177,7 @@ router.post('/:id/approve', [
  *                 type: string
  *     responses:
  *       200:
- *         description: Expense rejected successfully
+ *         description: Expense rejected, or for an approval group the rejection recorded until the quorum is decided
  *       400:
  *         description: Bad request
  *       404:
@@ -261,54 +196,244 @@ router.post('/:id/reject', [
     }
 
     const { reason, comments } = req.body;
-    const approvalId = req.params.id;
 
-    const approval = await Approval.findById(approvalId)
-      .populate('expense');
+    const decision = await approvalDecisionService.load(req.user, req.params.id, 'reject');
+    const result = await approvalDecisionService.reject(req, decision, { reason, comments });
+    await approvalDecisionService.notify(result);
 
-    if (!approval) {
-      return res.status(404).json({ message: 'Approval not found' });
+    res.json({
+      message: result.message,
+      approval: result.approval
+    });
+  } catch (error) {
+    if (error instanceof approvalDecisionService.ApprovalDecisionError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Reject expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Check if user is the approver
-    if (approval.approver.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'You are not authorized to reject this expense' });
+/**
+ * @swagger
+ * /api/approvals/{id}/request-changes:
+ *   post:
+ *     summary: Send an expense back to the employee for changes
+ *     description: The expense can be edited again and, once resubmitted, resumes the approval chain at the same step. Runs in a transaction, so requires MongoDB running as a replica set.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - notes
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: What the employee needs to change
+ *               fields:
+ *                 type: array
+ *                 description: Fields to correct, e.g. receipt or category
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Expense sent back for changes
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Approval not found
+ */
+router.post('/:id/request-changes', [
+  auth,
+  authorize('manager', 'admin'),
+  body('notes').notEmpty().withMessage('Notes describing the required changes are required'),
+  body('fields').optional().isArray().withMessage('Fields must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if already processed
-    if (approval.status !== 'pending') {
-      return res.status(400).json({ message: 'This approval has already been processed' });
+    const { notes, fields } = req.body;
+
+    let result;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const decision = await approvalDecisionService.load(req.user, req.params.id, 'act on', session);
+        result = await approvalDecisionService.requestChanges(req, decision, { notes, fields });
+      });
+    } finally {
+      await session.endSession();
     }
 
-    const expense = approval.expense;
-
-    // Update approval
-    approval.status = 'rejected';
-    approval.rejectionReason = reason;
-    approval.comments = comments || null;
-    approval.approvedAt = new Date();
-    await approval.save();
-
-    // Update expense
-    expense.status = 'rejected';
-    expense.rejectionReason = reason;
-    expense.currentApprover = null;
-    
-    expense.rejectedBy.push({
-      user: req.user._id,
-      level: approval.level,
-      rejectedAt: new Date(),
-      reason: reason
+    // Only once the request for changes is committed
+    await notificationService.changesRequested(result.subject, result.changeRequest);
+
+    res.json({
+      message: 'Expense sent back for changes',
+      approval: result.approval
     });
+  } catch (error) {
+    if (error instanceof approvalDecisionService.ApprovalDecisionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Request changes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await expense.save();
+/**
+ * @swagger
+ * /api/approvals/batch:
+ *   post:
+ *     summary: Approve or reject several approvals at once
+ *     description: Each decision runs in its own transaction with the same checks as the single approve and reject endpoints, so one failing decision does not hold back the others. Requires MongoDB running as a replica set.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decisions
+ *             properties:
+ *               decisions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - approval
+ *                     - decision
+ *                   properties:
+ *                     approval:
+ *                       type: string
+ *                     decision:
+ *                       type: string
+ *                       enum: [approve, reject]
+ *                     comments:
+ *                       type: string
+ *                     coding:
+ *                       $ref: '#/components/schemas/Coding'
+ *                     reason:
+ *                       type: string
+ *                       description: Required to reject
+ *                     rejectedExpenses:
+ *                       type: array
+ *                       description: For report approvals, lines to reject while approving the rest
+ *                       items:
+ *                         type: object
+ *     responses:
+ *       200:
+ *         description: Result of each decision, in request order
+ *       400:
+ *         description: Validation error
+ */
+router.post('/batch', [
+  auth,
+  authorize('manager', 'admin'),
+  body('decisions').isArray({ min: 1, max: MAX_BATCH_DECISIONS })
+    .withMessage(`Between 1 and ${MAX_BATCH_DECISIONS} decisions are required`),
+  body('decisions.*.approval').isMongoId().withMessage('Valid approval id is required'),
+  body('decisions.*.decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('decisions.*.comments').optional().isString(),
+  body('decisions.*.coding').optional().isObject().withMessage('Coding must be an object'),
+  body('decisions.*.reason')
+    .if((value, { req, path }) => req.body.decisions[parseInt(path.match(/\d+/)[0], 10)].decision === 'reject')
+    .notEmpty().withMessage('Rejection reason is required'),
+  body('decisions.*.rejectedExpenses').optional().isArray().withMessage('Rejected expenses must be an array'),
+  body('decisions.*.rejectedExpenses.*.expense').notEmpty().withMessage('Rejected expense id is required'),
+  body('decisions.*.rejectedExpenses.*.reason').notEmpty().withMessage('Rejection reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decisions } = req.body;
+    const ids = decisions.map(item => item.approval);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: 'Each approval can only be decided once per batch' });
+    }
+
+    // Looked up once for the whole batch rather than per decision
+    const company = await Company.findById(req.user.company);
+    const results = [];
+    const decided = [];
+
+    const session = await mongoose.startSession();
+    try {
+      for (const item of decisions) {
+        try {
+          let result;
+          await session.withTransaction(async () => {
+            const decision = await approvalDecisionService.load(req.user, item.approval, item.decision, session);
+            result = item.decision === 'approve'
+              ? await approvalDecisionService.approve(req, decision, {
+                comments: item.comments,
+                rejectedExpenses: item.rejectedExpenses,
+                coding: item.coding,
+                company
+              })
+              : await approvalDecisionService.reject(req, decision, {
+                reason: item.reason,
+                comments: item.comments
+              });
+          });
+
+          decided.push(result);
+          results.push({
+            approval: item.approval,
+            decision: item.decision,
+            success: true,
+            status: 200,
+            message: result.message
+          });
+        } catch (error) {
+          if (!(error instanceof approvalDecisionService.ApprovalDecisionError)) {
+            console.error(`Batch ${item.decision} error for approval ${item.approval}:`, error);
+          }
+          results.push({
+            approval: item.approval,
+            decision: item.decision,
+            success: false,
+            status: error.status || 500,
+            message: error instanceof approvalDecisionService.ApprovalDecisionError ? error.message : 'Server error'
+          });
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+
+    // Only committed decisions are announced
+    for (const result of decided) {
+      await approvalDecisionService.notify(result);
+    }
 
     res.json({
-      message: 'Expense rejected successfully',
-      approval
+      results,
+      succeeded: decided.length,
+      failed: results.length - decided.length
     });
   } catch (error) {
-    console.error('Reject expense error:', error);
+    console.error('Batch approval error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
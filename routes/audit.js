@@ -0,0 +1,127 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../models/AuditLog');
+const { auth, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit trail
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [AccountingExport, Approval, Comment, Company, Delegation, ExchangeRateOverride, Expense, ExpenseReport, Merchant, PaymentBatch, PerDiemRate, User]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: expense.update
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         description: Inclusive; a date without a time returns entries of the whole day
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', [
+  auth,
+  authorize('admin'),
+  // Plain strings from the known values, never query operators
+  query('entityType').optional().isString().withMessage('Invalid entity type').bail()
+    .isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('action').optional().isString().withMessage('Invalid action').bail()
+    .isIn(AUDIT_ACTIONS).withMessage('Invalid action'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity id'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor id'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { entityType, entityId, actor, action, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const filter = { company: req.user.company };
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.$or = [{ entityId }, { related: entityId }];
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) {
+        const end = new Date(endDate);
+        if (DATE_ONLY.test(endDate)) {
+          // A plain date is inclusive: everything before the next day
+          end.setUTCDate(end.getUTCDate() + 1);
+          filter.createdAt.$lt = end;
+        } else {
+          filter.createdAt.$lte = end;
+        }
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ entries, total, page, limit });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Company = require('../models/Company');
 const { auth } = require('../middleware/auth');
+const auditService = require('../services/auditService');
 const axios = require('axios');
 
 const router = express.Router();
@@ -135,6 +136,9 @@ router.post('/register', [
     });
     await user.save();
 
+    await auditService.record(req, 'company.create', company, null, { actor: user._id, company: company._id });
+    await auditService.record(req, 'user.create', user, null, { actor: user._id, company: company._id });
+
     // Generate JWT token
     const token = jwt.sign(
       { id: user._id },
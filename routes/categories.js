@@ -0,0 +1,522 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const { CUSTOM_FIELD_TYPES } = require('../models/Company');
+const { auth, authorize } = require('../middleware/auth');
+const categoryService = require('../services/categoryService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+const categoryValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Category name is required'),
+  body('glAccount').optional({ nullable: true }).isString().withMessage('GL account must be a string'),
+  body('icon').optional({ nullable: true }).isString().withMessage('Icon must be a string'),
+  body('keywords').optional().isArray().withMessage('Keywords must be an array'),
+  body('keywords.*').isString().withMessage('Keywords must be strings'),
+  body('isActive').optional().isBoolean().withMessage('Active flag must be a boolean')
+];
+
+const fieldValidators = (optional) => [
+  (optional ? body('label').optional() : body('label')).trim().notEmpty().withMessage('Field label is required'),
+  body('type').optional().isIn(CUSTOM_FIELD_TYPES).withMessage('Invalid field type'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('options.*').isString().notEmpty().withMessage('Options must be non-empty strings'),
+  body(['categories', 'requiredFor']).optional().isArray().withMessage('Categories must be an array'),
+  body('required').optional().isBoolean().withMessage('Required must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('Active flag must be a boolean')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Stored on expenses; cannot be changed once created
+ *         name:
+ *           type: string
+ *         glAccount:
+ *           type: string
+ *         icon:
+ *           type: string
+ *         keywords:
+ *           type: array
+ *           description: Words on a receipt that suggest this category when scanning
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *     CustomField:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Name of the value in an expense's customFields; cannot be changed once created
+ *         label:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, select]
+ *         options:
+ *           type: array
+ *           description: Choices of a select field
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           description: Categories the field applies to; all when empty
+ *           items:
+ *             type: string
+ *         required:
+ *           type: boolean
+ *           description: Required wherever the field applies
+ *         requiredFor:
+ *           type: array
+ *           description: Categories in which the field is required
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the company's expense categories and custom fields
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Also return deactivated categories and fields
+ *     responses:
+ *       200:
+ *         description: Categories and custom field definitions
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const includeInactive = req.query.includeInactive === 'true';
+    const { categories, customFields } = company.settings;
+
+    res.json({
+      categories: categories.filter(category => includeInactive || category.isActive),
+      customFields: customFields.filter(field => includeInactive || field.isActive)
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Add an expense category (Admin only)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Category'
+ *               - required:
+ *                   - code
+ *                   - name
+ *     responses:
+ *       201:
+ *         description: Category created successfully
+ *       400:
+ *         description: Validation error or the code or name is already in use
+ */
+router.post('/', [
+  auth,
+  authorize('admin'),
+  body('code').trim().toLowerCase().notEmpty().withMessage('Category code is required'),
+  ...categoryValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { code, name, glAccount, icon, keywords, isActive } = req.body;
+    const category = {
+      code,
+      name,
+      glAccount: glAccount || null,
+      icon: icon || null,
+      keywords: keywords || [],
+      isActive: isActive !== false
+    };
+
+    const categoryError = categoryService.validateCategory(category, company, { isNew: true });
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const before = auditService.snapshot(company);
+
+    company.settings.categories.push(category);
+    await company.save();
+    await auditService.record(req, 'category.create', company, before);
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category: categoryService.getCategory(company, code)
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/fields:
+ *   post:
+ *     summary: Add a custom expense field (Admin only)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CustomField'
+ *               - required:
+ *                   - key
+ *                   - label
+ *     responses:
+ *       201:
+ *         description: Custom field created successfully
+ *       400:
+ *         description: Validation error, duplicate key or unknown category
+ */
+router.post('/fields', [
+  auth,
+  authorize('admin'),
+  body('key').trim().notEmpty().withMessage('Field key is required'),
+  ...fieldValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { key, label, type, options, categories, required, requiredFor, isActive } = req.body;
+    const field = {
+      key,
+      label,
+      type: type || 'text',
+      options: options || [],
+      categories: categories || [],
+      required: required === true,
+      requiredFor: requiredFor || [],
+      isActive: isActive !== false
+    };
+
+    const fieldError = categoryService.validateField(field, company, { isNew: true });
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    const before = auditService.snapshot(company);
+
+    company.settings.customFields.push(field);
+    await company.save();
+    await auditService.record(req, 'custom_field.create', company, before);
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field: company.settings.customFields.find(candidate => candidate.key === key)
+    });
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/fields/{key}:
+ *   put:
+ *     summary: Update a custom expense field (Admin only)
+ *     description: Values already stored on expenses are kept; they are checked again when an expense is next edited
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomField'
+ *     responses:
+ *       200:
+ *         description: Custom field updated successfully
+ *       404:
+ *         description: Custom field not found
+ */
+router.put('/fields/:key', [
+  auth,
+  authorize('admin'),
+  ...fieldValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const field = company.settings.customFields.find(candidate => candidate.key === req.params.key);
+    if (!field) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    const before = auditService.snapshot(company);
+
+    ['label', 'type', 'options', 'categories', 'required', 'requiredFor', 'isActive'].forEach(property => {
+      if (req.body[property] !== undefined) field[property] = req.body[property];
+    });
+
+    const fieldError = categoryService.validateField(field, company);
+    if (fieldError) {
+      return res.status(400).json({ message: fieldError });
+    }
+
+    await company.save();
+    await auditService.record(req, 'custom_field.update', company, before);
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/fields/{key}:
+ *   delete:
+ *     summary: Delete a custom expense field (Admin only)
+ *     description: Values already stored on expenses are dropped when an expense is next edited
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Custom field deleted successfully
+ *       404:
+ *         description: Custom field not found
+ */
+router.delete('/fields/:key', auth, authorize('admin'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const fields = company.settings.customFields;
+    const index = fields.findIndex(candidate => candidate.key === req.params.key);
+    if (index === -1) {
+      return res.status(404).json({ message: 'Custom field not found' });
+    }
+
+    const before = auditService.snapshot(company);
+
+    fields.splice(index, 1);
+    await company.save();
+    await auditService.record(req, 'custom_field.delete', company, before);
+
+    res.json({ message: 'Custom field deleted successfully' });
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{code}:
+ *   put:
+ *     summary: Update an expense category (Admin only)
+ *     description: Deactivated categories stay on existing expenses but cannot be chosen for new ones
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: Category updated successfully
+ *       404:
+ *         description: Category not found
+ */
+router.put('/:code', [
+  auth,
+  authorize('admin'),
+  ...categoryValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const category = categoryService.getCategory(company, req.params.code);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const before = auditService.snapshot(company);
+
+    ['name', 'glAccount', 'icon', 'keywords', 'isActive'].forEach(property => {
+      if (req.body[property] !== undefined) category[property] = req.body[property];
+    });
+
+    const categoryError = categoryService.validateCategory(category, company);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    await company.save();
+    await auditService.record(req, 'category.update', company, before);
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{code}:
+ *   delete:
+ *     summary: Delete an expense category (Admin only)
+ *     description: Only categories no expense or custom field uses can be deleted; deactivate the others instead
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted successfully
+ *       400:
+ *         description: Category is in use
+ *       404:
+ *         description: Category not found
+ */
+router.delete('/:code', auth, authorize('admin'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const categories = company.settings.categories;
+    const index = categories.findIndex(category => category.code === req.params.code);
+    if (index === -1) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const field = company.settings.customFields.find(candidate =>
+      candidate.categories.includes(req.params.code) || candidate.requiredFor.includes(req.params.code)
+    );
+    if (field) {
+      return res.status(400).json({ message: `Category is used by custom field "${field.label}"` });
+    }
+
+    const expenseCount = await categoryService.countExpenses(company._id, req.params.code);
+    if (expenseCount > 0) {
+      return res.status(400).json({ message: `Category is used by ${expenseCount} expense(s); deactivate it instead` });
+    }
+
+    const before = auditService.snapshot(company);
+
+    categories.splice(index, 1);
+    await company.save();
+    await auditService.record(req, 'category.delete', company, before);
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,390 @@
+const express = require('express');
+const fs = require('fs');
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { attachmentUpload, describeFile } = require('../middleware/upload');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+
+// Mounted under /api/expenses/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENTS = 5;
+
+// @jane.doe@example.com
+const MENTION_PATTERN = /@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Same rule as viewing the expense: the owner, or managers and admins once
+// it has left draft
+const canView = (user, expense) => {
+  const isOwner = expense.employee.toString() === user._id.toString();
+  return isOwner || (user.role !== 'employee' && expense.status !== 'draft');
+};
+
+// Uploaded files are kept only when the comment is saved
+const discardFiles = (files = []) => {
+  files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+/**
+ * Resolve the @email mentions in a comment body to company users. Returns
+ * { mentions } or { error } when a mentioned user cannot see the expense.
+ */
+const resolveMentions = async (text, expense, company) => {
+  const emails = [...new Set([...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+  if (emails.length === 0) {
+    return { mentions: [] };
+  }
+
+  const users = await User.find({ email: { $in: emails }, company, isActive: true });
+  const hidden = users.find(user => !canView(user, expense));
+  if (hidden) {
+    return { error: `${hidden.email} cannot see this expense` };
+  }
+
+  return { mentions: users.map(user => user._id) };
+};
+
+const loadExpense = async (req, res) => {
+  const expense = await Expense.findOne({
+    _id: req.params.id,
+    company: req.user.company
+  });
+
+  if (!expense) {
+    res.status(404).json({ message: 'Expense not found' });
+    return null;
+  }
+
+  if (!canView(req.user, expense)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+
+  return expense;
+};
+
+/**
+ * @swagger
+ * /api/expenses/{id}/comments:
+ *   get:
+ *     summary: Get the comment thread of an expense
+ *     description: Employees only see comments on their own expenses
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comments, oldest first
+ *       404:
+ *         description: Expense not found
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const expense = await loadExpense(req, res);
+    if (!expense) return;
+
+    const comments = await Comment.find({ expense: expense._id })
+      .populate('author', 'firstName lastName email role')
+      .populate('mentions', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({ comments });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/comments:
+ *   post:
+ *     summary: Comment on an expense
+ *     description: Users mentioned as @email are notified. Either a body or an attachment is required.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  auth,
+  attachmentUpload.array('attachments', MAX_ATTACHMENTS),
+  body('body').optional().isString().isLength({ max: 5000 }).withMessage('Comment must be at most 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardFiles(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const text = (req.body.body || '').trim();
+    const files = req.files || [];
+    if (!text && files.length === 0) {
+      return res.status(400).json({ message: 'Comment text or an attachment is required' });
+    }
+
+    const expense = await loadExpense(req, res);
+    if (!expense) {
+      discardFiles(files);
+      return;
+    }
+
+    const { mentions, error } = await resolveMentions(text, expense, req.user.company);
+    if (error) {
+      discardFiles(files);
+      return res.status(400).json({ message: error });
+    }
+
+    const comment = new Comment({
+      company: req.user.company,
+      expense: expense._id,
+      author: req.user._id,
+      body: text,
+      mentions,
+      attachments: files.map(describeFile)
+    });
+
+    await comment.save();
+    await auditService.record(req, 'comment.create', comment, null, { related: [expense._id] });
+    await notificationService.commentPosted(comment, expense, req.user);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    discardFiles(req.files);
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Only the author may edit, within 15 minutes of posting. Newly mentioned users are notified.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Not the author, or the edit window has passed
+ */
+router.put('/:commentId', [
+  auth,
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const expense = await loadExpense(req, res);
+    if (!expense) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, expense: expense._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!comment.isEditableBy(req.user)) {
+      return res.status(403).json({
+        message: `Comments can only be edited by their author within ${Comment.COMMENT_EDIT_WINDOW_MINUTES} minutes`
+      });
+    }
+
+    const { mentions, error } = await resolveMentions(req.body.body, expense, req.user.company);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const before = auditService.snapshot(comment);
+    const previousMentions = comment.mentions.map(id => id.toString());
+
+    comment.body = req.body.body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await auditService.record(req, 'comment.update', comment, before, { related: [expense._id] });
+    await notificationService.commentPosted(comment, expense, req.user, {
+      mentions: mentions.filter(id => !previousMentions.includes(id.toString())),
+      notifyOwner: false
+    });
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: The author may delete within 15 minutes of posting; admins at any time
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Not allowed to delete this comment
+ */
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const expense = await loadExpense(req, res);
+    if (!expense) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, expense: expense._id });
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (req.user.role !== 'admin' && !comment.isEditableBy(req.user)) {
+      return res.status(403).json({
+        message: `Comments can only be deleted by their author within ${Comment.COMMENT_EDIT_WINDOW_MINUTES} minutes`
+      });
+    }
+
+    const before = auditService.snapshot(comment);
+
+    await comment.deleteOne();
+    discardFiles(comment.attachments);
+    await auditService.record(req, 'comment.delete', comment, before, { deleted: true, related: [expense._id] });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/comments/{commentId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a comment attachment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The attached file
+ *       404:
+ *         description: Attachment not found
+ */
+router.get('/:commentId/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const expense = await loadExpense(req, res);
+    if (!expense) return;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, expense: expense._id });
+    const attachment = comment && comment.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    res.download(attachment.path, attachment.originalName);
+  } catch (error) {
+    console.error('Download comment attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
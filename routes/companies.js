@@ -1,10 +1,135 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Company = require('../models/Company');
+const User = require('../models/User');
 const { auth, authorize } = require('../middleware/auth');
+const approvalEngine = require('../services/approvalEngine');
+const paymentFileService = require('../services/paymentFileService');
+const auditService = require('../services/auditService');
+
+const { APPROVAL_STEP_TYPES, QUORUM_RULES, VEHICLE_TYPES, DISTANCE_UNITS, CODING_DIMENSIONS } = Company;
+
+const ACCOUNTING_LISTS = Object.values(CODING_DIMENSIONS);
 
 const router = express.Router();
 
+// Check that a group step has members and a quorum they can reach
+const validateGroupStep = (step) => {
+  const users = (step.users || []).map(id => id.toString());
+  const quorum = step.quorum || {};
+
+  if (users.length === 0) return 'Group approval steps require at least one user';
+  if (quorum.rule && !QUORUM_RULES.includes(quorum.rule)) return 'Invalid quorum rule';
+  if (quorum.rule === 'count' && !(quorum.count >= 1 && quorum.count <= users.length)) {
+    return 'Quorum count must be between 1 and the number of group members';
+  }
+  if (quorum.rule === 'percentage' && !(quorum.percentage > 0 && quorum.percentage <= 100)) {
+    return 'Quorum percentage must be between 1 and 100';
+  }
+  if ((quorum.mandatory || []).some(id => !users.includes(id.toString()))) {
+    return 'Mandatory approvers must be members of the group';
+  }
+  return null;
+};
+
+// Check that approval chain steps are complete and reference users of this company
+const validateApprovalSettings = async (settings, company) => {
+  const userIds = [];
+  const chains = settings.approvalChains || company.settings.approvalChains || [];
+  const steps = [
+    ...(settings.approvalChain || []),
+    ...(settings.approvalChains || []).reduce((all, chain) => all.concat(chain.steps || []), [])
+  ];
+
+  for (const chain of settings.approvalChains || []) {
+    if (!chain.name) return 'Approval chains require a name';
+  }
+
+  for (const rule of settings.routingRules || []) {
+    if (!rule.name) return 'Routing rules require a name';
+    if (rule.chain && !chains.some(chain => chain.name === rule.chain)) {
+      return `Routing rule "${rule.name}" references unknown approval chain "${rule.chain}"`;
+    }
+  }
+
+  for (const step of steps) {
+    if (!APPROVAL_STEP_TYPES.includes(step.type)) return 'Invalid approval step type';
+    if (step.type === 'specific_user') {
+      if (!step.user) return 'Specific user approval steps require a user';
+      userIds.push(step.user);
+    }
+    if (step.type === 'role' && !step.role) {
+      return 'Role approval steps require a role';
+    }
+    if (step.type === 'group') {
+      const groupError = validateGroupStep(step);
+      if (groupError) return groupError;
+      userIds.push(...step.users);
+    }
+  }
+
+  for (const head of settings.departmentHeads || []) {
+    if (!head.department || !head.user) return 'Department heads require a department and a user';
+    userIds.push(head.user);
+  }
+
+  if (settings.financeApprover) {
+    userIds.push(settings.financeApprover);
+  }
+
+  if (settings.escalationFallback) {
+    userIds.push(settings.escalationFallback);
+  }
+
+  if (userIds.length > 0) {
+    const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+    const count = await User.countDocuments({ _id: { $in: uniqueIds }, company: company._id });
+    if (count !== uniqueIds.length) {
+      return 'Approval settings reference users outside this company';
+    }
+  }
+
+  return null;
+};
+
+// Check that accounting list codes are unique and that departments point
+// at cost centers of the company
+const validateAccountingSettings = (accounting) => {
+  for (const list of ACCOUNTING_LISTS) {
+    const codes = (accounting[list] || []).map(entry => entry.code);
+    const duplicate = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (duplicate) return `Accounting code "${duplicate}" appears more than once in ${list}`;
+  }
+
+  const costCenters = (accounting.costCenters || []).map(entry => entry.code);
+  const department = (accounting.departments || []).find(entry => entry.costCenter && !costCenters.includes(entry.costCenter));
+  if (department) {
+    return `Department "${department.code}" references unknown cost center "${department.costCenter}"`;
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccountingCode:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         costCenter:
+ *           type: string
+ *           description: Departments only
+ *         isActive:
+ *           type: boolean
+ */
+
 /**
  * @swagger
  * /api/companies:
@@ -58,8 +183,264 @@ router.get('/', auth, async (req, res) => {
  *                 type: object
  *               contact:
  *                 type: object
+ *               paymentSettings:
+ *                 type: object
+ *                 description: Company bank account and ACH originator details for payment files
+ *                 properties:
+ *                   debtorName:
+ *                     type: string
+ *                   iban:
+ *                     type: string
+ *                   bic:
+ *                     type: string
+ *                   achImmediateDestination:
+ *                     type: string
+ *                   achImmediateDestinationName:
+ *                     type: string
+ *                   achImmediateOrigin:
+ *                     type: string
+ *                   achImmediateOriginName:
+ *                     type: string
+ *                   achCompanyId:
+ *                     type: string
+ *                   achOriginatingDfi:
+ *                     type: string
  *               settings:
  *                 type: object
+ *                 properties:
+ *                   approvalChain:
+ *                     type: array
+ *                     description: Ordered approval steps walked for each new expense
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [direct_manager, department_head, specific_user, role, finance, group]
+ *                         name:
+ *                           type: string
+ *                         user:
+ *                           type: string
+ *                         role:
+ *                           type: string
+ *                           enum: [admin, manager, employee]
+ *                         users:
+ *                           type: array
+ *                           description: Members of a group step, asked in parallel
+ *                           items:
+ *                             type: string
+ *                         quorum:
+ *                           type: object
+ *                           description: When a group step resolves
+ *                           properties:
+ *                             rule:
+ *                               type: string
+ *                               enum: [all, count, percentage, any]
+ *                             count:
+ *                               type: integer
+ *                             percentage:
+ *                               type: number
+ *                             mandatory:
+ *                               type: array
+ *                               description: Members who must approve whatever the rule
+ *                               items:
+ *                                 type: string
+ *                   departmentHeads:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         department:
+ *                           type: string
+ *                         user:
+ *                           type: string
+ *                   financeApprover:
+ *                     type: string
+ *                   accounting:
+ *                     type: object
+ *                     description: Values expenses can be coded with; lists left out are kept
+ *                     properties:
+ *                       glAccounts:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AccountingCode'
+ *                       costCenters:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AccountingCode'
+ *                       projects:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/AccountingCode'
+ *                       departments:
+ *                         type: array
+ *                         description: Codes should match the department of users; costCenter is the default for their expenses
+ *                         items:
+ *                           $ref: '#/components/schemas/AccountingCode'
+ *                       requiredDimensions:
+ *                         type: array
+ *                         description: Dimensions to code before reimbursement; only enforced once the dimension's list has entries
+ *                         items:
+ *                           type: string
+ *                           enum: [glAccount, costCenter, project, department]
+ *                       payableAccount:
+ *                         type: string
+ *                         description: Account credited with reimbursable expenses in accounting exports
+ *                       companyPaidAccount:
+ *                         type: string
+ *                         description: Account credited with expenses that are not reimbursable in accounting exports
+ *                       fxGainAccount:
+ *                         type: string
+ *                         description: Account credited with realized exchange gains on reimbursements in accounting exports
+ *                       fxLossAccount:
+ *                         type: string
+ *                         description: Account debited with realized exchange losses on reimbursements in accounting exports
+ *                       xero:
+ *                         type: object
+ *                         properties:
+ *                           taxRate:
+ *                             type: string
+ *                             description: Tax rate name written on exported journal lines
+ *                           dateFormat:
+ *                             type: string
+ *                             enum: [DD/MM/YYYY, MM/DD/YYYY]
+ *                   policyEnforcement:
+ *                     type: string
+ *                     enum: [block, flag]
+ *                   maxExpenseAmount:
+ *                     type: number
+ *                   requireReceipt:
+ *                     type: boolean
+ *                   receiptRequiredAbove:
+ *                     type: number
+ *                   dailyLimit:
+ *                     type: number
+ *                   categoryLimits:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         category:
+ *                           type: string
+ *                         maxAmount:
+ *                           type: number
+ *                   mileageRates:
+ *                     type: array
+ *                     description: Rates for mileage expenses; the entry with the latest effectiveFrom on or before the trip applies
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         vehicleType:
+ *                           type: string
+ *                           enum: [car, electric_car, motorcycle, bicycle, van]
+ *                         effectiveFrom:
+ *                           type: string
+ *                           format: date
+ *                         currency:
+ *                           type: string
+ *                         unit:
+ *                           type: string
+ *                           enum: [km, mi]
+ *                         rate:
+ *                           type: number
+ *                         tiers:
+ *                           type: array
+ *                           description: Rates applying once the employee's distance this calendar year passes `after`
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               after:
+ *                                 type: number
+ *                               rate:
+ *                                 type: number
+ *                   perDiem:
+ *                     type: object
+ *                     description: Proration and meal deductions for per-diem expenses; rates are managed at /api/per-diem-rates
+ *                     properties:
+ *                       travelDayPercentage:
+ *                         type: number
+ *                         description: Share of the M&IE rate paid on the first and last day of a trip (default 75)
+ *                       mealDeductions:
+ *                         type: object
+ *                         description: Share of the M&IE rate deducted per provided meal, for rates without meal amounts
+ *                         properties:
+ *                           breakfast:
+ *                             type: number
+ *                           lunch:
+ *                             type: number
+ *                           dinner:
+ *                             type: number
+ *                   approvalChains:
+ *                     type: array
+ *                     description: Named chains that routing rules can select
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         steps:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                   routingRules:
+ *                     type: array
+ *                     description: Evaluated in order on submission; the first match decides the route
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         isActive:
+ *                           type: boolean
+ *                         conditions:
+ *                           type: object
+ *                           properties:
+ *                             minAmount:
+ *                               type: number
+ *                             maxAmount:
+ *                               type: number
+ *                             categories:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             tags:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             departments:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                             roles:
+ *                               type: array
+ *                               items:
+ *                                 type: string
+ *                         chain:
+ *                           type: string
+ *                         skipSteps:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         autoApprove:
+ *                           type: boolean
+ *                   reminderIntervalHours:
+ *                     type: number
+ *                     description: Hours between reminders while an approval is pending
+ *                   escalateAfterDays:
+ *                     type: number
+ *                     nullable: true
+ *                     description: Days past the due date before an approval is escalated; null disables escalation
+ *                   escalationFallback:
+ *                     type: string
+ *                     description: User who takes escalations when the approver has no manager
+ *                   notificationWebhook:
+ *                     type: object
+ *                     description: Receives a copy of every notification; the secret signs payloads and is kept when omitted
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       secret:
+ *                         type: string
  *     responses:
  *       200:
  *         description: Company updated successfully
@@ -70,7 +451,53 @@ router.put('/', [
   auth,
   authorize('admin'),
   body('name').optional().notEmpty().withMessage('Company name is required'),
-  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('settings.approvalChain').optional().isArray().withMessage('Approval chain must be an array'),
+  body('settings.approvalChain.*.type').isIn(APPROVAL_STEP_TYPES).withMessage('Invalid approval step type'),
+  body('settings.approvalChain.*.role').optional({ nullable: true }).isIn(['admin', 'manager', 'employee']).withMessage('Invalid approval step role'),
+  body('settings.approvalChains').optional().isArray().withMessage('Approval chains must be an array'),
+  body('settings.routingRules').optional().isArray().withMessage('Routing rules must be an array'),
+  body('settings.routingRules.*.conditions.minAmount').optional({ nullable: true }).isNumeric().withMessage('Minimum amount must be a number'),
+  body('settings.routingRules.*.conditions.maxAmount').optional({ nullable: true }).isNumeric().withMessage('Maximum amount must be a number'),
+  body('settings.policyEnforcement').optional().isIn(['block', 'flag']).withMessage('Policy enforcement must be block or flag'),
+  body('settings.maxExpenseAmount').optional().isFloat({ min: 0 }).withMessage('Maximum expense amount must be a positive number'),
+  body('settings.dailyLimit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Daily limit must be a positive number'),
+  body('settings.receiptRequiredAbove').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Receipt threshold must be a positive number'),
+  body('settings.categoryLimits').optional().isArray().withMessage('Category limits must be an array'),
+  body('settings.categoryLimits.*.category').notEmpty().withMessage('Category limit requires a category'),
+  body('settings.categoryLimits.*.maxAmount').isFloat({ min: 0 }).withMessage('Category limit must be a positive number'),
+  body('settings.mileageRates').optional().isArray().withMessage('Mileage rates must be an array'),
+  body('settings.mileageRates.*.vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+  body('settings.mileageRates.*.effectiveFrom').isISO8601().withMessage('Mileage rate requires a valid effective date'),
+  body('settings.mileageRates.*.currency').isLength({ min: 3, max: 3 }).withMessage('Mileage rate currency must be 3 characters'),
+  body('settings.mileageRates.*.unit').optional().isIn(DISTANCE_UNITS).withMessage('Mileage rate unit must be km or mi'),
+  body('settings.mileageRates.*.rate').isFloat({ min: 0 }).withMessage('Mileage rate must be a positive number'),
+  body('settings.mileageRates.*.tiers').optional().isArray().withMessage('Mileage rate tiers must be an array'),
+  body('settings.mileageRates.*.tiers.*.after').isFloat({ min: 0 }).withMessage('Mileage rate tier threshold must be a positive number'),
+  body('settings.mileageRates.*.tiers.*.rate').isFloat({ min: 0 }).withMessage('Mileage rate tier rate must be a positive number'),
+  body(ACCOUNTING_LISTS.map(list => `settings.accounting.${list}`)).optional().isArray().withMessage('Accounting lists must be arrays'),
+  body(ACCOUNTING_LISTS.map(list => `settings.accounting.${list}.*.code`)).isString().trim().notEmpty().withMessage('Accounting entries require a code'),
+  body('settings.accounting.requiredDimensions').optional().isArray().withMessage('Required dimensions must be an array'),
+  body('settings.accounting.requiredDimensions.*').isIn(Object.keys(CODING_DIMENSIONS)).withMessage('Invalid accounting dimension'),
+  body([
+    'settings.accounting.payableAccount',
+    'settings.accounting.companyPaidAccount',
+    'settings.accounting.fxGainAccount',
+    'settings.accounting.fxLossAccount'
+  ]).optional({ nullable: true }).isString().withMessage('Export accounts must be strings'),
+  body('settings.accounting.xero.taxRate').optional().isString().notEmpty().withMessage('Xero tax rate must be a name'),
+  body('settings.accounting.xero.dateFormat').optional().isIn(['DD/MM/YYYY', 'MM/DD/YYYY']).withMessage('Xero date format must be DD/MM/YYYY or MM/DD/YYYY'),
+  body('settings.perDiem.travelDayPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Travel day percentage must be between 0 and 100'),
+  body(['settings.perDiem.mealDeductions.breakfast', 'settings.perDiem.mealDeductions.lunch', 'settings.perDiem.mealDeductions.dinner'])
+    .optional().isFloat({ min: 0, max: 100 }).withMessage('Meal deductions must be percentages between 0 and 100'),
+  body('settings.reminderIntervalHours').optional().isFloat({ min: 1 }).withMessage('Reminder interval must be at least one hour'),
+  body('settings.escalateAfterDays').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Escalation days must be a positive number'),
+  body('settings.notificationWebhook.url').optional({ values: 'falsy' }).isURL({ require_tld: false }).withMessage('Invalid notification webhook URL'),
+  body('paymentSettings.iban').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidIban(value)).withMessage('Invalid company IBAN'),
+  body('paymentSettings.bic').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidBic(value)).withMessage('Invalid company BIC'),
+  body('paymentSettings.achImmediateDestination').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidRoutingNumber(value)).withMessage('Invalid ACH immediate destination'),
+  body('paymentSettings.achOriginatingDfi').optional({ values: 'falsy' }).matches(/^\d{8}$/).withMessage('ACH originating DFI must be 8 digits'),
+  body('paymentSettings.achCompanyId').optional({ values: 'falsy' }).isLength({ max: 10 }).withMessage('ACH company identification must be at most 10 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -78,12 +505,23 @@ router.put('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const company = await Company.findById(req.user.company);
+    const company = await Company.findById(req.user.company)
+      .select('+settings.notificationWebhook.secret');
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
 
-    const { name, country, currency, timezone, address, contact, settings } = req.body;
+    const { name, country, currency, timezone, address, contact, settings, paymentSettings } = req.body;
+
+    if (settings) {
+      const settingsError = await validateApprovalSettings(settings, company) ||
+        (settings.accounting && validateAccountingSettings({ ...company.toObject().settings.accounting, ...settings.accounting }));
+      if (settingsError) {
+        return res.status(400).json({ message: settingsError });
+      }
+    }
+
+    const before = auditService.snapshot(company);
 
     if (name) company.name = name;
     if (country) company.country = country;
@@ -91,13 +529,40 @@ router.put('/', [
     if (timezone) company.timezone = timezone;
     if (address) company.address = { ...company.address, ...address };
     if (contact) company.contact = { ...company.contact, ...contact };
-    if (settings) company.settings = { ...company.settings, ...settings };
+    if (settings) {
+      // Merge into a plain copy: nested paths of the live document are
+      // cleared while company.settings is reassigned
+      const current = company.toObject().settings;
+      // Keep the stored webhook secret unless a new one is given
+      const notificationWebhook = { ...current.notificationWebhook, ...settings.notificationWebhook };
+      // Partial per-diem settings keep the values left out
+      const perDiem = {
+        ...current.perDiem,
+        ...settings.perDiem,
+        mealDeductions: { ...(current.perDiem || {}).mealDeductions, ...(settings.perDiem || {}).mealDeductions }
+      };
+      // Accounting lists left out are kept
+      const accounting = {
+        ...current.accounting,
+        ...settings.accounting,
+        xero: { ...(current.accounting || {}).xero, ...(settings.accounting || {}).xero }
+      };
+      // Categories and custom fields are managed through /api/categories
+      const { categories, customFields, ...changes } = settings;
+      company.settings = { ...current, ...changes, notificationWebhook, perDiem, accounting };
+    }
+    if (paymentSettings) company.paymentSettings = { ...company.paymentSettings, ...paymentSettings };
 
     await company.save();
+    await auditService.record(req, 'company.update', company, before);
+
+    // The webhook secret is write-only
+    const updatedCompany = company.toObject();
+    delete updatedCompany.settings.notificationWebhook.secret;
 
     res.json({
       message: 'Company updated successfully',
-      company
+      company: updatedCompany
     });
   } catch (error) {
     console.error('Update company error:', error);
@@ -105,4 +570,81 @@ router.put('/', [
   }
 });
 
+/**
+ * @swagger
+ * /api/companies/routing-rules/dry-run:
+ *   post:
+ *     summary: Show how a hypothetical expense would be routed
+ *     tags: [Companies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - category
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount in company currency
+ *               category:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               employee:
+ *                 type: string
+ *                 description: Employee to route for, defaults to the current user
+ *     responses:
+ *       200:
+ *         description: Resulting route
+ *       404:
+ *         description: Employee not found
+ */
+router.post('/routing-rules/dry-run', [
+  auth,
+  authorize('admin'),
+  body('amount').isNumeric().withMessage('Amount must be a number'),
+  body('category').notEmpty().withMessage('Category is required'),
+  body('tags').optional().isArray().withMessage('Tags must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { amount, category, tags, employee } = req.body;
+
+    let employeeUser = req.user;
+    if (employee) {
+      employeeUser = await User.findOne({ _id: employee, company: company._id });
+      if (!employeeUser) {
+        return res.status(404).json({ message: 'Employee not found' });
+      }
+    }
+
+    const route = await approvalEngine.previewRoute({
+      convertedAmount: Number(amount),
+      category,
+      tags: tags || []
+    }, employeeUser, company);
+
+    res.json({ route });
+  } catch (error) {
+    console.error('Routing dry-run error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
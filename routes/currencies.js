@@ -1,6 +1,10 @@
 const express = require('express');
 const axios = require('axios');
-const { auth } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const ExchangeRateOverride = require('../models/ExchangeRateOverride');
+const { auth, authorize } = require('../middleware/auth');
+const currencyService = require('../services/currencyService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
@@ -57,15 +61,19 @@ router.get('/countries', auth, async (req, res) => {
  *                 type: string
  *               to:
  *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Convert at the rate of this day, defaults to today
  *     responses:
  *       200:
- *         description: Currency converted successfully
+ *         description: Currency converted successfully, with the day and source of the rate
  *       400:
- *         description: Bad request
+ *         description: Bad request, or no rate is known for the currencies
  */
 router.post('/convert', auth, async (req, res) => {
   try {
-    const { amount, from, to } = req.body;
+    const { amount, from, to, date } = req.body;
 
     if (!amount || !from || !to) {
       return res.status(400).json({ message: 'Amount, from, and to currencies are required' });
@@ -81,21 +89,27 @@ router.post('/convert', auth, async (req, res) => {
       });
     }
 
-    const response = await axios.get(`${process.env.EXCHANGE_RATE_API}/${from}`);
-    const rate = response.data.rates[to];
-
-    if (!rate) {
-      return res.status(400).json({ message: `Conversion rate not found for ${from} to ${to}` });
+    let conversion;
+    try {
+      conversion = await currencyService.convert(amount, from, to, {
+        date: date || new Date(),
+        company: req.user.company
+      });
+    } catch (error) {
+      if (error instanceof currencyService.ExchangeRateError) {
+        return res.status(400).json({ message: error.message });
+      }
+      throw error;
     }
 
-    const convertedAmount = amount * rate;
-
     res.json({
       amount,
-      convertedAmount: Math.round(convertedAmount * 100) / 100,
-      rate: Math.round(rate * 10000) / 10000,
+      convertedAmount: conversion.amount,
+      rate: Math.round(conversion.rate * 10000) / 10000,
       from,
-      to
+      to,
+      date: conversion.date,
+      source: conversion.source
     });
   } catch (error) {
     console.error('Currency conversion error:', error);
@@ -108,6 +122,7 @@ router.post('/convert', auth, async (req, res) => {
  * /api/currencies/rates:
  *   get:
  *     summary: Get exchange rates for a base currency
+ *     description: Returns the stored rates of the day, or of the nearest previous day with rates
  *     tags: [Currencies]
  *     security:
  *       - bearerAuth: []
@@ -117,29 +132,300 @@ router.post('/convert', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
  *     responses:
  *       200:
  *         description: Exchange rates
+ *       404:
+ *         description: No rates are known for the base currency
  */
 router.get('/rates', auth, async (req, res) => {
   try {
-    const { base } = req.query;
+    const { base, date } = req.query;
 
     if (!base) {
       return res.status(400).json({ message: 'Base currency is required' });
     }
 
-    const response = await axios.get(`${process.env.EXCHANGE_RATE_API}/${base}`);
-    
-    res.json({
-      base: response.data.base,
-      rates: response.data.rates,
-      date: response.data.date
-    });
+    let result;
+    try {
+      result = await currencyService.getRates(base, { date: date || new Date() });
+    } catch (error) {
+      if (error instanceof currencyService.ExchangeRateError) {
+        return res.status(404).json({ message: error.message });
+      }
+      throw error;
+    }
+
+    res.json(result);
   } catch (error) {
     console.error('Get exchange rates error:', error);
     res.status(500).json({ message: 'Failed to fetch exchange rates' });
   }
 });
 
+/**
+ * @swagger
+ * /api/currencies/rates/refresh:
+ *   post:
+ *     summary: Fetch current rates from the provider now (Admin only)
+ *     description: Rates are otherwise fetched on a schedule for every company currency
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Base currencies fetched and failed
+ */
+router.post('/rates/refresh', auth, authorize('admin'), async (req, res) => {
+  try {
+    const result = await currencyService.refreshRates();
+
+    res.json({
+      message: 'Exchange rates refreshed',
+      ...result
+    });
+  } catch (error) {
+    console.error('Refresh exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const overrideValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('from').matches(/^[A-Za-z]{3}$/).withMessage('From currency must be 3 letters'),
+    field('to').matches(/^[A-Za-z]{3}$/).withMessage('To currency must be 3 letters'),
+    field('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+    field('effectiveFrom').isISO8601().withMessage('Valid effective date is required'),
+    body('effectiveTo').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required'),
+    body('note').optional({ nullable: true }).isString().withMessage('Note must be a string')
+  ];
+};
+
+/**
+ * @swagger
+ * /api/currencies/overrides:
+ *   get:
+ *     summary: Get the company's manual exchange rates
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of manual exchange rates
+ */
+router.get('/overrides', auth, async (req, res) => {
+  try {
+    const overrides = await ExchangeRateOverride.find({ company: req.user.company })
+      .sort({ from: 1, to: 1, effectiveFrom: -1 });
+
+    res.json({ overrides });
+  } catch (error) {
+    console.error('Get exchange rate overrides error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/currencies/overrides:
+ *   post:
+ *     summary: Add a manual exchange rate (Admin only)
+ *     description: Used instead of provider rates, in both directions, for expenses dated within its effective period
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *               - rate
+ *               - effectiveFrom
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *                 description: Units of the to currency for one unit of the from currency
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Manual exchange rate created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/overrides', [
+  auth,
+  authorize('admin'),
+  ...overrideValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, rate, effectiveFrom, effectiveTo, note } = req.body;
+
+    if (from.toUpperCase() === to.toUpperCase()) {
+      return res.status(400).json({ message: 'From and to currencies must differ' });
+    }
+    if (effectiveTo && new Date(effectiveTo) < new Date(effectiveFrom)) {
+      return res.status(400).json({ message: 'End date must be on or after the effective date' });
+    }
+
+    const override = new ExchangeRateOverride({
+      company: req.user.company,
+      from,
+      to,
+      rate,
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      note: note || null,
+      createdBy: req.user._id
+    });
+
+    await override.save();
+    await auditService.record(req, 'exchange_rate_override.create', override);
+
+    res.status(201).json({
+      message: 'Manual exchange rate created successfully',
+      override
+    });
+  } catch (error) {
+    console.error('Create exchange rate override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/currencies/overrides/{id}:
+ *   put:
+ *     summary: Update a manual exchange rate (Admin only)
+ *     description: Expenses already converted keep the rate they were converted at
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Manual exchange rate updated successfully
+ *       404:
+ *         description: Manual exchange rate not found
+ */
+router.put('/overrides/:id', [
+  auth,
+  authorize('admin'),
+  ...overrideValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const override = await ExchangeRateOverride.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!override) {
+      return res.status(404).json({ message: 'Manual exchange rate not found' });
+    }
+
+    const before = auditService.snapshot(override);
+
+    ['from', 'to', 'rate', 'effectiveFrom', 'effectiveTo', 'note'].forEach(field => {
+      if (req.body[field] !== undefined) override[field] = req.body[field];
+    });
+
+    if (override.from === override.to) {
+      return res.status(400).json({ message: 'From and to currencies must differ' });
+    }
+    if (override.effectiveTo && override.effectiveTo < override.effectiveFrom) {
+      return res.status(400).json({ message: 'End date must be on or after the effective date' });
+    }
+
+    await override.save();
+    await auditService.record(req, 'exchange_rate_override.update', override, before);
+
+    res.json({
+      message: 'Manual exchange rate updated successfully',
+      override
+    });
+  } catch (error) {
+    console.error('Update exchange rate override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/currencies/overrides/{id}:
+ *   delete:
+ *     summary: Delete a manual exchange rate (Admin only)
+ *     tags: [Currencies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Manual exchange rate deleted successfully
+ *       404:
+ *         description: Manual exchange rate not found
+ */
+router.delete('/overrides/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const override = await ExchangeRateOverride.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!override) {
+      return res.status(404).json({ message: 'Manual exchange rate not found' });
+    }
+
+    const before = auditService.snapshot(override);
+
+    await override.deleteOne();
+    await auditService.record(req, 'exchange_rate_override.delete', override, before, { deleted: true });
+
+    res.json({ message: 'Manual exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
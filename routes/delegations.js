@@ -0,0 +1,326 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Only the delegator and admins may change a delegation
+const canManage = (user, delegation) =>
+  user.role === 'admin' || delegation.delegator.toString() === user._id.toString();
+
+/**
+ * @swagger
+ * /api/delegations:
+ *   get:
+ *     summary: Get delegations
+ *     description: Admins see all delegations of the company, other users those they give or receive
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return delegations in force now
+ *     responses:
+ *       200:
+ *         description: List of delegations
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { company: req.user.company };
+
+    if (req.user.role !== 'admin') {
+      filter.$or = [{ delegator: req.user._id }, { delegate: req.user._id }];
+    }
+
+    if (req.query.active === 'true') {
+      const now = new Date();
+      filter.isActive = true;
+      filter.startDate = { $lte: now };
+      filter.endDate = { $gte: now };
+    }
+
+    const delegations = await Delegation.find(filter)
+      .populate('delegator', 'firstName lastName email')
+      .populate('delegate', 'firstName lastName email')
+      .sort({ startDate: -1 });
+
+    res.json({ delegations });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations:
+ *   post:
+ *     summary: Create a delegation
+ *     description: Managers and admins delegate their own approvals; admins may also set the delegator
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delegate
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               delegator:
+ *                 type: string
+ *                 description: Defaults to the current user (Admin only)
+ *               delegate:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               scope:
+ *                 type: object
+ *                 properties:
+ *                   maxAmount:
+ *                     type: number
+ *                     description: Highest amount in company currency the delegate may approve
+ *                   categories:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Delegation created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  auth,
+  body('delegate').isMongoId().withMessage('Valid delegate is required'),
+  body('delegator').optional().isMongoId().withMessage('Invalid delegator'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('scope.maxAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+  body('scope.categories').optional().isArray().withMessage('Categories must be an array'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { delegate, startDate, endDate, scope, reason } = req.body;
+    const delegatorId = req.body.delegator || req.user._id.toString();
+
+    if (delegatorId !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You can only delegate your own approvals' });
+    }
+
+    if (delegatorId === delegate) {
+      return res.status(400).json({ message: 'A user cannot delegate to themselves' });
+    }
+
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    const [delegator, delegateUser] = await Promise.all([
+      User.findOne({ _id: delegatorId, company: req.user.company, isActive: true }),
+      User.findOne({ _id: delegate, company: req.user.company, isActive: true })
+    ]);
+
+    if (!delegator || !delegateUser) {
+      return res.status(400).json({ message: 'Delegator and delegate must be active users of this company' });
+    }
+
+    // Approving requires a manager or admin role
+    if (!['manager', 'admin'].includes(delegator.role) || !['manager', 'admin'].includes(delegateUser.role)) {
+      return res.status(400).json({ message: 'Delegator and delegate must be managers or admins' });
+    }
+
+    const delegation = new Delegation({
+      company: req.user.company,
+      delegator: delegator._id,
+      delegate: delegateUser._id,
+      startDate,
+      endDate,
+      scope: {
+        maxAmount: scope && scope.maxAmount !== undefined ? scope.maxAmount : null,
+        categories: (scope && scope.categories) || []
+      },
+      reason,
+      createdBy: req.user._id
+    });
+
+    await delegation.save();
+    await auditService.record(req, 'delegation.create', delegation);
+
+    res.status(201).json({
+      message: 'Delegation created successfully',
+      delegation
+    });
+  } catch (error) {
+    console.error('Create delegation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations/{id}:
+ *   put:
+ *     summary: Update a delegation's dates, scope or reason
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               scope:
+ *                 type: object
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delegation updated successfully
+ *       404:
+ *         description: Delegation not found
+ */
+router.put('/:id', [
+  auth,
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('scope.maxAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+  body('scope.categories').optional().isArray().withMessage('Categories must be an array'),
+  body('reason').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delegation = await Delegation.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    if (!canManage(req.user, delegation)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!delegation.isActive) {
+      return res.status(400).json({ message: 'Revoked delegations cannot be changed' });
+    }
+
+    const before = auditService.snapshot(delegation);
+    const { startDate, endDate, scope, reason } = req.body;
+
+    if (startDate) delegation.startDate = startDate;
+    if (endDate) delegation.endDate = endDate;
+    if (scope) {
+      if (scope.maxAmount !== undefined) delegation.scope.maxAmount = scope.maxAmount;
+      if (scope.categories) delegation.scope.categories = scope.categories;
+    }
+    if (reason !== undefined) delegation.reason = reason;
+
+    if (delegation.endDate < delegation.startDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    await delegation.save();
+    await auditService.record(req, 'delegation.update', delegation, before);
+
+    res.json({
+      message: 'Delegation updated successfully',
+      delegation
+    });
+  } catch (error) {
+    console.error('Update delegation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delegations/{id}:
+ *   delete:
+ *     summary: Revoke a delegation
+ *     description: Approvals already routed to the delegate stay with them
+ *     tags: [Delegations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delegation revoked successfully
+ *       404:
+ *         description: Delegation not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const delegation = await Delegation.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!delegation) {
+      return res.status(404).json({ message: 'Delegation not found' });
+    }
+
+    if (!canManage(req.user, delegation)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = auditService.snapshot(delegation);
+
+    delegation.isActive = false;
+    await delegation.save();
+    await auditService.record(req, 'delegation.revoke', delegation, before);
+
+    res.json({ message: 'Delegation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke delegation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,26 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
+const mongoose = require('mongoose');
+const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const Expense = require('../models/Expense');
 const Approval = require('../models/Approval');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const Merchant = require('../models/Merchant');
+const { VEHICLE_TYPES, DISTANCE_UNITS } = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
 const { auth, authorize, checkCompanyAccess } = require('../middleware/auth');
-const axios = require('axios');
+const { upload, describeFile } = require('../middleware/upload');
+const approvalEngine = require('../services/approvalEngine');
+const policyService = require('../services/policyService');
+const currencyService = require('../services/currencyService');
+const moneyService = require('../services/moneyService');
+const pricingService = require('../services/pricingService');
+const categoryService = require('../services/categoryService');
+const codingService = require('../services/codingService');
+const delegationService = require('../services/delegationService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
 let ocrService = null;
 try {
   ocrService = require('../services/ocrService');
@@ -17,57 +30,239 @@ try {
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/receipts/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// Drafts may leave fields out, but whatever is provided must still be valid
+const draftable = (field) => body(field).if((value, { req }) => {
+  const isDraft = req.body.draft === true || req.body.draft === 'true';
+  return !isDraft || value !== undefined;
 });
 
-const upload = multer({ 
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|pdf/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only images and PDF files are allowed'));
-    }
+const isMileage = (req) => req.body.kind === 'mileage';
+const isPerDiem = (req) => req.body.kind === 'per_diem';
+// Mileage and per-diem amounts are calculated, so only standard expenses supply them
+const isStandard = (req) => !isMileage(req) && !isPerDiem(req);
+
+// Statuses in which only the employee edits an expense, and the only ones
+// in which a receipt can be attached or replaced
+const OWNER_ONLY_STATUSES = ['draft', 'changes_requested'];
+
+// Uploaded receipts are kept only when attached to an expense
+const discardUpload = (file) => {
+  fs.unlink(file.path, () => {});
+};
+
+// Category of calculated expenses when none is given, if the company has it
+const DEFAULT_CATEGORIES = {
+  mileage: 'transportation',
+  per_diem: 'travel'
+};
+
+const defaultCategory = (kind, company) => {
+  const code = DEFAULT_CATEGORIES[kind];
+  return code && !categoryService.checkCategory(company, code) ? code : undefined;
+};
+
+const mileageValidators = [
+  body('mileage.distance').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Distance must be a positive number'),
+  body('mileage.unit').optional().isIn(DISTANCE_UNITS).withMessage('Unit must be km or mi'),
+  body('mileage.vehicleType').optional().isIn(VEHICLE_TYPES).withMessage('Invalid vehicle type'),
+  body('mileage.waypoints').optional().isArray().withMessage('Waypoints must be an array'),
+  body(['mileage.origin.latitude', 'mileage.destination.latitude', 'mileage.waypoints.*.latitude'])
+    .optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body(['mileage.origin.longitude', 'mileage.destination.longitude', 'mileage.waypoints.*.longitude'])
+    .optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+const perDiemValidators = [
+  body('perDiem.country').optional().matches(/^[A-Za-z]{2}$/).withMessage('Country must be a two-letter ISO code'),
+  body('perDiem.city').optional({ nullable: true })
+    .isString().withMessage('City must be a string'),
+  body('perDiem.departureDate').optional().isISO8601().withMessage('Valid departure date is required'),
+  body('perDiem.returnDate').optional().isISO8601().withMessage('Valid return date is required'),
+  body('perDiem.lodgingProvided').optional().isBoolean().withMessage('Lodging provided must be a boolean'),
+  body('perDiem.providedMeals').optional().isArray().withMessage('Provided meals must be an array'),
+  body('perDiem.providedMeals.*.date').isISO8601().withMessage('Valid provided meal date is required'),
+  body(['perDiem.providedMeals.*.breakfast', 'perDiem.providedMeals.*.lunch', 'perDiem.providedMeals.*.dinner'])
+    .optional().isBoolean().withMessage('Provided meals must be true or false')
+];
+
+const OCR_CONFIDENCE_FIELDS = ['merchant', 'date', 'currency', 'amount', 'subtotal', 'tax', 'tip', 'items', 'category'];
+
+const ocrDataValidators = [
+  body('ocrData.extractedText').optional({ nullable: true })
+    .isString().withMessage('Extracted text must be a string').isLength({ max: 20000 }).withMessage('Extracted text must be at most 20000 characters'),
+  body('ocrData.merchant').optional({ nullable: true })
+    .isString().withMessage('OCR merchant must be a string').isLength({ max: 200 }).withMessage('OCR merchant must be at most 200 characters'),
+  body('ocrData.merchantId').optional({ nullable: true }).isMongoId().withMessage('Invalid OCR merchant'),
+  body(['ocrData.date', 'ocrData.processedAt']).optional({ nullable: true }).isISO8601().withMessage('OCR dates must be valid dates'),
+  body('ocrData.currency').optional({ nullable: true }).matches(/^[A-Za-z]{3}$/).withMessage('OCR currency must be a three-letter code'),
+  body(['ocrData.amount', 'ocrData.subtotal', 'ocrData.tip']).optional({ nullable: true }).isFloat().withMessage('OCR amounts must be numbers'),
+  body('ocrData.tax').optional({ nullable: true }).isArray({ max: 10 }).withMessage('OCR tax must be an array of at most 10 lines'),
+  body('ocrData.tax.*.label').optional({ nullable: true })
+    .isString().withMessage('Tax label must be a string').isLength({ max: 50 }).withMessage('Tax label must be at most 50 characters'),
+  body('ocrData.tax.*.rate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('ocrData.tax.*.amount').optional({ nullable: true }).isFloat().withMessage('Tax amount must be a number'),
+  body('ocrData.tax.*.included').optional({ nullable: true }).isBoolean().withMessage('Tax included flag must be a boolean'),
+  body('ocrData.items').optional({ nullable: true }).isArray({ max: 200 }).withMessage('OCR items must be an array of at most 200 lines'),
+  body('ocrData.items.*.description').optional({ nullable: true })
+    .isString().withMessage('Item description must be a string').isLength({ max: 200 }).withMessage('Item description must be at most 200 characters'),
+  body('ocrData.items.*.quantity').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Item quantity must be a positive number'),
+  body(['ocrData.items.*.unitPrice', 'ocrData.items.*.amount']).optional({ nullable: true }).isFloat().withMessage('Item amounts must be numbers'),
+  body('ocrData.itemsMatchSubtotal').optional({ nullable: true }).isBoolean().withMessage('Items match flag must be a boolean'),
+  body('ocrData.confidence').optional({ nullable: true }).isObject().withMessage('OCR confidence must be an object'),
+  body(OCR_CONFIDENCE_FIELDS.map(field => `ocrData.confidence.${field}`))
+    .optional({ nullable: true }).isFloat({ min: 0, max: 1 }).withMessage('OCR confidence must be between 0 and 1')
+];
+
+// Copy mileage details from a request onto the expense. An entered
+// distance is kept as is; otherwise it is computed from the coordinates of
+// the stops when the expense is priced.
+const applyMileageInput = (expense, input = {}) => {
+  if (!expense.mileage) {
+    expense.mileage = {};
   }
-});
 
-// Helper function to convert currency
-const convertCurrency = async (amount, fromCurrency, toCurrency) => {
-  try {
-    if (fromCurrency === toCurrency) {
-      return { amount, rate: 1 };
-    }
+  const mileage = expense.mileage;
+  ['origin', 'destination', 'waypoints', 'unit', 'vehicleType'].forEach(field => {
+    if (input[field] !== undefined) mileage[field] = input[field];
+  });
 
-    const response = await axios.get(`${process.env.EXCHANGE_RATE_API}/${fromCurrency}`);
-    const rate = response.data.rates[toCurrency];
-    
-    if (!rate) {
-      throw new Error(`Currency conversion rate not found for ${fromCurrency} to ${toCurrency}`);
-    }
+  if (input.distance !== undefined && input.distance !== null) {
+    mileage.distance = input.distance;
+    mileage.distanceSource = 'manual';
+  } else if (input.distance === null || mileage.distanceSource === 'coordinates' ||
+    mileage.distance === undefined || mileage.distance === null) {
+    mileage.distance = null;
+    mileage.distanceSource = 'coordinates';
+  }
+};
 
-    return {
-      amount: amount * rate,
-      rate
-    };
-  } catch (error) {
-    console.error('Currency conversion error:', error);
-    throw error;
+// Admins and whoever is deciding an open approval of the expense, or of its
+// report, may code it
+const canCode = async (user, expense) => {
+  if (user.role === 'admin') return true;
+
+  const approvals = await Approval.find({
+    status: 'pending',
+    $or: [{ expense: expense._id }, ...(expense.report ? [{ report: expense.report }] : [])]
+  }).populate('report');
+
+  for (const approval of approvals) {
+    const actor = await delegationService.resolveActor(user, approval, approval.report || expense);
+    if (actor.allowed) return true;
   }
+  return false;
 };
 
+// Copy per-diem trip details from a request onto the expense
+const applyPerDiemInput = (expense, input = {}) => {
+  if (!expense.perDiem) {
+    expense.perDiem = {};
+  }
+
+  ['country', 'city', 'departureDate', 'returnDate', 'lodgingProvided', 'providedMeals'].forEach(field => {
+    if (input[field] !== undefined) expense.perDiem[field] = input[field];
+  });
+};
+
+// The OCR result sent back with a new expense, keeping only the fields
+// /api/expenses/ocr-process returns. A merchant outside the company's
+// directory is dropped.
+const pickOcrData = async (input, companyId) => {
+  const pick = (source, fields) => fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+
+  const ocrData = pick(input, ['extractedText', 'merchant', 'date', 'amount', 'subtotal', 'tip', 'itemsMatchSubtotal', 'processedAt']);
+  if (input.currency) ocrData.currency = input.currency.toUpperCase();
+  if (input.tax) ocrData.tax = input.tax.map(line => pick(line, ['label', 'rate', 'amount', 'included']));
+  if (input.items) ocrData.items = input.items.map(item => pick(item, ['description', 'quantity', 'unitPrice', 'amount']));
+  if (input.confidence) ocrData.confidence = pick(input.confidence, OCR_CONFIDENCE_FIELDS);
+
+  ocrData.merchantId = input.merchantId && await Merchant.exists({ _id: input.merchantId, company: companyId })
+    ? input.merchantId
+    : null;
+
+  return ocrData;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Location:
+ *       type: object
+ *       properties:
+ *         address:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *     MileageInput:
+ *       type: object
+ *       description: Give the distance, or coordinates for every stop to have it computed as the great-circle distance
+ *       properties:
+ *         origin:
+ *           $ref: '#/components/schemas/Location'
+ *         destination:
+ *           $ref: '#/components/schemas/Location'
+ *         waypoints:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Location'
+ *         distance:
+ *           type: number
+ *         unit:
+ *           type: string
+ *           enum: [km, mi]
+ *         vehicleType:
+ *           type: string
+ *           enum: [car, electric_car, motorcycle, bicycle, van]
+ *     Coding:
+ *       type: object
+ *       description: Codes from the company's accounting lists; null clears a dimension
+ *       properties:
+ *         glAccount:
+ *           type: string
+ *         costCenter:
+ *           type: string
+ *         project:
+ *           type: string
+ *         department:
+ *           type: string
+ *     PerDiemInput:
+ *       type: object
+ *       properties:
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 code
+ *         city:
+ *           type: string
+ *         departureDate:
+ *           type: string
+ *           format: date
+ *         returnDate:
+ *           type: string
+ *           format: date
+ *         lodgingProvided:
+ *           type: boolean
+ *         providedMeals:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               breakfast:
+ *                 type: boolean
+ *               lunch:
+ *                 type: boolean
+ *               dinner:
+ *                 type: boolean
+ */
+
 /**
  * @swagger
  * /api/expenses:
@@ -81,7 +276,7 @@ const convertCurrency = async (amount, fromCurrency, toCurrency) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected, partially_approved]
+ *           enum: [draft, pending, approved, rejected, partially_approved, changes_requested]
  *       - in: query
  *         name: category
  *         schema:
@@ -120,6 +315,11 @@ router.get('/', auth, checkCompanyAccess, async (req, res) => {
     }
     // Admins can see all expenses (no additional filtering)
 
+    // Drafts are private to the employee who owns them
+    if (req.user.role !== 'employee') {
+      query.$or = [{ status: { $ne: 'draft' } }, { employee: req.user._id }];
+    }
+
     if (status) query.status = status;
     if (category) query.category = category;
     if (employee) query.employee = employee;
@@ -162,14 +362,29 @@ router.get('/', auth, checkCompanyAccess, async (req, res) => {
  *               - category
  *               - description
  *               - expenseDate
+ *             description: Required fields may be omitted when saving a draft
  *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [standard, mileage, per_diem]
+ *                 description: Mileage and per-diem expenses are priced by the server; amount and currency are ignored
  *               amount:
  *                 type: number
  *               currency:
  *                 type: string
  *               category:
  *                 type: string
- *                 enum: [travel, meals, accommodation, transportation, office_supplies, entertainment, utilities, communication, training, other]
+ *                 description: Code of an active company category; defaults to transportation for mileage and travel for per diems
+ *               customFields:
+ *                 type: object
+ *                 description: Values of the company's custom fields for the category, by field key
+ *                 additionalProperties: true
+ *               coding:
+ *                 $ref: '#/components/schemas/Coding'
+ *               mileage:
+ *                 $ref: '#/components/schemas/MileageInput'
+ *               perDiem:
+ *                 $ref: '#/components/schemas/PerDiemInput'
  *               description:
  *                 type: string
  *               expenseDate:
@@ -179,19 +394,39 @@ router.get('/', auth, checkCompanyAccess, async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *               draft:
+ *                 type: boolean
+ *                 description: Save without submitting; required fields may be left out
+ *               ocrData:
+ *                 type: object
+ *                 description: The ocrData returned by /api/expenses/ocr-process for the scanned receipt; other fields are ignored and a merchantId outside the company's directory is cleared
  *     responses:
  *       201:
  *         description: Expense created successfully
  *       400:
- *         description: Bad request
+ *         description: Bad request or blocking policy violations
  */
 router.post('/', [
   auth,
-  body('amount').isNumeric().withMessage('Amount must be a number'),
-  body('currency').notEmpty().withMessage('Currency is required'),
-  body('category').isIn(['travel', 'meals', 'accommodation', 'transportation', 'office_supplies', 'entertainment', 'utilities', 'communication', 'training', 'other']).withMessage('Invalid category'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('expenseDate').isISO8601().withMessage('Valid date is required')
+  body('draft').optional().isBoolean().withMessage('Draft must be a boolean'),
+  body('kind').optional().isIn(Expense.EXPENSE_KINDS).withMessage('Invalid expense kind'),
+  draftable('amount').if((value, { req }) => isStandard(req)).isNumeric().withMessage('Amount must be a number'),
+  draftable('currency').if((value, { req }) => isStandard(req)).notEmpty().withMessage('Currency is required'),
+  draftable('mileage.origin').if((value, { req }) => isMileage(req)).isObject().withMessage('Origin is required'),
+  draftable('mileage.destination').if((value, { req }) => isMileage(req)).isObject().withMessage('Destination is required'),
+  draftable('perDiem.country').if((value, { req }) => isPerDiem(req)).notEmpty().withMessage('Destination country is required'),
+  draftable('perDiem.departureDate').if((value, { req }) => isPerDiem(req)).notEmpty().withMessage('Departure date is required'),
+  draftable('perDiem.returnDate').if((value, { req }) => isPerDiem(req)).notEmpty().withMessage('Return date is required'),
+  ...mileageValidators,
+  ...perDiemValidators,
+  draftable('category').if((value, { req }) => isStandard(req) || value !== undefined).isString().notEmpty().withMessage('Category is required'),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object'),
+  body('coding').optional().isObject().withMessage('Coding must be an object'),
+  body('ocrData').optional().isObject().withMessage('OCR data must be an object'),
+  ...ocrDataValidators,
+  draftable('description').notEmpty().withMessage('Description is required'),
+  // A per-diem expense is dated by its departure
+  draftable('expenseDate').if((value, { req }) => !isPerDiem(req)).isISO8601().withMessage('Valid date is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -199,7 +434,10 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, currency, category, description, expenseDate, tags } = req.body;
+    const { amount, currency, category, description, expenseDate, tags, draft, mileage, perDiem, customFields, coding, ocrData } = req.body;
+    const isDraft = draft === true || draft === 'true';
+    const kind = req.body.kind || 'standard';
+    const isCalculated = kind !== 'standard';
 
     // Get company details
     const company = await Company.findById(req.user.company);
@@ -207,39 +445,105 @@ router.post('/', [
       return res.status(400).json({ message: 'Company not found' });
     }
 
-    // Convert currency
-    const conversion = await convertCurrency(amount, currency, company.currency);
+    if (category) {
+      const categoryError = categoryService.checkCategory(company, category.toLowerCase());
+      if (categoryError) {
+        return res.status(400).json({ message: categoryError });
+      }
+    }
 
     // Create expense
     const expense = new Expense({
       employee: req.user._id,
       company: req.user.company,
-      amount,
-      currency: currency.toUpperCase(),
-      convertedAmount: conversion.amount,
+      status: isDraft ? 'draft' : 'pending',
+      kind,
+      amount: isCalculated ? undefined : amount,
+      currency: currency && !isCalculated ? currency.toUpperCase() : undefined,
       companyCurrency: company.currency,
-      exchangeRate: conversion.rate,
-      category,
+      category: category || defaultCategory(kind, company),
       description,
-      expenseDate: new Date(expenseDate),
+      expenseDate: expenseDate ? new Date(expenseDate) : undefined,
       tags: tags || []
     });
 
-    await expense.save();
+    if (kind === 'mileage') applyMileageInput(expense, mileage);
+    if (kind === 'per_diem') applyPerDiemInput(expense, perDiem);
+    // Kept as read from the receipt, whatever the employee corrected
+    if (ocrData && !isCalculated) expense.ocrData = await pickOcrData(ocrData, req.user.company);
+
+    const precisionError = expense.amount !== undefined && expense.currency
+      ? moneyService.checkPrecision(expense.amount, expense.currency)
+      : null;
+    if (precisionError) {
+      return res.status(400).json({ message: precisionError });
+    }
+
+    const fieldErrors = [
+      ...categoryService.applyCustomFields(expense, customFields, company),
+      ...codingService.applyCoding(expense, coding, company)
+    ];
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ errors: fieldErrors });
+    }
+    codingService.applyDefaults(expense, company, req.user);
+
+    if (isCalculated) {
+      const pricingError = await pricingService.applyToExpense(expense, company);
+      if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+      }
+    }
+
+    const missingFields = isDraft ? [] : expense.getMissingFields(company);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: 'Expense is incomplete',
+        missingFields
+      });
+    }
 
-    // Create initial approval
-    const manager = await User.findById(req.user.manager);
-    if (manager) {
-      const approval = new Approval({
-        expense: expense._id,
-        approver: manager._id,
-        level: 1,
-        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
+    // Convert currency at the rate of the expense date
+    const currencyError = await currencyService.applyToExpense(expense, company);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+
+    if (!isDraft) {
+      // Check company expense policy. Receipts are attached to drafts, so an
+      // expense that needs one is created as a draft and submitted after.
+      const violations = await policyService.evaluate(expense, company);
+      const blocking = policyService.getBlockingViolations(violations, company);
+      if (blocking.length > 0) {
+        return res.status(400).json({
+          message: 'Expense violates company policy',
+          violations: blocking
+        });
+      }
+      expense.policyViolations = violations;
+      expense.submittedAt = new Date();
+    }
+
+    // The expense, its first approvals and the audit entry are written
+    // together, so a failing approval chain leaves nothing behind
+    let approvals = [];
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        expense.$session(session);
+        if (!isDraft) {
+          // Start the company approval chain
+          approvals = await approvalEngine.start(expense, req.user, company);
+        }
+        await expense.save();
+        await auditService.record(req, 'expense.create', expense);
       });
-      await approval.save();
+    } finally {
+      await session.endSession();
+    }
 
-      expense.currentApprover = manager._id;
-      await expense.save();
+    for (const approval of approvals) {
+      await notificationService.approvalRequested(approval, expense);
     }
 
     const populatedExpense = await Expense.findById(expense._id)
@@ -247,7 +551,7 @@ router.post('/', [
       .populate('currentApprover', 'firstName lastName email');
 
     res.status(201).json({
-      message: 'Expense created successfully',
+      message: isDraft ? 'Draft expense saved successfully' : 'Expense created successfully',
       expense: populatedExpense
     });
   } catch (error) {
@@ -292,7 +596,8 @@ router.get('/:id', auth, checkCompanyAccess, async (req, res) => {
     }
 
     // Check access permissions
-    if (req.user.role === 'employee' && expense.employee._id.toString() !== req.user._id.toString()) {
+    const isOwner = expense.employee._id.toString() === req.user._id.toString();
+    if (!isOwner && (req.user.role === 'employee' || expense.status === 'draft')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -326,10 +631,22 @@ router.get('/:id', auth, checkCompanyAccess, async (req, res) => {
  *             properties:
  *               amount:
  *                 type: number
+ *                 description: Not accepted for mileage and per-diem expenses
  *               currency:
  *                 type: string
  *               category:
  *                 type: string
+ *                 description: Code of an active company category
+ *               customFields:
+ *                 type: object
+ *                 description: Values to set by field key; null clears a value
+ *                 additionalProperties: true
+ *               coding:
+ *                 $ref: '#/components/schemas/Coding'
+ *               mileage:
+ *                 $ref: '#/components/schemas/MileageInput'
+ *               perDiem:
+ *                 $ref: '#/components/schemas/PerDiemInput'
  *               description:
  *                 type: string
  *               expenseDate:
@@ -342,6 +659,8 @@ router.get('/:id', auth, checkCompanyAccess, async (req, res) => {
  *     responses:
  *       200:
  *         description: Expense updated successfully
+ *       400:
+ *         description: Bad request or blocking policy violations
  *       404:
  *         description: Expense not found
  */
@@ -349,8 +668,14 @@ router.put('/:id', [
   auth,
   body('amount').optional().isNumeric().withMessage('Amount must be a number'),
   body('currency').optional().notEmpty().withMessage('Currency is required'),
-  body('category').optional().isIn(['travel', 'meals', 'accommodation', 'transportation', 'office_supplies', 'entertainment', 'utilities', 'communication', 'training', 'other']).withMessage('Invalid category'),
-  body('expenseDate').optional().isISO8601().withMessage('Valid date is required')
+  body('category').optional().isString().notEmpty().withMessage('Category is required'),
+  body('customFields').optional().isObject().withMessage('Custom fields must be an object'),
+  body('coding').optional().isObject().withMessage('Coding must be an object'),
+  body('expenseDate').optional().isISO8601().withMessage('Valid date is required'),
+  body('mileage').optional().isObject().withMessage('Mileage must be an object'),
+  body('perDiem').optional().isObject().withMessage('Per diem must be an object'),
+  ...mileageValidators,
+  ...perDiemValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -367,39 +692,128 @@ router.put('/:id', [
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Check if user can edit this expense
-    if (req.user.role === 'employee' && expense.employee.toString() !== req.user._id.toString()) {
+    // Check if user can edit this expense. Drafts and expenses sent back
+    // for changes are in the employee's hands, so only they edit them.
+    const isOwner = expense.employee.toString() === req.user._id.toString();
+    if (!isOwner && (req.user.role === 'employee' || OWNER_ONLY_STATUSES.includes(expense.status))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Only allow editing if expense is pending
-    if (expense.status !== 'pending') {
+    // Only drafts, expenses sent back for changes and expenses still
+    // awaiting approval can be edited
+    if (!['draft', 'pending', 'changes_requested'].includes(expense.status)) {
       return res.status(400).json({ message: 'Cannot edit approved or rejected expense' });
     }
 
-    const { amount, currency, category, description, expenseDate, tags } = req.body;
+    // Lines of a submitted report are decided together with the report
+    if (expense.report && expense.status === 'pending') {
+      return res.status(400).json({ message: 'Cannot edit an expense in a submitted report' });
+    }
+
+    const { amount, currency, category, description, expenseDate, tags, mileage, perDiem, customFields, coding } = req.body;
+
+    if (pricingService.isCalculated(expense) && (amount !== undefined || currency !== undefined)) {
+      return res.status(400).json({ message: 'The amount of a mileage or per-diem expense is calculated from its details' });
+    }
+
+    if (expense.kind !== 'mileage' && mileage !== undefined) {
+      return res.status(400).json({ message: 'Only mileage expenses have mileage details' });
+    }
+
+    if (expense.kind !== 'per_diem' && perDiem !== undefined) {
+      return res.status(400).json({ message: 'Only per-diem expenses have per-diem details' });
+    }
+
+    const company = await Company.findById(req.user.company);
+
+    // Expenses keep a category that was since deactivated until it is changed
+    if (category !== undefined && category.toLowerCase() !== expense.category) {
+      const categoryError = categoryService.checkCategory(company, category.toLowerCase());
+      if (categoryError) {
+        return res.status(400).json({ message: categoryError });
+      }
+    }
+
+    const before = auditService.snapshot(expense);
+    const previousCategory = categoryService.getCategory(company, expense.category);
 
     // Update fields
     if (amount !== undefined) expense.amount = amount;
-    if (currency !== undefined) expense.currency = currency;
+    if (currency !== undefined) expense.currency = currency.toUpperCase();
     if (category !== undefined) expense.category = category;
     if (description !== undefined) expense.description = description;
     if (expenseDate !== undefined) expense.expenseDate = new Date(expenseDate);
     if (tags !== undefined) expense.tags = tags;
+    if (mileage !== undefined) applyMileageInput(expense, mileage);
+    if (perDiem !== undefined) applyPerDiemInput(expense, perDiem);
+
+    if ((amount !== undefined || currency !== undefined) && expense.amount !== undefined && expense.amount !== null && expense.currency) {
+      const precisionError = moneyService.checkPrecision(expense.amount, expense.currency);
+      if (precisionError) {
+        return res.status(400).json({ message: precisionError });
+      }
+    }
+
+    // Values of fields that no longer apply are dropped with a category change
+    const fieldErrors = category !== undefined || customFields !== undefined
+      ? categoryService.applyCustomFields(expense, customFields, company)
+      : [];
+    fieldErrors.push(...codingService.applyCoding(expense, coding, company));
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ errors: fieldErrors });
+    }
+
+    // A GL account taken from the old category follows the new one
+    if (previousCategory && previousCategory.code !== expense.category &&
+        expense.coding.glAccount === previousCategory.glAccount && !(coding && coding.glAccount)) {
+      expense.coding.glAccount = null;
+    }
+    codingService.applyDefaults(expense, company, await User.findById(expense.employee));
 
-    // Recalculate currency conversion if amount or currency changed
-    if (amount !== undefined || currency !== undefined) {
-      const company = await Company.findById(req.user.company);
-      const conversion = await convertCurrency(
-        expense.amount, 
-        expense.currency, 
-        company.currency
-      );
-      expense.convertedAmount = conversion.amount;
-      expense.exchangeRate = conversion.rate;
+    // Re-price mileage and per diems when the trip or its date changed
+    const repriced = pricingService.isCalculated(expense) &&
+      (mileage !== undefined || perDiem !== undefined || expenseDate !== undefined);
+    if (repriced) {
+      const pricingError = await pricingService.applyToExpense(expense, company);
+      if (pricingError) {
+        return res.status(400).json({ message: pricingError });
+      }
+    }
+
+    const missingFields = expense.status === 'draft' ? [] : expense.getMissingFields(company);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: 'Expense is incomplete',
+        missingFields
+      });
+    }
+
+    // Recalculate currency conversion if amount, currency or date changed
+    if (amount !== undefined || currency !== undefined || expenseDate !== undefined || repriced) {
+      const currencyError = await currencyService.applyToExpense(expense, company);
+      if (currencyError) {
+        return res.status(400).json({ message: currencyError });
+      }
+    }
+
+    // Re-check company expense policy; drafts are checked on submission, as
+    // are receipts of expenses sent back for changes
+    if (expense.status !== 'draft') {
+      const violations = await policyService.evaluate(expense, company);
+      const blocking = policyService.getBlockingViolations(violations, company, {
+        allowMissingReceipt: expense.status === 'changes_requested'
+      });
+      if (blocking.length > 0) {
+        return res.status(400).json({
+          message: 'Expense violates company policy',
+          violations: blocking
+        });
+      }
+      expense.policyViolations = violations;
     }
 
     await expense.save();
+    await auditService.record(req, 'expense.update', expense, before);
 
     const updatedExpense = await Expense.findById(expense._id)
       .populate('employee', 'firstName lastName email')
@@ -420,6 +834,13 @@ router.put('/:id', [
  * /api/expenses/ocr-process:
  *   post:
  *     summary: Process receipt with OCR and auto-fill expense data
+ *     description: >
+ *       Detects the receipt currency from ISO codes and symbols, reads amounts printed as 1,234.56 or
+ *       1.234,56, and reports a confidence from 0 to 1 per detected field. When the currency is
+ *       ambiguous the employee's default currency is used, then the company's. The amount is the
+ *       grand total; subtotal, tax lines with their rates, tip and line items are returned
+ *       separately, with whether the items add up to the subtotal. Merchant names are matched
+ *       against the company's merchant directory, whose category is then suggested.
  *     tags: [Expenses]
  *     security:
  *       - bearerAuth: []
@@ -451,10 +872,21 @@ router.post('/ocr-process', auth, upload.single('receipt'), async (req, res) =>
       });
     }
 
+    // Get company details for categories and currency conversion
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(400).json({ message: 'Company not found' });
+    }
+
     console.log('Processing receipt with OCR:', req.file.filename);
 
+    const merchants = await Merchant.find({ company: company._id, isActive: true });
+
     // Process the receipt with OCR
-    const ocrResult = await ocrService.processReceipt(req.file.path);
+    const ocrResult = await ocrService.processReceipt(req.file.path, company.settings.categories, {
+      defaultCurrencies: [req.user.defaultCurrency, company.currency].filter(Boolean),
+      merchants
+    });
 
     if (!ocrResult.success) {
       return res.status(400).json({
@@ -463,18 +895,16 @@ router.post('/ocr-process', auth, upload.single('receipt'), async (req, res) =>
       });
     }
 
-    // Get company details for currency conversion
-    const company = await Company.findById(req.user.company);
-    if (!company) {
-      return res.status(400).json({ message: 'Company not found' });
-    }
-
     // Convert currency if amount was detected
+    const currency = ocrResult.data.currency || company.currency;
     let convertedAmount = null;
     let exchangeRate = 1;
     if (ocrResult.data.amount) {
       try {
-        const conversion = await convertCurrency(ocrResult.data.amount, 'USD', company.currency);
+        const conversion = await currencyService.convert(ocrResult.data.amount, currency, company.currency, {
+          date: ocrResult.data.date || new Date(),
+          company: company._id
+        });
         convertedAmount = conversion.amount;
         exchangeRate = conversion.rate;
       } catch (error) {
@@ -486,7 +916,8 @@ router.post('/ocr-process', auth, upload.single('receipt'), async (req, res) =>
     // Prepare expense data
     const expenseData = {
       amount: ocrResult.data.amount || 0,
-      currency: 'USD', // Default currency for OCR
+      currency,
+      currencySource: ocrResult.data.currencySource,
       convertedAmount: convertedAmount || ocrResult.data.amount || 0,
       companyCurrency: company.currency,
       exchangeRate: exchangeRate,
@@ -503,8 +934,18 @@ router.post('/ocr-process', auth, upload.single('receipt'), async (req, res) =>
       },
       ocrData: {
         extractedText: ocrResult.text,
-        processedAt: new Date(),
-        confidence: 'auto-detected'
+        merchant: ocrResult.data.merchant,
+        merchantId: ocrResult.data.merchantId,
+        date: ocrResult.data.date,
+        currency,
+        amount: ocrResult.data.amount,
+        subtotal: ocrResult.data.subtotal,
+        tax: ocrResult.data.tax,
+        tip: ocrResult.data.tip,
+        items: ocrResult.data.items,
+        itemsMatchSubtotal: ocrResult.data.itemsMatchSubtotal,
+        confidence: ocrResult.data.confidence,
+        processedAt: new Date()
       }
     };
 
@@ -551,7 +992,7 @@ router.post('/ocr-process', auth, upload.single('receipt'), async (req, res) =>
  *       200:
  *         description: Receipt uploaded successfully
  *       400:
- *         description: Bad request
+ *         description: No file, or the expense is not a draft or awaiting changes
  */
 router.post('/:id/receipt', auth, upload.single('receipt'), async (req, res) => {
   try {
@@ -565,28 +1006,37 @@ router.post('/:id/receipt', auth, upload.single('receipt'), async (req, res) =>
     });
 
     if (!expense) {
+      discardUpload(req.file);
       return res.status(404).json({ message: 'Expense not found' });
     }
 
-    // Check if user can edit this expense
-    if (req.user.role === 'employee' && expense.employee.toString() !== req.user._id.toString()) {
+    // Receipts are added by the employee, before approvers decide on them
+    if (expense.employee.toString() !== req.user._id.toString()) {
+      discardUpload(req.file);
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (!OWNER_ONLY_STATUSES.includes(expense.status)) {
+      discardUpload(req.file);
+      return res.status(400).json({ message: 'Receipts can only be added to drafts or expenses sent back for changes' });
+    }
+
+    const before = auditService.snapshot(expense);
+
     // Update expense with receipt info
-    expense.receipt = {
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      path: req.file.path,
-      mimetype: req.file.mimetype,
-      size: req.file.size
-    };
+    expense.receipt = describeFile(req.file);
+
+    // Receipt rules may now be satisfied
+    const company = await Company.findById(req.user.company);
+    expense.policyViolations = await policyService.evaluate(expense, company);
 
     await expense.save();
+    await auditService.record(req, 'expense.receipt_upload', expense, before);
 
     res.json({
       message: 'Receipt uploaded successfully',
-      receipt: expense.receipt
+      receipt: expense.receipt,
+      policyViolations: expense.policyViolations
     });
   } catch (error) {
     console.error('Upload receipt error:', error);
@@ -594,4 +1044,437 @@ router.post('/:id/receipt', auth, upload.single('receipt'), async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/expenses/{id}/submit:
+ *   post:
+ *     summary: Submit a draft expense for approval
+ *     description: Also resubmits an expense sent back for changes, resuming the approval chain at the step that asked for them
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense submitted successfully
+ *       400:
+ *         description: Expense is not a draft or awaiting changes, is incomplete or violates policy
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:id/submit', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      employee: req.user._id
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!['draft', 'changes_requested'].includes(expense.status)) {
+      return res.status(400).json({ message: 'Only draft expenses or expenses sent back for changes can be submitted' });
+    }
+
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense belongs to a report; submit the report instead' });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(400).json({ message: 'Company not found' });
+    }
+
+    const missingFields = expense.getMissingFields(company);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: 'Expense is incomplete',
+        missingFields
+      });
+    }
+
+    const categoryError = categoryService.checkCategory(company, expense.category);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const before = auditService.snapshot(expense);
+
+    // Codes added to the company lists since the expense was saved
+    codingService.applyDefaults(expense, company, req.user);
+
+    // Price mileage and per diems against the rates in force now
+    const pricingError = await pricingService.applyToExpense(expense, company);
+    if (pricingError) {
+      return res.status(400).json({ message: pricingError });
+    }
+
+    // Convert at submission so the rate reflects the submitted amount
+    const currencyError = await currencyService.applyToExpense(expense, company);
+    if (currencyError) {
+      return res.status(400).json({ message: currencyError });
+    }
+
+    // The receipt should be attached by now, so every violation counts
+    const violations = await policyService.evaluate(expense, company);
+    const blocking = policyService.getBlockingViolations(violations, company);
+    if (blocking.length > 0) {
+      return res.status(400).json({
+        message: 'Expense violates company policy',
+        violations: blocking
+      });
+    }
+
+    expense.policyViolations = violations;
+    expense.rejectionReason = null;
+
+    const isResubmission = expense.status === 'changes_requested';
+    let approvals;
+    if (isResubmission) {
+      // Pick up where the approver sent it back
+      expense.changeRequests[expense.changeRequests.length - 1].resubmittedAt = new Date();
+      approvals = await approvalEngine.resume(expense);
+    } else {
+      expense.status = 'pending';
+      expense.submittedAt = new Date();
+      approvals = await approvalEngine.start(expense, req.user, company);
+    }
+
+    await expense.save();
+    await auditService.record(req, isResubmission ? 'expense.resubmit' : 'expense.submit', expense, before);
+
+    for (const approval of approvals) {
+      await notificationService.approvalRequested(approval, expense);
+    }
+
+    const submittedExpense = await Expense.findById(expense._id)
+      .populate('employee', 'firstName lastName email')
+      .populate('currentApprover', 'firstName lastName email');
+
+    res.json({
+      message: 'Expense submitted successfully',
+      expense: submittedExpense
+    });
+  } catch (error) {
+    console.error('Submit expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/coding:
+ *   put:
+ *     summary: Set the accounting coding of an expense
+ *     description: For approvers while they decide the expense or its report, and for admins until the expense is scheduled for reimbursement
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coding'
+ *     responses:
+ *       200:
+ *         description: Coding updated successfully
+ *       400:
+ *         description: Unknown or inactive codes, or the expense can no longer be coded
+ *       403:
+ *         description: Not an admin or an approver of the expense
+ *       404:
+ *         description: Expense not found
+ */
+router.put('/:id/coding', [
+  auth,
+  authorize('manager', 'admin'),
+  body().isObject().withMessage('Coding must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense || expense.status === 'draft') {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!(await canCode(req.user, expense))) {
+      return res.status(403).json({ message: 'Only admins and approvers of this expense can code it' });
+    }
+
+    if (expense.status === 'rejected' || !['unpaid', null, undefined].includes(expense.reimbursement && expense.reimbursement.status)) {
+      return res.status(400).json({ message: 'Rejected expenses and expenses scheduled for reimbursement cannot be coded' });
+    }
+
+    const company = await Company.findById(req.user.company);
+    const before = auditService.snapshot(expense);
+
+    const fieldErrors = codingService.applyCoding(expense, req.body, company);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({ errors: fieldErrors });
+    }
+
+    await expense.save();
+    await auditService.record(req, 'expense.code', expense, before);
+
+    res.json({
+      message: 'Coding updated successfully',
+      coding: expense.coding,
+      missingFields: codingService.getMissingDimensions(expense, company)
+    });
+  } catch (error) {
+    console.error('Update expense coding error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/statement-rate:
+ *   put:
+ *     summary: Record the exchange rate the card or bank statement applied
+ *     description: >
+ *       For expenses in another currency than the company's, until they are scheduled for
+ *       reimbursement. The expense is then reimbursed at this rate instead of the rate of the
+ *       reimbursement date. Give the rate, or the amount charged in company currency to derive it;
+ *       a null rate clears it.
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               statementRate:
+ *                 type: number
+ *                 nullable: true
+ *               statementAmount:
+ *                 type: number
+ *                 description: Amount charged in company currency
+ *     responses:
+ *       200:
+ *         description: Statement rate recorded
+ *       400:
+ *         description: Expense is in company currency or already scheduled for reimbursement
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Expense not found
+ */
+router.put('/:id/statement-rate', [
+  auth,
+  body('statementRate').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Statement rate must be a positive number'),
+  body('statementAmount').optional().isFloat({ gt: 0 }).withMessage('Statement amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { statementRate, statementAmount } = req.body;
+    if ((statementRate === undefined) === (statementAmount === undefined)) {
+      return res.status(400).json({ message: 'Give either a statement rate or a statement amount' });
+    }
+
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (req.user.role !== 'admin' && expense.employee.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!expense.amount || !expense.companyCurrency || expense.currency === expense.companyCurrency) {
+      return res.status(400).json({ message: 'Only expenses with an amount in another currency than the company\'s have a statement rate' });
+    }
+
+    if (expense.status === 'rejected' || !['unpaid', null, undefined].includes(expense.reimbursement && expense.reimbursement.status)) {
+      return res.status(400).json({ message: 'Rejected expenses and expenses scheduled for reimbursement cannot be changed' });
+    }
+
+    if (statementAmount !== undefined) {
+      const precisionError = moneyService.checkPrecision(Number(statementAmount), expense.companyCurrency);
+      if (precisionError) {
+        return res.status(400).json({ message: precisionError });
+      }
+    }
+
+    const before = auditService.snapshot(expense);
+
+    expense.fx.statementRate = statementAmount !== undefined
+      ? Number(statementAmount) / expense.amount
+      : (statementRate === null ? null : Number(statementRate));
+
+    await expense.save();
+    await auditService.record(req, 'expense.statement_rate', expense, before);
+
+    res.json({
+      message: 'Statement rate recorded',
+      fx: expense.fx
+    });
+  } catch (error) {
+    console.error('Update statement rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw a submitted expense back to draft
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense withdrawn successfully
+ *       400:
+ *         description: Expense is not awaiting approval
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      employee: req.user._id
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    if (!['pending', 'partially_approved'].includes(expense.status)) {
+      return res.status(400).json({ message: 'Only expenses awaiting approval can be withdrawn' });
+    }
+
+    if (expense.report) {
+      return res.status(400).json({ message: 'This expense belongs to a report and cannot be withdrawn on its own' });
+    }
+
+    const before = auditService.snapshot(expense);
+
+    // Close any approvals still waiting for a decision
+    const approvals = await approvalEngine.withdraw(expense);
+
+    await expense.save();
+    await auditService.record(req, 'expense.withdraw', expense, before, {
+      related: approvals.map(approval => approval._id)
+    });
+
+    for (const approval of approvals) {
+      const approvalBefore = auditService.snapshot(approval);
+      approval.status = 'cancelled';
+      await auditService.record(req, 'approval.cancel', approval, approvalBefore, { related: [expense._id] });
+      await notificationService.approvalWithdrawn(approval, expense);
+    }
+
+    res.json({
+      message: 'Expense withdrawn successfully',
+      expense
+    });
+  } catch (error) {
+    console.error('Withdraw expense error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/expenses/{id}/history:
+ *   get:
+ *     summary: Get the audit history of an expense
+ *     description: Changes to the expense itself plus related changes such as approvals and payments
+ *     tags: [Expenses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit entries, oldest first
+ *       404:
+ *         description: Expense not found
+ */
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const expense = await Expense.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!expense) {
+      return res.status(404).json({ message: 'Expense not found' });
+    }
+
+    const isOwner = expense.employee.toString() === req.user._id.toString();
+    if (!isOwner && (req.user.role === 'employee' || expense.status === 'draft')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const history = await AuditLog.find({
+      company: req.user.company,
+      $or: [
+        { entityType: 'Expense', entityId: expense._id },
+        { related: expense._id }
+      ]
+    })
+    .populate('actor', 'firstName lastName email')
+    .sort({ createdAt: 1 });
+
+    res.json({ history });
+  } catch (error) {
+    console.error('Get expense history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Company = require('../models/Company');
+const Merchant = require('../models/Merchant');
+const { auth, authorize } = require('../middleware/auth');
+const categoryService = require('../services/categoryService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+const merchantValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().notEmpty().withMessage('Merchant name is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases must be non-empty strings'),
+  body('category').optional({ nullable: true }).isString().withMessage('Category must be a string'),
+  body('isActive').optional().isBoolean().withMessage('Active flag must be a boolean')
+];
+
+// Error message when the category cannot be given to a merchant, otherwise null
+const checkMerchantCategory = async (companyId, category) => {
+  if (!category) return null;
+  const company = await Company.findById(companyId);
+  return categoryService.checkCategory(company, category.toLowerCase());
+};
+
+// Names are unique within a company, ignoring case
+const findByName = (companyId, name, excludeId) => Merchant.findOne({
+  company: companyId,
+  name: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+  ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Merchant:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         aliases:
+ *           type: array
+ *           description: Other spellings of the name found on receipts
+ *           items:
+ *             type: string
+ *         category:
+ *           type: string
+ *           description: Category code suggested for receipts from this merchant
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/merchants:
+ *   get:
+ *     summary: Get the company's merchant directory
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of merchants
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { company: req.user.company };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const merchants = await Merchant.find(filter).sort({ name: 1 });
+
+    res.json({ merchants });
+  } catch (error) {
+    console.error('Get merchants error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/merchants:
+ *   post:
+ *     summary: Add a merchant to the directory (Admin only)
+ *     description: Scanned receipts whose merchant matches the name or an alias get the directory name and category
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Merchant'
+ *               - required:
+ *                   - name
+ *     responses:
+ *       201:
+ *         description: Merchant created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  auth,
+  authorize('admin'),
+  ...merchantValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, aliases, category, isActive } = req.body;
+
+    const categoryError = await checkMerchantCategory(req.user.company, category);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    if (await findByName(req.user.company, name)) {
+      return res.status(400).json({ message: `Merchant "${name}" already exists` });
+    }
+
+    const merchant = new Merchant({
+      company: req.user.company,
+      name,
+      aliases: aliases || [],
+      category: category || null,
+      isActive: isActive !== undefined ? isActive : true,
+      createdBy: req.user._id
+    });
+
+    await merchant.save();
+    await auditService.record(req, 'merchant.create', merchant);
+
+    res.status(201).json({
+      message: 'Merchant created successfully',
+      merchant
+    });
+  } catch (error) {
+    console.error('Create merchant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/merchants/{id}:
+ *   put:
+ *     summary: Update a merchant (Admin only)
+ *     description: Expenses already scanned keep the merchant name they were given
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Merchant'
+ *     responses:
+ *       200:
+ *         description: Merchant updated successfully
+ *       404:
+ *         description: Merchant not found
+ */
+router.put('/:id', [
+  auth,
+  authorize('admin'),
+  ...merchantValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const merchant = await Merchant.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    const { name, category } = req.body;
+
+    const categoryError = await checkMerchantCategory(req.user.company, category);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    if (name !== undefined && await findByName(req.user.company, name, merchant._id)) {
+      return res.status(400).json({ message: `Merchant "${name}" already exists` });
+    }
+
+    const before = auditService.snapshot(merchant);
+
+    ['name', 'aliases', 'category', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) merchant[field] = req.body[field];
+    });
+
+    await merchant.save();
+    await auditService.record(req, 'merchant.update', merchant, before);
+
+    res.json({
+      message: 'Merchant updated successfully',
+      merchant
+    });
+  } catch (error) {
+    console.error('Update merchant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/merchants/{id}:
+ *   delete:
+ *     summary: Delete a merchant (Admin only)
+ *     description: Expenses already scanned keep the merchant name they were given
+ *     tags: [Merchants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Merchant deleted successfully
+ *       404:
+ *         description: Merchant not found
+ */
+router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const merchant = await Merchant.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ message: 'Merchant not found' });
+    }
+
+    const before = auditService.snapshot(merchant);
+
+    await merchant.deleteOne();
+    await auditService.record(req, 'merchant.delete', merchant, before, { deleted: true });
+
+    res.json({ message: 'Merchant deleted successfully' });
+  } catch (error) {
+    console.error('Delete merchant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
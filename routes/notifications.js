@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { NOTIFICATION_EVENTS } = require('../models/Notification');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's in-app notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, with the unread count
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({ notifications, total, unreadCount, page, limit });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all of the current user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the current user's notification preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences and the available events
+ */
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    res.json({
+      preferences: req.user.notificationPreferences,
+      events: NOTIFICATION_EVENTS
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   put:
+ *     summary: Update the current user's notification preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: boolean
+ *               inApp:
+ *                 type: boolean
+ *               webhook:
+ *                 type: boolean
+ *               mutedEvents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [approval_requested, expense_approved, expense_rejected, approval_reminder, approval_overdue, approval_escalated, approval_withdrawn, changes_requested, comment_added, comment_mention]
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.put('/preferences', [
+  auth,
+  body('email').optional().isBoolean().withMessage('Email preference must be a boolean'),
+  body('inApp').optional().isBoolean().withMessage('In-app preference must be a boolean'),
+  body('webhook').optional().isBoolean().withMessage('Webhook preference must be a boolean'),
+  body('mutedEvents').optional().isArray().withMessage('Muted events must be an array'),
+  body('mutedEvents.*').isIn(NOTIFICATION_EVENTS).withMessage('Invalid notification event')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const before = auditService.snapshot(user);
+    const { email, inApp, webhook, mutedEvents } = req.body;
+
+    if (email !== undefined) user.notificationPreferences.email = email;
+    if (inApp !== undefined) user.notificationPreferences.inApp = inApp;
+    if (webhook !== undefined) user.notificationPreferences.webhook = webhook;
+    if (mutedEvents !== undefined) user.notificationPreferences.mutedEvents = mutedEvents;
+
+    await user.save();
+    await auditService.record(req, 'user.notification_preferences_update', user, before);
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
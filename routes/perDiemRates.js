@@ -0,0 +1,344 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PerDiemRate = require('../models/PerDiemRate');
+const { auth, authorize } = require('../middleware/auth');
+const { csvUpload } = require('../middleware/upload');
+const perDiemService = require('../services/perDiemService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+const rateValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('country').matches(/^[A-Za-z]{2}$/).withMessage('Country must be a two-letter ISO code'),
+    body('city').optional({ nullable: true }).isString().withMessage('City must be a string'),
+    field('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+    field('lodging').isFloat({ min: 0 }).withMessage('Lodging rate must be a positive number'),
+    field('mie').isFloat({ min: 0 }).withMessage('M&IE rate must be a positive number'),
+    body(['meals.breakfast', 'meals.lunch', 'meals.dinner']).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Meal amounts must be positive numbers'),
+    field('effectiveFrom').isISO8601().withMessage('Valid effective date is required'),
+    body('effectiveTo').optional({ nullable: true }).isISO8601().withMessage('Valid end date is required')
+  ];
+};
+
+/**
+ * @swagger
+ * /api/per-diem-rates:
+ *   get:
+ *     summary: Get per-diem rates
+ *     tags: [Per Diem]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only return rates in force on this date
+ *     responses:
+ *       200:
+ *         description: List of per-diem rates
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { country, city, date } = req.query;
+    const filter = { company: req.user.company };
+
+    if (country) filter.country = country.toUpperCase();
+    if (city) filter.city = city;
+    if (date) {
+      const day = new Date(date);
+      filter.effectiveFrom = { $lte: day };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: day } }];
+    }
+
+    const rates = await PerDiemRate.find(filter)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ country: 1, city: 1, effectiveFrom: -1 });
+
+    res.json({ rates });
+  } catch (error) {
+    console.error('Get per-diem rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/per-diem-rates:
+ *   post:
+ *     summary: Add a per-diem rate (Admin only)
+ *     description: A rate without a city applies to every city of the country without its own rate
+ *     tags: [Per Diem]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - country
+ *               - currency
+ *               - lodging
+ *               - mie
+ *               - effectiveFrom
+ *             properties:
+ *               country:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *               lodging:
+ *                 type: number
+ *                 description: Per night
+ *               mie:
+ *                 type: number
+ *                 description: Meals and incidental expenses per full day
+ *               meals:
+ *                 type: object
+ *                 description: Amounts deducted for provided meals; the company percentages apply when left out
+ *                 properties:
+ *                   breakfast:
+ *                     type: number
+ *                   lunch:
+ *                     type: number
+ *                   dinner:
+ *                     type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Per-diem rate created successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  auth,
+  authorize('admin'),
+  ...rateValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { country, city, currency, lodging, mie, meals, effectiveFrom, effectiveTo } = req.body;
+
+    if (effectiveTo && new Date(effectiveTo) < new Date(effectiveFrom)) {
+      return res.status(400).json({ message: 'End date must be on or after the effective date' });
+    }
+
+    const rate = new PerDiemRate({
+      company: req.user.company,
+      country,
+      city: city || null,
+      currency,
+      lodging,
+      mie,
+      meals,
+      effectiveFrom,
+      effectiveTo: effectiveTo || null
+    });
+
+    await rate.save();
+    await auditService.record(req, 'per_diem_rate.create', rate);
+
+    res.status(201).json({
+      message: 'Per-diem rate created successfully',
+      rate
+    });
+  } catch (error) {
+    console.error('Create per-diem rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/per-diem-rates/import:
+ *   post:
+ *     summary: Import per-diem rates from CSV (Admin only)
+ *     description: >
+ *       The first row names the columns: country, city, currency, lodging, mie, breakfast, lunch,
+ *       dinner, effectiveFrom and effectiveTo. city, the meal columns and effectiveTo may be left out.
+ *       A row replaces the rate with the same country, city and effective date. Nothing is imported
+ *       when any row is invalid.
+ *     tags: [Per Diem]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Rates imported
+ *       400:
+ *         description: The file is missing or invalid; errors lists every problem
+ */
+router.post('/import', auth, authorize('admin'), csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let result;
+    try {
+      result = await perDiemService.importRates(req.user.company, req.file.buffer.toString('utf8'));
+    } catch (error) {
+      if (error instanceof perDiemService.PerDiemError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+
+    for (const rate of result.created) {
+      await auditService.record(req, 'per_diem_rate.import', rate);
+    }
+    for (const { rate, before } of result.updated) {
+      await auditService.record(req, 'per_diem_rate.import', rate, before);
+    }
+
+    res.json({
+      message: 'Per-diem rates imported successfully',
+      created: result.created.length,
+      updated: result.updated.length
+    });
+  } catch (error) {
+    console.error('Import per-diem rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/per-diem-rates/{id}:
+ *   put:
+ *     summary: Update a per-diem rate (Admin only)
+ *     description: Expenses already priced keep the amounts they were calculated with
+ *     tags: [Per Diem]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Per-diem rate updated successfully
+ *       404:
+ *         description: Per-diem rate not found
+ */
+router.put('/:id', [
+  auth,
+  authorize('admin'),
+  ...rateValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rate = await PerDiemRate.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!rate) {
+      return res.status(404).json({ message: 'Per-diem rate not found' });
+    }
+
+    const before = auditService.snapshot(rate);
+
+    ['country', 'city', 'currency', 'lodging', 'mie', 'meals', 'effectiveFrom', 'effectiveTo'].forEach(field => {
+      if (req.body[field] !== undefined) rate[field] = req.body[field];
+    });
+
+    if (rate.effectiveTo && rate.effectiveTo < rate.effectiveFrom) {
+      return res.status(400).json({ message: 'End date must be on or after the effective date' });
+    }
+
+    await rate.save();
+    await auditService.record(req, 'per_diem_rate.update', rate, before);
+
+    res.json({
+      message: 'Per-diem rate updated successfully',
+      rate
+    });
+  } catch (error) {
+    console.error('Update per-diem rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/per-diem-rates/{id}:
+ *   delete:
+ *     summary: Delete a per-diem rate (Admin only)
+ *     tags: [Per Diem]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Per-diem rate deleted successfully
+ *       404:
+ *         description: Per-diem rate not found
+ */
+router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+  try {
+    const rate = await PerDiemRate.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!rate) {
+      return res.status(404).json({ message: 'Per-diem rate not found' });
+    }
+
+    const before = auditService.snapshot(rate);
+
+    await rate.deleteOne();
+    await auditService.record(req, 'per_diem_rate.delete', rate, before, { deleted: true });
+
+    res.json({ message: 'Per-diem rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete per-diem rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,522 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PaymentBatch = require('../models/PaymentBatch');
+const Company = require('../models/Company');
+const { auth, authorize } = require('../middleware/auth');
+const reimbursementService = require('../services/reimbursementService');
+const paymentFileService = require('../services/paymentFileService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/reimbursements/summary:
+ *   get:
+ *     summary: Get what an employee is owed and has been paid
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employee
+ *         description: Employee to summarize (admin only), defaults to the current user
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Owed and paid expenses with totals in company currency
+ */
+router.get('/summary', auth, async (req, res) => {
+  try {
+    const employeeId = req.user.role === 'admin' && req.query.employee
+      ? req.query.employee
+      : req.user._id;
+
+    const summary = await reimbursementService.getSummary(employeeId, req.user.company);
+
+    res.json({ summary });
+  } catch (error) {
+    console.error('Get reimbursement summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches:
+ *   get:
+ *     summary: Get payment batches
+ *     description: Admins see all batches of the company, other users only their own
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, paid, failed, reversed]
+ *       - in: query
+ *         name: employee
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of payment batches
+ */
+router.get('/batches', auth, async (req, res) => {
+  try {
+    const { status, employee } = req.query;
+
+    const query = { company: req.user.company };
+    if (req.user.role !== 'admin') {
+      query.employee = req.user._id;
+    } else if (employee) {
+      query.employee = employee;
+    }
+    if (status) query.status = status;
+
+    const batches = await PaymentBatch.find(query)
+      .populate('employee', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ batches });
+  } catch (error) {
+    console.error('Get payment batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches:
+ *   post:
+ *     summary: Create payment batches from approved reimbursable expenses
+ *     description: >
+ *       Creates one scheduled batch per employee with unpaid approved expenses. Each expense is settled
+ *       at its statement rate, or the rate of the scheduled date, and the batch pays the settled
+ *       amounts. Expenses missing required accounting coding are left out and listed under uncoded;
+ *       those without a known rate are listed under unsettled.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               employees:
+ *                 type: array
+ *                 description: Only batch these employees
+ *                 items:
+ *                   type: string
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Batches created successfully
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/batches', [
+  auth,
+  authorize('admin'),
+  body('employees').optional().isArray().withMessage('Employees must be an array'),
+  body('scheduledDate').optional().isISO8601().withMessage('Valid scheduled date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { employees, scheduledDate } = req.body;
+    const { batches, uncoded, unsettled } = await reimbursementService.createBatches(company, req.user, { employees, scheduledDate });
+    for (const batch of batches) {
+      await auditService.record(req, 'payment_batch.create', batch, null, { related: batch.expenses });
+    }
+
+    res.status(201).json({
+      message: `Created ${batches.length} payment batches`,
+      batches,
+      uncoded,
+      unsettled
+    });
+  } catch (error) {
+    console.error('Create payment batches error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/payment-file:
+ *   post:
+ *     summary: Generate a bank payment file for scheduled batches
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - batches
+ *               - format
+ *             properties:
+ *               batches:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               format:
+ *                 type: string
+ *                 enum: [pain001, nacha, csv]
+ *               executionDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Payment file download
+ *       400:
+ *         description: Validation errors that would make the bank reject the file
+ */
+router.post('/payment-file', [
+  auth,
+  authorize('admin'),
+  body('batches').isArray({ min: 1 }).withMessage('At least one batch is required'),
+  body('format').isIn(paymentFileService.FORMATS).withMessage('Invalid payment file format'),
+  body('executionDate').optional().isISO8601().withMessage('Valid execution date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+
+    const { batches: batchIds, format, executionDate } = req.body;
+    const batches = await PaymentBatch.find({ _id: { $in: batchIds }, company: company._id });
+    if (batches.length !== new Set(batchIds.map(String)).size) {
+      return res.status(404).json({ message: 'Some payment batches were not found' });
+    }
+
+    let file;
+    try {
+      file = await paymentFileService.generate(format, batches, company, { executionDate });
+    } catch (error) {
+      if (error instanceof paymentFileService.PaymentFileError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+
+    for (const batch of batches) {
+      const before = auditService.snapshot(batch);
+      batch.paymentFiles.push({ format, generatedAt: new Date(), generatedBy: req.user._id });
+      await batch.save();
+      await auditService.record(req, 'payment_batch.file_generate', batch, before);
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Generate payment file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}:
+ *   get:
+ *     summary: Get payment batch by ID
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment batch with its expenses
+ *       404:
+ *         description: Payment batch not found
+ */
+router.get('/batches/:id', auth, async (req, res) => {
+  try {
+    const batch = await PaymentBatch.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    })
+    .populate('employee', 'firstName lastName email')
+    .populate('expenses', 'amount currency convertedAmount fx description expenseDate category');
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payment batch not found' });
+    }
+
+    if (req.user.role !== 'admin' && batch.employee._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ batch });
+  } catch (error) {
+    console.error('Get payment batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}/pay:
+ *   post:
+ *     summary: Mark a scheduled payment batch as paid
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentReference
+ *             properties:
+ *               paymentReference:
+ *                 type: string
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Batch marked as paid
+ *       400:
+ *         description: Batch is not scheduled
+ *       404:
+ *         description: Payment batch not found
+ */
+router.post('/batches/:id/pay', [
+  auth,
+  authorize('admin'),
+  body('paymentReference').notEmpty().withMessage('Payment reference is required'),
+  body('paymentDate').optional().isISO8601().withMessage('Valid payment date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await PaymentBatch.findOne({ _id: req.params.id, company: req.user.company });
+    if (!batch) {
+      return res.status(404).json({ message: 'Payment batch not found' });
+    }
+
+    if (batch.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled batches can be marked as paid' });
+    }
+
+    const { paymentReference, paymentDate } = req.body;
+    const before = auditService.snapshot(batch);
+    let paid;
+    try {
+      paid = await reimbursementService.markPaid(batch, req.user, { paymentReference, paymentDate });
+    } catch (error) {
+      if (error instanceof reimbursementService.ReimbursementError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+    await auditService.record(req, 'payment_batch.pay', paid, before, { related: paid.expenses });
+
+    res.json({
+      message: 'Payment batch marked as paid',
+      batch: paid
+    });
+  } catch (error) {
+    console.error('Pay payment batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}/fail:
+ *   post:
+ *     summary: Mark a scheduled payment batch as failed
+ *     description: The expenses become eligible for a new batch
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Batch marked as failed
+ *       400:
+ *         description: Batch is not scheduled
+ *       404:
+ *         description: Payment batch not found
+ */
+router.post('/batches/:id/fail', [
+  auth,
+  authorize('admin'),
+  body('reason').notEmpty().withMessage('Failure reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await PaymentBatch.findOne({ _id: req.params.id, company: req.user.company });
+    if (!batch) {
+      return res.status(404).json({ message: 'Payment batch not found' });
+    }
+
+    if (batch.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Only scheduled batches can be marked as failed' });
+    }
+
+    const before = auditService.snapshot(batch);
+    let failed;
+    try {
+      failed = await reimbursementService.markFailed(batch, req.user, req.body.reason);
+    } catch (error) {
+      if (error instanceof reimbursementService.ReimbursementError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+    await auditService.record(req, 'payment_batch.fail', failed, before, { related: failed.expenses });
+
+    res.json({
+      message: 'Payment batch marked as failed',
+      batch: failed
+    });
+  } catch (error) {
+    console.error('Fail payment batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reimbursements/batches/{id}/reverse:
+ *   post:
+ *     summary: Reverse a paid payment batch
+ *     description: >
+ *       The expenses become eligible for a new batch. When the batch's FX gains or losses were
+ *       already exported to accounting, the export must be voided first.
+ *     tags: [Reimbursements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Batch reversed
+ *       400:
+ *         description: Batch is not paid, or its FX differences are in an accounting export
+ *       404:
+ *         description: Payment batch not found
+ */
+router.post('/batches/:id/reverse', [
+  auth,
+  authorize('admin'),
+  body('reason').notEmpty().withMessage('Reversal reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await PaymentBatch.findOne({ _id: req.params.id, company: req.user.company });
+    if (!batch) {
+      return res.status(404).json({ message: 'Payment batch not found' });
+    }
+
+    if (batch.status !== 'paid') {
+      return res.status(400).json({ message: 'Only paid batches can be reversed' });
+    }
+
+    const before = auditService.snapshot(batch);
+    let reversed;
+    try {
+      reversed = await reimbursementService.reverse(batch, req.user, req.body.reason);
+    } catch (error) {
+      if (error instanceof reimbursementService.ReimbursementError) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+      throw error;
+    }
+    await auditService.record(req, 'payment_batch.reverse', reversed, before, { related: reversed.expenses });
+
+    res.json({
+      message: 'Payment batch reversed',
+      batch: reversed
+    });
+  } catch (error) {
+    console.error('Reverse payment batch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,546 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ExpenseReport = require('../models/ExpenseReport');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const { auth, checkCompanyAccess } = require('../middleware/auth');
+const approvalEngine = require('../services/approvalEngine');
+const policyService = require('../services/policyService');
+const currencyService = require('../services/currencyService');
+const pricingService = require('../services/pricingService');
+const categoryService = require('../services/categoryService');
+const codingService = require('../services/codingService');
+const reportService = require('../services/reportService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+// Check that expenses can be attached to a report: owned drafts that are
+// not already part of another report. Returns the expenses or an error.
+const loadAttachableExpenses = async (expenseIds, user, reportId) => {
+  const uniqueIds = [...new Set(expenseIds.map(id => id.toString()))];
+  const expenses = await Expense.find({
+    _id: { $in: uniqueIds },
+    company: user.company,
+    employee: user._id
+  });
+
+  if (expenses.length !== uniqueIds.length) {
+    return { error: 'Some expenses were not found' };
+  }
+
+  for (const expense of expenses) {
+    if (expense.status !== 'draft') {
+      return { error: 'Only draft expenses can be added to a report' };
+    }
+    if (expense.report && (!reportId || expense.report.toString() !== reportId.toString())) {
+      return { error: 'Some expenses already belong to another report' };
+    }
+  }
+
+  return { expenses };
+};
+
+/**
+ * @swagger
+ * /api/reports:
+ *   get:
+ *     summary: Get expense reports
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, pending, approved, rejected, changes_requested]
+ *     responses:
+ *       200:
+ *         description: List of expense reports
+ */
+router.get('/', auth, checkCompanyAccess, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = { company: req.user.company };
+
+    // Role-based filtering, as for expenses
+    if (req.user.role === 'employee') {
+      query.employee = req.user._id;
+    } else if (req.user.role === 'manager') {
+      const teamMembers = await User.find({
+        manager: req.user._id,
+        company: req.user.company
+      }).select('_id');
+      const teamMemberIds = teamMembers.map(member => member._id);
+      query.employee = { $in: [req.user._id, ...teamMemberIds] };
+    }
+
+    // Drafts are private to the employee who owns them
+    if (req.user.role !== 'employee') {
+      query.$or = [{ status: { $ne: 'draft' } }, { employee: req.user._id }];
+    }
+
+    if (status) query.status = status;
+
+    const reports = await ExpenseReport.find(query)
+      .populate('employee', 'firstName lastName email')
+      .populate('currentApprover', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({ reports });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports:
+ *   post:
+ *     summary: Create an expense report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *               tripStartDate:
+ *                 type: string
+ *                 format: date
+ *               tripEndDate:
+ *                 type: string
+ *                 format: date
+ *               expenses:
+ *                 type: array
+ *                 description: Ids of draft expenses to include
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Report created successfully
+ *       400:
+ *         description: Bad request
+ */
+router.post('/', [
+  auth,
+  body('title').notEmpty().withMessage('Title is required'),
+  body('tripStartDate').optional({ nullable: true }).isISO8601().withMessage('Valid trip start date is required'),
+  body('tripEndDate').optional({ nullable: true }).isISO8601().withMessage('Valid trip end date is required'),
+  body('expenses').optional().isArray().withMessage('Expenses must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, purpose, tripStartDate, tripEndDate, expenses: expenseIds } = req.body;
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(400).json({ message: 'Company not found' });
+    }
+
+    const { expenses, error } = await loadAttachableExpenses(expenseIds || [], req.user, null);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const report = new ExpenseReport({
+      employee: req.user._id,
+      company: req.user.company,
+      title,
+      purpose: purpose || null,
+      tripStartDate: tripStartDate ? new Date(tripStartDate) : null,
+      tripEndDate: tripEndDate ? new Date(tripEndDate) : null,
+      expenses: expenses.map(expense => expense._id),
+      companyCurrency: company.currency
+    });
+    reportService.calculateTotals(report, expenses);
+
+    await report.save();
+    await Expense.updateMany({ _id: { $in: report.expenses } }, { report: report._id });
+    await auditService.record(req, 'report.create', report, null, { related: report.expenses });
+
+    res.status(201).json({
+      message: 'Report created successfully',
+      report
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   get:
+ *     summary: Get expense report by ID
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report data with its expenses
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:id', auth, checkCompanyAccess, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    })
+    .populate('employee', 'firstName lastName email')
+    .populate('currentApprover', 'firstName lastName email')
+    .populate('expenses')
+    .populate('approvedBy.user', 'firstName lastName email')
+    .populate('rejectedBy.user', 'firstName lastName email');
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    const isOwner = report.employee._id.toString() === req.user._id.toString();
+    if (!isOwner && (req.user.role === 'employee' || report.status === 'draft')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   put:
+ *     summary: Update a draft expense report
+ *     description: Reports sent back for changes can be edited too, but their expenses cannot be added or removed
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *               tripStartDate:
+ *                 type: string
+ *                 format: date
+ *               tripEndDate:
+ *                 type: string
+ *                 format: date
+ *               expenses:
+ *                 type: array
+ *                 description: Replaces the list of expenses in the report
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Report updated successfully
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Report not found
+ */
+router.put('/:id', [
+  auth,
+  body('title').optional().notEmpty().withMessage('Title is required'),
+  body('tripStartDate').optional({ nullable: true }).isISO8601().withMessage('Valid trip start date is required'),
+  body('tripEndDate').optional({ nullable: true }).isISO8601().withMessage('Valid trip end date is required'),
+  body('expenses').optional().isArray().withMessage('Expenses must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await ExpenseReport.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      employee: req.user._id
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    if (!['draft', 'changes_requested'].includes(report.status)) {
+      return res.status(400).json({ message: 'Only draft reports or reports sent back for changes can be edited' });
+    }
+
+    const { title, purpose, tripStartDate, tripEndDate, expenses: expenseIds } = req.body;
+
+    // The lines of a report in approval stay fixed; they can still be edited
+    if (expenseIds !== undefined && report.status !== 'draft') {
+      return res.status(400).json({ message: 'Expenses cannot be added or removed after submission' });
+    }
+
+    const before = auditService.snapshot(report);
+    const previousExpenses = report.expenses.slice();
+
+    if (title !== undefined) report.title = title;
+    if (purpose !== undefined) report.purpose = purpose;
+    if (tripStartDate !== undefined) report.tripStartDate = tripStartDate ? new Date(tripStartDate) : null;
+    if (tripEndDate !== undefined) report.tripEndDate = tripEndDate ? new Date(tripEndDate) : null;
+
+    if (expenseIds !== undefined) {
+      const { expenses, error } = await loadAttachableExpenses(expenseIds, req.user, report._id);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      const keptIds = expenses.map(expense => expense._id);
+      await Expense.updateMany(
+        { report: report._id, _id: { $nin: keptIds } },
+        { report: null }
+      );
+      await Expense.updateMany({ _id: { $in: keptIds } }, { report: report._id });
+      report.expenses = keptIds;
+    }
+
+    reportService.calculateTotals(report, await reportService.getLines(report));
+    await report.save();
+    await auditService.record(req, 'report.update', report, before, {
+      related: [...previousExpenses, ...report.expenses]
+    });
+
+    res.json({
+      message: 'Report updated successfully',
+      report
+    });
+  } catch (error) {
+    console.error('Update report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   delete:
+ *     summary: Delete a draft expense report
+ *     description: The expenses in the report are kept as standalone drafts
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report deleted successfully
+ *       400:
+ *         description: Report is not a draft
+ *       404:
+ *         description: Report not found
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      employee: req.user._id
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    if (report.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft reports can be deleted' });
+    }
+
+    const before = auditService.snapshot(report);
+
+    await Expense.updateMany({ report: report._id }, { report: null });
+    await report.deleteOne();
+    await auditService.record(req, 'report.delete', report, before, { deleted: true, related: report.expenses });
+
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    console.error('Delete report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reports/{id}/submit:
+ *   post:
+ *     summary: Submit a draft expense report for approval
+ *     description: Also resubmits a report sent back for changes, resuming the approval chain at the step that asked for them
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report submitted successfully
+ *       400:
+ *         description: Report is empty, incomplete or violates policy
+ *       404:
+ *         description: Report not found
+ */
+router.post('/:id/submit', auth, async (req, res) => {
+  try {
+    const report = await ExpenseReport.findOne({
+      _id: req.params.id,
+      company: req.user.company,
+      employee: req.user._id
+    });
+
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+
+    if (!['draft', 'changes_requested'].includes(report.status)) {
+      return res.status(400).json({ message: 'Only draft reports or reports sent back for changes can be submitted' });
+    }
+
+    const isResubmission = report.status === 'changes_requested';
+
+    // Lines rejected before the report was sent back stay rejected
+    const lines = (await reportService.getLines(report)).filter(line => line.status !== 'rejected');
+    if (lines.length === 0) {
+      return res.status(400).json({ message: 'Cannot submit an empty report' });
+    }
+
+    const company = await Company.findById(req.user.company);
+    if (!company) {
+      return res.status(400).json({ message: 'Company not found' });
+    }
+
+    // Every line must be complete and within policy before anything is saved
+    const lineErrors = [];
+    for (const line of lines) {
+      codingService.applyDefaults(line, company, req.user);
+
+      const missingFields = line.getMissingFields(company);
+      if (missingFields.length > 0) {
+        lineErrors.push({ expense: line._id, missingFields });
+        continue;
+      }
+
+      const categoryError = categoryService.checkCategory(company, line.category);
+      if (categoryError) {
+        lineErrors.push({ expense: line._id, message: categoryError });
+        continue;
+      }
+
+      const pricingError = await pricingService.applyToExpense(line, company);
+      if (pricingError) {
+        lineErrors.push({ expense: line._id, message: pricingError });
+        continue;
+      }
+
+      const currencyError = await currencyService.applyToExpense(line, company);
+      if (currencyError) {
+        lineErrors.push({ expense: line._id, message: currencyError });
+        continue;
+      }
+
+      line.policyViolations = await policyService.evaluate(line, company);
+
+      const blocking = policyService.getBlockingViolations(line.policyViolations, company);
+      if (blocking.length > 0) {
+        lineErrors.push({ expense: line._id, violations: blocking });
+      }
+    }
+
+    if (lineErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Some expenses in the report cannot be submitted',
+        expenses: lineErrors
+      });
+    }
+
+    const before = auditService.snapshot(report);
+    const submittedAt = new Date();
+    for (const line of lines) {
+      line.status = 'pending';
+      if (!isResubmission) line.submittedAt = submittedAt;
+      await line.save();
+    }
+
+    reportService.calculateTotals(report, lines);
+    report.companyCurrency = company.currency;
+
+    let approvals;
+    if (isResubmission) {
+      // Pick up where the approver sent it back
+      report.changeRequests[report.changeRequests.length - 1].resubmittedAt = submittedAt;
+      approvals = await approvalEngine.resume(report);
+    } else {
+      report.status = 'pending';
+      report.submittedAt = submittedAt;
+      approvals = await approvalEngine.start(report, req.user, company);
+    }
+
+    await report.save();
+    await reportService.settleLines(report);
+    await auditService.record(req, isResubmission ? 'report.resubmit' : 'report.submit', report, before, {
+      related: report.expenses
+    });
+
+    for (const approval of approvals) {
+      await notificationService.approvalRequested(approval, report);
+    }
+
+    res.json({
+      message: 'Report submitted successfully',
+      report
+    });
+  } catch (error) {
+    console.error('Submit report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, authorize, checkCompanyAccess } = require('../middleware/auth');
+const paymentFileService = require('../services/paymentFileService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
@@ -74,6 +76,9 @@ router.get('/', auth, checkCompanyAccess, async (req, res) => {
  *                 type: string
  *               department:
  *                 type: string
+ *               defaultCurrency:
+ *                 type: string
+ *                 description: Assumed for scanned receipts whose currency is ambiguous
  *     responses:
  *       201:
  *         description: User created successfully
@@ -89,7 +94,8 @@ router.post('/', [
   body('lastName').notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['admin', 'manager', 'employee']).withMessage('Invalid role')
+  body('role').isIn(['admin', 'manager', 'employee']).withMessage('Invalid role'),
+  body('defaultCurrency').optional({ nullable: true }).isLength({ min: 3, max: 3 }).withMessage('Default currency must be 3 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -97,7 +103,7 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, password, role, manager, phone, department } = req.body;
+    const { firstName, lastName, email, password, role, manager, phone, department, defaultCurrency } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -126,10 +132,12 @@ router.post('/', [
       company: req.user.company,
       manager: manager || null,
       phone: phone || null,
-      department: department || null
+      department: department || null,
+      defaultCurrency: defaultCurrency || null
     });
 
     await user.save();
+    await auditService.record(req, 'user.create', user);
 
     const createdUser = await User.findById(user._id)
       .select('-password')
@@ -221,6 +229,9 @@ router.get('/:id', auth, checkCompanyAccess, async (req, res) => {
  *                 type: string
  *               department:
  *                 type: string
+ *               defaultCurrency:
+ *                 type: string
+ *                 description: Assumed for scanned receipts whose currency is ambiguous
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -233,7 +244,8 @@ router.put('/:id', [
   auth,
   authorize('admin'),
   body('email').optional().isEmail().withMessage('Please provide a valid email'),
-  body('role').optional().isIn(['admin', 'manager', 'employee']).withMessage('Invalid role')
+  body('role').optional().isIn(['admin', 'manager', 'employee']).withMessage('Invalid role'),
+  body('defaultCurrency').optional({ nullable: true }).isLength({ min: 3, max: 3 }).withMessage('Default currency must be 3 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -250,8 +262,10 @@ router.put('/:id', [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = auditService.snapshot(user);
+
     // Update user fields
-    const { firstName, lastName, email, role, manager, phone, department, isActive } = req.body;
+    const { firstName, lastName, email, role, manager, phone, department, defaultCurrency, isActive } = req.body;
     
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
@@ -260,9 +274,11 @@ router.put('/:id', [
     if (manager !== undefined) user.manager = manager;
     if (phone !== undefined) user.phone = phone;
     if (department !== undefined) user.department = department;
+    if (defaultCurrency !== undefined) user.defaultCurrency = defaultCurrency;
     if (isActive !== undefined) user.isActive = isActive;
 
     await user.save();
+    await auditService.record(req, 'user.update', user, before);
 
     const updatedUser = await User.findById(user._id)
       .select('-password')
@@ -309,9 +325,12 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = auditService.snapshot(user);
+
     // Soft delete
     user.isActive = false;
     await user.save();
+    await auditService.record(req, 'user.delete', user, before);
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -320,4 +339,145 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/{id}/bank-account:
+ *   get:
+ *     summary: Get a user's reimbursement bank account (masked)
+ *     description: Available to admins and to the user themselves
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bank account with identifiers masked
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/bank-account', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin' && req.params.id !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ bankAccount: user.bankAccount });
+  } catch (error) {
+    console.error('Get bank account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}/bank-account:
+ *   put:
+ *     summary: Set a user's reimbursement bank account
+ *     description: Provide an IBAN (with optional BIC) or a US routing and account number. Available to admins and to the user themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               accountHolderName:
+ *                 type: string
+ *               iban:
+ *                 type: string
+ *               bic:
+ *                 type: string
+ *               routingNumber:
+ *                 type: string
+ *               accountNumber:
+ *                 type: string
+ *               accountType:
+ *                 type: string
+ *                 enum: [checking, savings]
+ *     responses:
+ *       200:
+ *         description: Bank account updated successfully
+ *       400:
+ *         description: Invalid bank details
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/bank-account', [
+  auth,
+  body('iban').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidIban(value)).withMessage('Invalid IBAN'),
+  body('bic').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidBic(value)).withMessage('Invalid BIC'),
+  body('routingNumber').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidRoutingNumber(value)).withMessage('Invalid routing number'),
+  body('accountNumber').optional({ values: 'falsy' }).custom(value => paymentFileService.isValidAchAccountNumber(value)).withMessage('Invalid account number'),
+  body('accountType').optional().isIn(['checking', 'savings']).withMessage('Account type must be checking or savings')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user.role !== 'admin' && req.params.id !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { accountHolderName, iban, bic, routingNumber, accountNumber, accountType } = req.body;
+
+    if (!iban && !(routingNumber && accountNumber)) {
+      return res.status(400).json({ message: 'Provide an IBAN or a routing and account number' });
+    }
+
+    const user = await User.findOne({
+      _id: req.params.id,
+      company: req.user.company
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = auditService.snapshot(user);
+
+    user.setBankAccount({ accountHolderName, iban, bic, routingNumber, accountNumber, accountType });
+    await user.save();
+    await auditService.record(req, 'user.bank_account_update', user, before);
+
+    res.json({
+      message: 'Bank account updated successfully',
+      bankAccount: {
+        accountHolderName: user.bankAccount.accountHolderName,
+        bic: user.bankAccount.bic,
+        routingNumber: user.bankAccount.routingNumber,
+        accountType: user.bankAccount.accountType,
+        last4: user.bankAccount.last4
+      }
+    });
+  } catch (error) {
+    console.error('Update bank account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Expense = require('../models/Expense');
+const ExpenseReport = require('../models/ExpenseReport');
+const PaymentBatch = require('../models/PaymentBatch');
+const moneyService = require('../services/moneyService');
+const reportService = require('../services/reportService');
+
+// Rounds stored amounts to the minor units of their currency and fills in
+// the integer minor-unit fields of expenses. Safe to run more than once.
+// Pass --dry-run to only count the documents that would change.
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+const isSet = value => value !== undefined && value !== null;
+
+// $set for an expense whose amounts are not in minor-unit form yet, or null
+function expenseChanges(expense) {
+  const changes = {};
+
+  if (isSet(expense.amount) && expense.currency) {
+    const amountMinor = moneyService.toMinor(expense.amount, expense.currency);
+    if (expense.amountMinor !== amountMinor) changes.amountMinor = amountMinor;
+    const amount = moneyService.fromMinor(amountMinor, expense.currency);
+    if (expense.amount !== amount) changes.amount = amount;
+  }
+
+  if (isSet(expense.convertedAmount) && expense.companyCurrency) {
+    const convertedAmountMinor = moneyService.toMinor(expense.convertedAmount, expense.companyCurrency);
+    if (expense.convertedAmountMinor !== convertedAmountMinor) changes.convertedAmountMinor = convertedAmountMinor;
+    const convertedAmount = moneyService.fromMinor(convertedAmountMinor, expense.companyCurrency);
+    if (expense.convertedAmount !== convertedAmount) changes.convertedAmount = convertedAmount;
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+async function migrateExpenses() {
+  const cursor = Expense.collection.find({}, {
+    projection: { amount: 1, currency: 1, convertedAmount: 1, companyCurrency: 1, amountMinor: 1, convertedAmountMinor: 1 }
+  });
+
+  let operations = [];
+  let updated = 0;
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Expense.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const expense of cursor) {
+    const changes = expenseChanges(expense);
+    if (!changes) continue;
+
+    operations.push({ updateOne: { filter: { _id: expense._id }, update: { $set: changes } } });
+    updated += 1;
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+// Report totals are added up again from their lines in minor units
+async function migrateReports() {
+  let updated = 0;
+
+  for await (const report of ExpenseReport.find().cursor()) {
+    const totals = () => JSON.stringify([report.totals.map(total => [total.currency, total.amount]), report.convertedAmount]);
+    const before = totals();
+    reportService.calculateTotals(report, await reportService.getLines(report));
+    if (totals() === before) continue;
+
+    updated += 1;
+    if (!dryRun) await report.save({ timestamps: false, validateBeforeSave: false });
+  }
+
+  return updated;
+}
+
+async function migratePaymentBatches() {
+  let updated = 0;
+
+  for await (const batch of PaymentBatch.collection.find({}, { projection: { totalAmount: 1, currency: 1 } })) {
+    if (!isSet(batch.totalAmount) || !batch.currency) continue;
+
+    const totalAmount = moneyService.round(batch.totalAmount, batch.currency);
+    if (totalAmount === batch.totalAmount) continue;
+
+    updated += 1;
+    if (!dryRun) {
+      await PaymentBatch.collection.updateOne({ _id: batch._id }, { $set: { totalAmount } });
+    }
+  }
+
+  return updated;
+}
+
+async function migrateMoney() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense-management');
+    console.log(dryRun ? 'Connected to MongoDB (dry run, nothing is written)' : 'Connected to MongoDB');
+
+    console.log(`Expenses updated: ${await migrateExpenses()}`);
+    console.log(`Expense reports updated: ${await migrateReports()}`);
+    console.log(`Payment batches updated: ${await migratePaymentBatches()}`);
+
+    console.log('Money migration finished');
+  } catch (error) {
+    console.error('Error migrating amounts:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run the migration
+migrateMoney();
@@ -18,9 +18,19 @@ app.use(express.static(path.join(__dirname, 'client/build')));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/companies', require('./routes/companies'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/expenses/:id/comments', require('./routes/comments'));
 app.use('/api/expenses', require('./routes/expenses'));
+app.use('/api/reports', require('./routes/reports'));
 app.use('/api/approvals', require('./routes/approvals'));
+app.use('/api/delegations', require('./routes/delegations'));
+app.use('/api/per-diem-rates', require('./routes/perDiemRates'));
+app.use('/api/reimbursements', require('./routes/reimbursements'));
+app.use('/api/accounting-exports', require('./routes/accountingExports'));
 app.use('/api/currencies', require('./routes/currencies'));
+app.use('/api/merchants', require('./routes/merchants'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // Swagger Documentation
 const swaggerUi = require('swagger-ui-express');
@@ -56,7 +66,20 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/expense-m
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Background jobs: overdue approvals, reminders and escalation, and
+  // exchange rates
+  const scheduler = require('./services/scheduler');
+  const escalationService = require('./services/escalationService');
+  const currencyService = require('./services/currencyService');
+  const intervalMinutes = parseInt(process.env.APPROVAL_CHECK_INTERVAL_MINUTES, 10) || 60;
+  scheduler.register('approval-deadlines', intervalMinutes, now => escalationService.run(now));
+  const rateIntervalMinutes = parseInt(process.env.EXCHANGE_RATE_REFRESH_MINUTES, 10) || 360;
+  scheduler.register('exchange-rates', rateIntervalMinutes, () => currencyService.refreshRates());
+  scheduler.start().catch(err => console.log('Scheduler start error:', err));
+})
 .catch(err => console.log('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 5000;
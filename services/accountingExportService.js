@@ -0,0 +1,426 @@
+const AccountingExport = require('../models/AccountingExport');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const categoryService = require('./categoryService');
+const codingService = require('./codingService');
+const moneyService = require('./moneyService');
+
+// Thrown when an export cannot be produced; `errors` lists every problem
+// found so they can be fixed in one go
+class AccountingExportError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'AccountingExportError';
+    this.errors = errors;
+  }
+}
+
+const FORMATS = {
+  quickbooks_iif: { contentType: 'text/plain', extension: 'iif' },
+  xero_csv: { contentType: 'text/csv', extension: 'csv' },
+  journal_csv: { contentType: 'text/csv', extension: 'csv' },
+  journal_json: { contentType: 'application/json', extension: 'json' }
+};
+
+// Xero allows two tracking categories per journal line
+const XERO_TRACKING = [
+  { dimension: 'costCenter', name: 'Cost Center' },
+  { dimension: 'project', name: 'Project' }
+];
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// IIF is tab-delimited with one record per line
+const iifField = (value) => (value === null || value === undefined ? '' : String(value)).replace(/[\t\r\n]+/g, ' ');
+
+const formatDate = (date, pattern) => {
+  const pad = n => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate())
+  };
+  return pattern.replace(/YYYY|MM|DD/g, token => parts[token]);
+};
+
+class AccountingExportService {
+  // Approved expenses not exported yet, within the date range or payment batch
+  async findExpenses(company, { startDate, endDate, batch } = {}) {
+    const query = {
+      company: company._id,
+      status: 'approved',
+      exportedIn: null
+    };
+
+    if (batch) {
+      query._id = { $in: batch.expenses };
+    }
+    if (startDate || endDate) {
+      query.expenseDate = {};
+      if (startDate) query.expenseDate.$gte = new Date(startDate);
+      if (endDate) query.expenseDate.$lte = new Date(endDate);
+    }
+
+    return Expense.find(query).sort({ expenseDate: 1, createdAt: 1 });
+  }
+
+  // Reimbursed expenses with a realized FX gain or loss not posted yet,
+  // paid within the date range or in the payment batch
+  async findFxExpenses(company, { startDate, endDate, batch } = {}) {
+    const query = {
+      company: company._id,
+      'reimbursement.status': 'paid',
+      'fx.gainLoss': { $nin: [0, null] },
+      fxExportedIn: null
+    };
+
+    if (batch) {
+      query._id = { $in: batch.expenses };
+    }
+    if (startDate || endDate) {
+      query['reimbursement.paidAt'] = {};
+      if (startDate) query['reimbursement.paidAt'].$gte = new Date(startDate);
+      if (endDate) query['reimbursement.paidAt'].$lte = new Date(endDate);
+    }
+
+    return Expense.find(query).sort({ 'reimbursement.paidAt': 1, createdAt: 1 });
+  }
+
+  // Account an expense is debited to: its GL coding, else its category's
+  getExpenseAccount(expense, company) {
+    if (expense.coding && expense.coding.glAccount) return expense.coding.glAccount;
+    const category = categoryService.getCategory(company, expense.category);
+    return category ? category.glAccount : null;
+  }
+
+  getAccountName(company, code) {
+    const account = codingService.getList(company, 'glAccount').find(entry => entry.code === code);
+    return account ? account.name : code;
+  }
+
+  /**
+   * Build one balanced journal entry per expense in company currency: a
+   * debit to the expense account carrying the expense's coding, and a credit
+   * to the payable account, or the company-paid account for expenses that
+   * are not reimbursable. Problems are added to `errors`.
+   */
+  buildEntries(expenses, company, employees, errors) {
+    const accounting = company.settings.accounting || {};
+
+    return expenses.map(expense => {
+      const account = this.getExpenseAccount(expense, company);
+      const creditAccount = expense.isReimbursable ? accounting.payableAccount : accounting.companyPaidAccount;
+      const category = categoryService.getCategory(company, expense.category);
+      const employee = employees.get(expense.employee.toString());
+
+      if (!account) {
+        errors.push(`Expense ${expense._id} has no GL account; code it or set one on category "${category ? category.name : expense.category}"`);
+      }
+      if (!creditAccount) {
+        errors.push(expense.isReimbursable
+          ? 'Company payable account is not set'
+          : 'Company-paid account is not set');
+      }
+
+      const amount = moneyService.round(expense.convertedAmount, company.currency);
+      const coding = {
+        costCenter: (expense.coding && expense.coding.costCenter) || null,
+        project: (expense.coding && expense.coding.project) || null,
+        department: (expense.coding && expense.coding.department) || null
+      };
+
+      return {
+        type: 'expense',
+        reference: `EXP${expense._id.toString().slice(-8).toUpperCase()}`,
+        expense: expense._id.toString(),
+        date: expense.expenseDate,
+        employee: employee ? employee.fullName : null,
+        category: expense.category,
+        description: expense.description,
+        amount,
+        currency: company.currency,
+        lines: [
+          { account, accountName: this.getAccountName(company, account), debit: amount, credit: 0, ...coding },
+          { account: creditAccount, accountName: creditAccount, debit: 0, credit: amount, ...coding }
+        ]
+      };
+    });
+  }
+
+  /**
+   * Build one entry per realized FX difference, dated on reimbursement and
+   * carrying the expense's coding. The payable was credited at the booked
+   * rate, so a gain debits it and credits the FX gain account, and a loss
+   * debits the FX loss account and credits the payable.
+   */
+  buildFxEntries(expenses, company, employees, errors) {
+    const accounting = company.settings.accounting || {};
+
+    return expenses.map(expense => {
+      const gain = expense.fx.gainLoss > 0;
+      const fxAccount = gain ? accounting.fxGainAccount : accounting.fxLossAccount;
+      const payableAccount = accounting.payableAccount;
+      const employee = employees.get(expense.employee.toString());
+
+      if (!fxAccount) {
+        errors.push(gain ? 'FX gain account is not set' : 'FX loss account is not set');
+      }
+      if (!payableAccount) {
+        errors.push('Company payable account is not set');
+      }
+
+      const amount = Math.abs(moneyService.round(expense.fx.gainLoss, company.currency));
+      const coding = {
+        costCenter: (expense.coding && expense.coding.costCenter) || null,
+        project: (expense.coding && expense.coding.project) || null,
+        department: (expense.coding && expense.coding.department) || null
+      };
+      const fxLine = { account: fxAccount, accountName: this.getAccountName(company, fxAccount), ...coding };
+      const payableLine = { account: payableAccount, accountName: payableAccount, ...coding };
+
+      return {
+        type: 'fx',
+        reference: `FX${expense._id.toString().slice(-8).toUpperCase()}`,
+        expense: expense._id.toString(),
+        date: expense.reimbursement.paidAt,
+        employee: employee ? employee.fullName : null,
+        category: expense.category,
+        description: `${gain ? 'Exchange gain' : 'Exchange loss'} on ${expense.description}`,
+        amount,
+        currency: company.currency,
+        lines: gain
+          ? [{ ...payableLine, debit: amount, credit: 0 }, { ...fxLine, debit: 0, credit: amount }]
+          : [{ ...fxLine, debit: amount, credit: 0 }, { ...payableLine, debit: 0, credit: amount }]
+      };
+    });
+  }
+
+  describe(entry) {
+    return [entry.employee, entry.description].filter(Boolean).join(': ');
+  }
+
+  // QuickBooks Desktop general journal transactions; the first line of each
+  // transaction is the TRNS record and the rest are SPL records
+  buildIif(entries) {
+    const columns = ['TRNSTYPE', 'DATE', 'ACCNT', 'CLASS', 'AMOUNT', 'DOCNUM', 'MEMO'];
+    const rows = [
+      ['!TRNS', ...columns].join('\t'),
+      ['!SPL', ...columns].join('\t'),
+      '!ENDTRNS'
+    ];
+
+    entries.forEach(entry => {
+      entry.lines.forEach((line, index) => {
+        rows.push([
+          index === 0 ? 'TRNS' : 'SPL',
+          'GENERAL JOURNAL',
+          formatDate(entry.date, 'MM/DD/YYYY'),
+          line.accountName,
+          line.costCenter,
+          moneyService.format(line.debit - line.credit, entry.currency),
+          entry.reference,
+          this.describe(entry)
+        ].map(iifField).join('\t'));
+      });
+      rows.push('ENDTRNS');
+    });
+
+    return rows.join('\r\n') + '\r\n';
+  }
+
+  // Xero manual journal import; lines sharing a narration and date become
+  // one journal, debits positive and credits negative
+  buildXeroCsv(entries, company) {
+    const xero = (company.settings.accounting && company.settings.accounting.xero) || {};
+    const rows = [[
+      '*Narration', '*Date', 'Description', '*AccountCode', '*TaxRate', '*Amount',
+      'TrackingName1', 'TrackingOption1', 'TrackingName2', 'TrackingOption2'
+    ]];
+
+    entries.forEach(entry => {
+      entry.lines.forEach(line => {
+        const tracking = XERO_TRACKING.flatMap(({ dimension, name }) =>
+          line[dimension] ? [name, line[dimension]] : ['', '']
+        );
+        rows.push([
+          `${entry.reference} ${this.describe(entry)}`,
+          formatDate(entry.date, xero.dateFormat || 'DD/MM/YYYY'),
+          entry.description,
+          line.account,
+          xero.taxRate || 'Tax Exempt',
+          moneyService.format(line.debit - line.credit, entry.currency),
+          ...tracking
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+  }
+
+  buildJournalCsv(entries, company) {
+    const rows = [[
+      'Reference', 'Date', 'Expense', 'Employee', 'Description', 'Account', 'Account Name',
+      'Debit', 'Credit', 'Currency', 'Cost Center', 'Project', 'Department'
+    ]];
+
+    entries.forEach(entry => {
+      entry.lines.forEach(line => {
+        rows.push([
+          entry.reference,
+          formatDate(entry.date, 'YYYY-MM-DD'),
+          entry.expense,
+          entry.employee,
+          entry.description,
+          line.account,
+          line.accountName,
+          moneyService.format(line.debit, entry.currency),
+          moneyService.format(line.credit, entry.currency),
+          company.currency,
+          line.costCenter,
+          line.project,
+          line.department
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+  }
+
+  buildJournalJson(entries, company) {
+    return JSON.stringify({
+      company: company.name,
+      currency: company.currency,
+      entries: entries.map(entry => ({
+        ...entry,
+        date: formatDate(entry.date, 'YYYY-MM-DD')
+      }))
+    }, null, 2);
+  }
+
+  /**
+   * Export approved expenses that were not exported before, selected by
+   * date range or payment batch, together with the realized FX gains and
+   * losses of reimbursed expenses not posted yet, and mark them so later
+   * runs skip them. Returns the saved AccountingExport with its content, or
+   * throws AccountingExportError listing every problem.
+   */
+  async createExport(company, user, { format, startDate, endDate, batch } = {}) {
+    if (!FORMATS[format]) {
+      throw new AccountingExportError('Unsupported export format', [`Unknown format ${format}`]);
+    }
+
+    const expenses = await this.findExpenses(company, { startDate, endDate, batch });
+    const fxExpenses = await this.findFxExpenses(company, { startDate, endDate, batch });
+    if (expenses.length === 0 && fxExpenses.length === 0) {
+      throw new AccountingExportError('No expenses to export', ['No approved expenses or FX differences in the selection are waiting to be exported']);
+    }
+
+    const users = await User.find({ _id: { $in: [...expenses, ...fxExpenses].map(expense => expense.employee) } })
+      .select('firstName lastName');
+    const employees = new Map(users.map(employee => [employee._id.toString(), employee]));
+
+    const errors = [];
+    const expenseEntries = this.buildEntries(expenses, company, employees, errors);
+    const fxEntries = this.buildFxEntries(fxExpenses, company, employees, errors);
+    const entries = [...expenseEntries, ...fxEntries];
+    if (errors.length > 0) {
+      // A missing company account is reported once, not per expense
+      throw new AccountingExportError('Accounting export failed validation', [...new Set(errors)]);
+    }
+
+    let content;
+    if (format === 'quickbooks_iif') {
+      content = this.buildIif(entries);
+    } else if (format === 'xero_csv') {
+      content = this.buildXeroCsv(entries, company);
+    } else if (format === 'journal_csv') {
+      content = this.buildJournalCsv(entries, company);
+    } else {
+      content = this.buildJournalJson(entries, company);
+    }
+
+    const exportedAt = new Date();
+    const accountingExport = new AccountingExport({
+      company: company._id,
+      format,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      batch: batch ? batch._id : null,
+      expenses: expenses.map(expense => expense._id),
+      fxExpenses: fxExpenses.map(expense => expense._id),
+      currency: company.currency,
+      totalAmount: moneyService.sum(expenseEntries.map(entry => entry.amount), company.currency),
+      fxGainLoss: moneyService.sum(fxExpenses.map(expense => expense.fx.gainLoss), company.currency),
+      filename: `journal-${formatDate(exportedAt, 'YYYYMMDD')}-${format}.${FORMATS[format].extension}`,
+      contentType: FORMATS[format].contentType,
+      content,
+      createdBy: user._id
+    });
+    await accountingExport.save();
+
+    // Claim only expenses still unexported so concurrent runs never post
+    // the same expense twice
+    const result = await Expense.updateMany(
+      { _id: { $in: accountingExport.expenses }, exportedIn: null },
+      { exportedIn: accountingExport._id, exportedAt }
+    );
+    const fxResult = await Expense.updateMany(
+      { _id: { $in: accountingExport.fxExpenses }, fxExportedIn: null },
+      { fxExportedIn: accountingExport._id }
+    );
+    if (result.modifiedCount !== expenses.length || fxResult.modifiedCount !== fxExpenses.length) {
+      await this.release(accountingExport);
+      await accountingExport.deleteOne();
+      throw new AccountingExportError('Expenses were exported meanwhile', ['Run the export again']);
+    }
+
+    return accountingExport;
+  }
+
+  // Free the expenses of an export so the next run includes them again.
+  // Runs in the export's session when it was loaded in one.
+  async release(accountingExport) {
+    const session = accountingExport.$session();
+    await Expense.updateMany(
+      { exportedIn: accountingExport._id },
+      { exportedIn: null, exportedAt: null },
+      { session }
+    );
+    await Expense.updateMany(
+      { fxExportedIn: accountingExport._id },
+      { fxExportedIn: null },
+      { session }
+    );
+  }
+
+  /**
+   * Void an export and release its expenses. The status only flips while
+   * the export is not voided yet, so of two concurrent voids one fails.
+   * Returns the voided export.
+   */
+  async voidExport(accountingExport, user, reason) {
+    const voided = await AccountingExport.findOneAndUpdate(
+      { _id: accountingExport._id, status: { $ne: 'voided' } },
+      {
+        status: 'voided',
+        voidReason: reason || null,
+        voidedAt: new Date(),
+        voidedBy: user._id
+      },
+      { new: true, session: accountingExport.$session() }
+    );
+    if (!voided) {
+      throw new AccountingExportError('Accounting export is already voided');
+    }
+
+    await this.release(voided);
+    return voided;
+  }
+}
+
+module.exports = new AccountingExportService();
+module.exports.AccountingExportError = AccountingExportError;
+module.exports.FORMATS = Object.keys(FORMATS);
@@ -0,0 +1,252 @@
+const Approval = require('../models/Approval');
+const Company = require('../models/Company');
+const approvalEngine = require('./approvalEngine');
+const reportService = require('./reportService');
+const codingService = require('./codingService');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const delegationService = require('./delegationService');
+
+// Thrown when a decision cannot be made; `status` is the HTTP status to
+// answer with
+class ApprovalDecisionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApprovalDecisionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Approve, reject and request-changes decisions on approvals, shared by
+ * the single and batch endpoints. Every write goes through the session of the loaded documents,
+ * so a decision made inside a transaction commits or rolls back as a whole.
+ * Notifications are left to the caller, to be sent once the decision is
+ * committed.
+ */
+class ApprovalDecisionService {
+  /**
+   * Load an approval with its expense or report and check that the user
+   * may decide it, either as the approver or as an active delegate.
+   * Returns { approval, subject, actor }.
+   */
+  async load(user, approvalId, action, session = null) {
+    const approval = await Approval.findById(approvalId)
+      .session(session)
+      .populate('expense')
+      .populate('report');
+
+    if (!approval) {
+      throw new ApprovalDecisionError(404, 'Approval not found');
+    }
+
+    // Reports and single expenses go through the same chain handling
+    const subject = approval.report || approval.expense;
+    if (session) {
+      subject.$session(session);
+    }
+
+    const actor = await delegationService.resolveActor(user, approval, subject);
+    if (!actor.allowed) {
+      throw new ApprovalDecisionError(403, `You are not authorized to ${action} this expense`);
+    }
+
+    if (approval.status !== 'pending') {
+      throw new ApprovalDecisionError(400, 'This approval has already been processed');
+    }
+
+    return { approval, subject, actor };
+  }
+
+  /**
+   * Approve, optionally rejecting individual report lines or setting the
+   * accounting coding of a single expense. Pass `company` to skip looking it
+   * up again. Returns { approval, subject, nextApprovals, message }.
+   */
+  async approve(req, { approval, subject, actor }, { comments, rejectedExpenses, coding, company = null } = {}) {
+    const report = approval.report;
+    const approvalBefore = auditService.snapshot(approval);
+    const subjectBefore = auditService.snapshot(subject);
+
+    if (coding) {
+      if (report) {
+        throw new ApprovalDecisionError(400, 'The expenses of a report are coded one by one');
+      }
+
+      company = company || await Company.findById(subject.company);
+      const codingErrors = codingService.applyCoding(subject, coding, company);
+      if (codingErrors.length > 0) {
+        throw new ApprovalDecisionError(400, codingErrors.map(error => error.msg).join('; '));
+      }
+    }
+
+    let rejectedLines = [];
+    if (rejectedExpenses && rejectedExpenses.length > 0) {
+      if (!report) {
+        throw new ApprovalDecisionError(400, 'Line rejections only apply to expense reports');
+      }
+
+      try {
+        rejectedLines = await reportService.rejectLines(report, rejectedExpenses, req.user, approval.level, actor.onBehalfOf);
+      } catch (error) {
+        throw new ApprovalDecisionError(400, error.message);
+      }
+    }
+
+    // Update approval
+    approval.status = 'approved';
+    approval.actedBy = req.user._id;
+    approval.comments = comments || null;
+    approval.approvedAt = new Date();
+    await approval.save();
+
+    subject.approvedBy.push({
+      user: req.user._id,
+      onBehalfOf: actor.onBehalfOf,
+      level: approval.level,
+      approvedAt: new Date(),
+      comments: comments || null
+    });
+
+    let nextApprovals = [];
+    if (report && await reportService.allLinesRejected(report)) {
+      // Nothing left to approve
+      await approvalEngine.recordRejection(report, approval, { final: true });
+      report.status = 'rejected';
+      report.rejectionReason = 'All expenses in the report were rejected';
+      report.currentApprover = null;
+    } else {
+      // Walk the expense's approval chain snapshot
+      nextApprovals = await approvalEngine.recordApproval(subject, approval, company || await Company.findById(subject.company));
+    }
+
+    await subject.save();
+
+    if (report) {
+      await reportService.settleLines(report);
+    }
+
+    await auditService.record(req, 'approval.approve', approval, approvalBefore, { related: [subject._id] });
+    await auditService.record(req, report ? 'report.approve' : 'expense.approve', subject, subjectBefore, {
+      related: [...(report ? report.expenses : []), ...rejectedLines.map(line => line._id)]
+    });
+
+    // A group step stays active until its quorum is reached
+    const groupPending = subject.approvalChain.some(step =>
+      step.level === approval.level && step.status === 'active'
+    );
+
+    return {
+      approval,
+      subject,
+      nextApprovals,
+      message: groupPending
+        ? 'Approval recorded; the approval group has not reached its quorum yet'
+        : 'Expense approved successfully'
+    };
+  }
+
+  /**
+   * Reject with a reason. Rejecting a report rejects all of its open lines.
+   * Returns { approval, subject, nextApprovals, message }.
+   */
+  async reject(req, { approval, subject, actor }, { reason, comments }) {
+    const approvalBefore = auditService.snapshot(approval);
+    const subjectBefore = auditService.snapshot(subject);
+
+    // Update approval
+    approval.status = 'rejected';
+    approval.actedBy = req.user._id;
+    approval.rejectionReason = reason;
+    approval.comments = comments || null;
+    approval.approvedAt = new Date();
+    await approval.save();
+
+    // In an approval group one rejection may not decide it
+    const rejected = await approvalEngine.recordRejection(subject, approval);
+    if (rejected) {
+      subject.status = 'rejected';
+      subject.rejectionReason = reason;
+      subject.currentApprover = null;
+    }
+
+    subject.rejectedBy.push({
+      user: req.user._id,
+      onBehalfOf: actor.onBehalfOf,
+      level: approval.level,
+      rejectedAt: new Date(),
+      reason: reason
+    });
+
+    await subject.save();
+
+    if (approval.report) {
+      await reportService.settleLines(approval.report);
+    }
+
+    await auditService.record(req, 'approval.reject', approval, approvalBefore, { related: [subject._id] });
+    await auditService.record(req, approval.report ? 'report.reject' : 'expense.reject', subject, subjectBefore, {
+      related: approval.report ? approval.report.expenses : []
+    });
+
+    return {
+      approval,
+      subject,
+      nextApprovals: [],
+      message: rejected
+        ? 'Expense rejected successfully'
+        : 'Rejection recorded; the approval group has not reached a decision yet'
+    };
+  }
+
+  /**
+   * Send the expense or report back to the employee with notes on what to
+   * change. Returns { approval, subject, changeRequest }.
+   */
+  async requestChanges(req, { approval, subject, actor }, { notes, fields }) {
+    const approvalBefore = auditService.snapshot(approval);
+    const subjectBefore = auditService.snapshot(subject);
+
+    approval.status = 'changes_requested';
+    approval.actedBy = req.user._id;
+    approval.comments = notes;
+    approval.approvedAt = new Date();
+    await approval.save();
+
+    await approvalEngine.requestChanges(subject, approval);
+
+    const changeRequest = {
+      level: approval.level,
+      requestedBy: req.user._id,
+      onBehalfOf: actor.onBehalfOf,
+      notes,
+      fields: fields || [],
+      requestedAt: new Date()
+    };
+    subject.changeRequests.push(changeRequest);
+
+    await subject.save();
+
+    if (approval.report) {
+      await reportService.settleLines(approval.report);
+    }
+
+    await auditService.record(req, 'approval.request_changes', approval, approvalBefore, { related: [subject._id] });
+    await auditService.record(req, approval.report ? 'report.request_changes' : 'expense.request_changes', subject, subjectBefore, {
+      related: approval.report ? approval.report.expenses : []
+    });
+
+    return { approval, subject, changeRequest };
+  }
+
+  // Hand over to the next approvers, or tell the employee the outcome
+  async notify({ subject, nextApprovals }) {
+    for (const nextApproval of nextApprovals) {
+      await notificationService.approvalRequested(nextApproval, subject);
+    }
+    await notificationService.decisionMade(subject);
+  }
+}
+
+module.exports = new ApprovalDecisionService();
+module.exports.ApprovalDecisionError = ApprovalDecisionError;
@@ -0,0 +1,430 @@
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const routingEngine = require('./routingEngine');
+const delegationService = require('./delegationService');
+
+const APPROVAL_DUE_DAYS = 7;
+
+// Used when a company has not configured its own approval chain
+const DEFAULT_APPROVAL_CHAIN = [
+  { type: 'direct_manager', name: 'Direct manager' },
+  { type: 'role', role: 'admin', name: 'Administrator' }
+];
+
+// The engine works on expenses and expense reports alike, since both carry
+// the same approval fields (approvalChain, currentApprover, status, ...)
+class ApprovalEngine {
+  getChainDefinition(company, route) {
+    if (route && route.steps) {
+      return route.steps;
+    }
+    const chain = company.settings && company.settings.approvalChain;
+    return chain && chain.length > 0 ? chain : DEFAULT_APPROVAL_CHAIN;
+  }
+
+  async resolveStepApprover(step, employee, company) {
+    switch (step.type) {
+      case 'direct_manager':
+        return employee.manager || null;
+
+      case 'department_head': {
+        const heads = company.settings.departmentHeads || [];
+        const head = heads.find(h => employee.department && h.department === employee.department);
+        return head ? head.user : null;
+      }
+
+      case 'specific_user':
+        return step.user || null;
+
+      case 'role': {
+        // Oldest active user with the role, so the pick is stable between runs
+        const user = await User.findOne({
+          company: company._id,
+          role: step.role,
+          isActive: true,
+          _id: { $ne: employee._id }
+        })
+        .sort({ createdAt: 1, _id: 1 })
+        .select('_id');
+        return user ? user._id : null;
+      }
+
+      case 'finance':
+        return company.settings.financeApprover || null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Snapshot of a group step: its members other than the employee, and a
+   * quorum that those members can still reach.
+   */
+  buildGroupStep(step, employee, level, excluded) {
+    const memberIds = excluded ? [] : [...new Set((step.users || []).map(id => id.toString()))]
+      .filter(id => id !== employee._id.toString());
+    const quorum = step.quorum || {};
+
+    return {
+      level,
+      type: step.type,
+      name: step.name || step.type,
+      approver: null,
+      status: memberIds.length > 0 ? 'waiting' : 'skipped',
+      members: memberIds.map(id => ({ approver: id, status: 'waiting' })),
+      quorum: {
+        rule: quorum.rule || 'all',
+        count: quorum.count ? Math.min(quorum.count, memberIds.length) : null,
+        percentage: quorum.percentage || null,
+        mandatory: (quorum.mandatory || []).filter(id => memberIds.includes(id.toString()))
+      }
+    };
+  }
+
+  /**
+   * Resolve the routed chain for an employee into the snapshot stored on
+   * the expense. Steps excluded by the route, without an approver, or that
+   * would route back to the employee or repeat the previous approver, are
+   * marked as skipped.
+   */
+  async buildChain(employee, company, route) {
+    const definition = this.getChainDefinition(company, route);
+    const skipSteps = (route && route.skipSteps) || [];
+    const chain = [];
+    let previousApprover = null;
+
+    for (let i = 0; i < definition.length; i++) {
+      const step = definition[i];
+      const excluded = skipSteps.includes(step.type) || (step.name && skipSteps.includes(step.name));
+
+      if (step.type === 'group') {
+        const groupStep = this.buildGroupStep(step, employee, i + 1, excluded);
+        chain.push(groupStep);
+        if (groupStep.status !== 'skipped') {
+          previousApprover = null;
+        }
+        continue;
+      }
+
+      const approver = excluded ? null : await this.resolveStepApprover(step, employee, company);
+      const skipped = !approver ||
+        approver.toString() === employee._id.toString() ||
+        (previousApprover && approver.toString() === previousApprover.toString());
+
+      chain.push({
+        level: i + 1,
+        type: step.type,
+        name: step.name || step.type,
+        approver: approver || null,
+        status: skipped ? 'skipped' : 'waiting'
+      });
+
+      if (!skipped) {
+        previousApprover = approver;
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * Open an approval for a chain step, or for one member of a group step.
+   * When the approver has an active delegation covering the expense, the
+   * approval goes to the delegate instead.
+   */
+  async createApproval(expense, step) {
+    const isReport = expense.constructor.modelName === 'ExpenseReport';
+    const delegation = await delegationService.findDelegation(step.approver, expense);
+
+    const approval = new Approval({
+      expense: isReport ? null : expense._id,
+      report: isReport ? expense._id : null,
+      approver: delegation ? delegation.delegate : step.approver,
+      onBehalfOf: delegation ? step.approver : null,
+      delegation: delegation ? delegation._id : null,
+      level: step.level,
+      dueDate: new Date(Date.now() + APPROVAL_DUE_DAYS * 24 * 60 * 60 * 1000)
+    });
+    // Inside a transaction when the expense was loaded in one
+    await approval.save({ session: expense.$session() });
+    return approval;
+  }
+
+  // Close approvals still pending on the expense, at one level or at all
+  async closeOpenApprovals(expense, level = null) {
+    const isReport = expense.constructor.modelName === 'ExpenseReport';
+    const query = { [isReport ? 'report' : 'expense']: expense._id, status: 'pending' };
+    if (level !== null) query.level = level;
+
+    await Approval.updateMany(query, { status: 'cancelled' }, { session: expense.$session() });
+
+    expense.approvalChain
+      .filter(step => level === null || step.level === level)
+      .forEach(step => (step.members || []).forEach(member => {
+        if (['waiting', 'pending'].includes(member.status)) member.status = 'cancelled';
+      }));
+  }
+
+  /**
+   * Activate the first non-skipped step after the given level, or approve
+   * the expense when the chain is exhausted. Returns the approvals opened:
+   * one for a single approver, one per member for a group step. The caller
+   * saves the expense.
+   */
+  async activateNextStep(expense, afterLevel) {
+    const nextStep = expense.approvalChain.find(step =>
+      step.level > afterLevel && step.status === 'waiting'
+    );
+
+    if (!nextStep) {
+      expense.status = 'approved';
+      expense.currentApprover = null;
+      return [];
+    }
+
+    nextStep.status = 'active';
+    expense.approvalLevel = nextStep.level;
+
+    if (nextStep.type === 'group') {
+      // Members decide in parallel, so there is no single current approver
+      expense.currentApprover = null;
+      const approvals = [];
+      for (const member of nextStep.members) {
+        member.status = 'pending';
+        approvals.push(await this.createApproval(expense, { approver: member.approver, level: nextStep.level }));
+      }
+      return approvals;
+    }
+
+    const approval = await this.createApproval(expense, nextStep);
+    expense.currentApprover = approval.approver;
+    return [approval];
+  }
+
+  /**
+   * Work out how an expense would be routed without touching the database
+   * beyond approver lookups. Used for submission and for rule dry-runs.
+   */
+  async previewRoute(expense, employee, company) {
+    const route = routingEngine.evaluate(expense, employee, company);
+    const chain = route.autoApprove ? [] : await this.buildChain(employee, company, route);
+
+    return {
+      rule: route.rule,
+      chain: route.chain,
+      autoApproved: route.autoApprove,
+      steps: chain
+    };
+  }
+
+  /**
+   * Route a newly submitted expense, snapshot its approval chain and open
+   * the first approvals. Returns the approvals opened. The caller saves the
+   * expense.
+   */
+  async start(expense, employee, company) {
+    const route = await this.previewRoute(expense, employee, company);
+
+    expense.routing = {
+      rule: route.rule,
+      chain: route.chain,
+      autoApproved: route.autoApproved
+    };
+    expense.approvalChain = route.steps;
+    expense.totalApprovalLevels = route.steps.length;
+    expense.approvalLevel = 1;
+
+    return this.activateNextStep(expense, 0);
+  }
+
+  // Whether the company's conditional rules approve the expense early
+  isConditionMet(expense, approverId, company) {
+    const settings = company.settings;
+    const rule = settings.approvalRules;
+
+    if (rule === 'specific' || rule === 'hybrid') {
+      const specificApprovers = settings.specificApprovers || [];
+      if (specificApprovers.some(id => id.toString() === approverId.toString())) {
+        return true;
+      }
+    }
+
+    if (rule === 'percentage' || rule === 'hybrid') {
+      const threshold = settings.percentageThreshold || 60;
+      const activeSteps = expense.approvalChain.filter(step => step.status !== 'skipped');
+      const approvedSteps = activeSteps.filter(step => step.status === 'approved');
+      if (activeSteps.length > 0 && (approvedSteps.length / activeSteps.length) * 100 >= threshold) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Mark the group member an approval was opened for
+  recordMemberDecision(step, approval, status) {
+    const memberId = (approval.onBehalfOf || approval.approver).toString();
+    const member = step.members.find(m => m.approver && m.approver.toString() === memberId);
+    if (member) {
+      member.status = status;
+    }
+  }
+
+  /**
+   * Where a group step stands: 'approved' once the quorum and every
+   * mandatory member have approved, 'rejected' once a mandatory member
+   * rejects or the quorum can no longer be reached, else 'pending'.
+   */
+  evaluateQuorum(step) {
+    const quorum = step.quorum || {};
+    const members = step.members;
+    const total = members.length;
+    const approved = members.filter(m => m.status === 'approved').length;
+    const rejected = members.filter(m => m.status === 'rejected').length;
+
+    let required;
+    switch (quorum.rule) {
+      case 'any':
+        required = 1;
+        break;
+      case 'count':
+        required = Math.min(quorum.count || total, total);
+        break;
+      case 'percentage':
+        required = Math.max(1, Math.ceil(total * (quorum.percentage || 100) / 100));
+        break;
+      default:
+        required = total;
+    }
+
+    const mandatory = (quorum.mandatory || []).map(id => id.toString());
+    const mandatoryMembers = members.filter(m => mandatory.includes(m.approver.toString()));
+
+    if (mandatoryMembers.some(m => m.status === 'rejected') || total - rejected < required) {
+      return 'rejected';
+    }
+    if (approved >= required && mandatoryMembers.every(m => m.status === 'approved')) {
+      return 'approved';
+    }
+    return 'pending';
+  }
+
+  /**
+   * Apply an approved Approval to its expense: mark the chain step, then
+   * either finish the expense or move on to the next step. A group step
+   * only moves on once its quorum is reached, closing the approvals of the
+   * members who have not decided. Returns the approvals opened. The caller
+   * saves the expense.
+   */
+  async recordApproval(expense, approval, company) {
+    const step = expense.approvalChain.find(s => s.level === approval.level);
+    let stepResolved = true;
+
+    if (step && step.type === 'group') {
+      this.recordMemberDecision(step, approval, 'approved');
+      stepResolved = this.evaluateQuorum(step) === 'approved';
+      if (stepResolved) {
+        await this.closeOpenApprovals(expense, step.level);
+      }
+    }
+
+    if (step && stepResolved) {
+      step.status = 'approved';
+    }
+
+    // Delegates carry the rights of the approver they act for
+    if (this.isConditionMet(expense, approval.onBehalfOf || approval.approver, company)) {
+      await this.closeOpenApprovals(expense);
+      expense.status = 'approved';
+      expense.currentApprover = null;
+      return [];
+    }
+
+    if (!stepResolved) {
+      return [];
+    }
+
+    return this.activateNextStep(expense, approval.level);
+  }
+
+  /**
+   * Apply a rejected Approval to the chain. A group member's rejection only
+   * rejects the step once the quorum can no longer be reached or a
+   * mandatory member rejects; pass `final` to reject the step regardless.
+   * Returns whether the expense is rejected. The caller updates and saves
+   * the expense.
+   */
+  async recordRejection(expense, approval, { final = false } = {}) {
+    const step = expense.approvalChain.find(s => s.level === approval.level);
+    if (!step) {
+      return true;
+    }
+
+    if (step.type === 'group') {
+      this.recordMemberDecision(step, approval, 'rejected');
+      if (!final && this.evaluateQuorum(step) !== 'rejected') {
+        return false;
+      }
+      await this.closeOpenApprovals(expense, step.level);
+    }
+
+    step.status = 'rejected';
+    return true;
+  }
+
+  /**
+   * Send the expense back to the employee from the step of the given
+   * approval. Other approvals open at that step are closed and the step is
+   * reset, so every approver of the step decides again on resubmission.
+   * The caller saves the expense.
+   */
+  async requestChanges(expense, approval) {
+    await this.closeOpenApprovals(expense, approval.level);
+
+    const step = expense.approvalChain.find(s => s.level === approval.level);
+    if (step) {
+      step.status = 'waiting';
+      (step.members || []).forEach(member => {
+        member.status = 'waiting';
+      });
+    }
+
+    expense.status = 'changes_requested';
+    expense.currentApprover = null;
+    expense.approvalLevel = approval.level;
+  }
+
+  /**
+   * Return an expense awaiting approval to draft, cancelling its open
+   * approvals. Returns those approvals as loaded before they were
+   * cancelled, so the caller can audit them and tell their approvers. The
+   * caller saves the expense.
+   */
+  async withdraw(expense) {
+    const approvals = await Approval.find({ expense: expense._id, status: 'pending' })
+      .session(expense.$session());
+
+    await this.closeOpenApprovals(expense);
+
+    expense.status = 'draft';
+    expense.currentApprover = null;
+    expense.approvalLevel = 1;
+    expense.approvalChain = [];
+    expense.submittedAt = null;
+
+    return approvals;
+  }
+
+  /**
+   * Continue the chain of a resubmitted expense at the step that asked for
+   * changes. Returns the approvals opened. The caller saves the expense.
+   */
+  async resume(expense) {
+    expense.status = 'pending';
+    return this.activateNextStep(expense, expense.approvalLevel - 1);
+  }
+}
+
+module.exports = new ApprovalEngine();
+module.exports.DEFAULT_APPROVAL_CHAIN = DEFAULT_APPROVAL_CHAIN;
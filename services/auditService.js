@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = [
+  'password',
+  'bankAccount.iban',
+  'bankAccount.accountNumber',
+  'settings.notificationWebhook.secret'
+];
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt',
+  // Generated accounting export files, which can always be downloaded
+  'content'
+];
+
+// Normalize values so ObjectIds and dates compare and store predictably
+const normalize = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalize(v)]));
+  }
+  return value;
+};
+
+// Flatten nested objects into dot paths; arrays are compared as a whole
+const flatten = (object, prefix = '', result = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+class AuditService {
+  // Plain copy of a document suitable for diffing, without secrets
+  snapshot(doc) {
+    if (!doc) return null;
+
+    const object = normalize(doc.toObject ? doc.toObject({ depopulate: true }) : doc);
+    const flat = flatten(object);
+    REDACTED_FIELDS.concat(IGNORED_FIELDS).forEach(field => {
+      Object.keys(flat)
+        .filter(path => path === field || path.startsWith(`${field}.`))
+        .forEach(path => delete flat[path]);
+    });
+    return flat;
+  }
+
+  diff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+      const oldValue = before ? before[field] : undefined;
+      const newValue = after ? after[field] : undefined;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({
+          field,
+          before: oldValue === undefined ? null : oldValue,
+          after: newValue === undefined ? null : newValue
+        });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Append an audit entry for a change made through a request. `before` is
+   * a snapshot taken before the change (null for creations). Pass
+   * `deleted: true` when the entity no longer exists, and `related` to link
+   * other affected entities. `actor` and `company` default to the
+   * authenticated user and their company. Failures are logged, never
+   * thrown, so auditing cannot break the request it describes, except
+   * inside a transaction: there the change must not commit without its
+   * entry, so the error aborts the transaction.
+   */
+  async record(req, action, entity, before = null, { deleted = false, related = [], actor = null, company = null } = {}) {
+    const session = entity.$session ? entity.$session() : null;
+    try {
+      const after = deleted ? null : this.snapshot(entity);
+
+      // Written in the entity's transaction, if any, so it commits with the change
+      await AuditLog.create([{
+        company: company || (req.user && req.user.company) || entity.company,
+        actor: actor || (req.user ? req.user._id : null),
+        action,
+        entityType: entity.constructor.modelName,
+        entityId: entity._id,
+        related,
+        changes: this.diff(before, after),
+        ip: req.ip || null,
+        userAgent: req.get ? req.get('User-Agent') || null : null
+      }], { session });
+    } catch (error) {
+      if (session) throw error;
+      console.error('Audit log error:', error);
+    }
+  }
+}
+
+module.exports = new AuditService();
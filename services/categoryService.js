@@ -0,0 +1,163 @@
+const Expense = require('../models/Expense');
+const { CUSTOM_FIELD_TYPES } = require('../models/Company');
+
+const CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const MAX_TEXT_LENGTH = 500;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Error entries shaped like express-validator's so clients handle both alike
+const fieldError = (path, value, msg) => ({ type: 'field', value, msg, path, location: 'body' });
+
+class CategoryService {
+  getCategory(company, code) {
+    return (company.settings.categories || []).find(category => category.code === code) || null;
+  }
+
+  // Error message when new expenses cannot use the category, otherwise null
+  checkCategory(company, code) {
+    const category = this.getCategory(company, code);
+    if (!category) return `Unknown category "${code}"`;
+    if (!category.isActive) return `Category "${category.name}" is no longer available`;
+    return null;
+  }
+
+  /**
+   * Check a category definition against the company's other categories.
+   * Returns an error message, or null when valid.
+   */
+  validateCategory(category, company, { isNew = false } = {}) {
+    if (isNew) {
+      if (!CODE_PATTERN.test(category.code || '')) {
+        return 'Category code must start with a letter and contain only lowercase letters, digits and underscores';
+      }
+      if (this.getCategory(company, category.code)) {
+        return `Category code "${category.code}" is already in use`;
+      }
+    }
+
+    const duplicateName = (company.settings.categories || []).some(other =>
+      other.code !== category.code && other.name.toLowerCase() === (category.name || '').toLowerCase()
+    );
+    if (duplicateName) return `Category name "${category.name}" is already in use`;
+
+    return null;
+  }
+
+  /**
+   * Check a custom field definition: a unique key, options for select
+   * fields, and category codes the company has. Returns an error message,
+   * or null when valid.
+   */
+  validateField(field, company, { isNew = false } = {}) {
+    if (isNew) {
+      if (!FIELD_KEY_PATTERN.test(field.key || '')) {
+        return 'Field key must start with a letter and contain only letters, digits and underscores';
+      }
+      if ((company.settings.customFields || []).some(other => other.key === field.key)) {
+        return `Field key "${field.key}" is already in use`;
+      }
+    }
+
+    if (!CUSTOM_FIELD_TYPES.includes(field.type)) return 'Invalid field type';
+    if (field.type === 'select' && (field.options || []).length === 0) {
+      return 'Select fields require at least one option';
+    }
+
+    const unknown = [...(field.categories || []), ...(field.requiredFor || [])]
+      .filter(code => !this.getCategory(company, code));
+    if (unknown.length > 0) return `Unknown category "${unknown[0]}"`;
+
+    return null;
+  }
+
+  // Custom field value in its stored form, or undefined when invalid
+  normalizeValue(field, value) {
+    switch (field.type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : Number(value);
+        return typeof value !== 'boolean' && value !== '' && Number.isFinite(number) ? number : undefined;
+      }
+      case 'date': {
+        const date = new Date(value);
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(date) ? date : undefined;
+      }
+      case 'select':
+        return field.options.includes(value) ? value : undefined;
+      default:
+        return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH ? value.trim() : undefined;
+    }
+  }
+
+  /**
+   * Merge custom field values from a request into the expense, converting
+   * numbers and dates. A null or empty value clears the field. Values of
+   * fields that do not apply to the expense's category are dropped.
+   * Returns a list of errors, empty when every value was valid.
+   */
+  applyCustomFields(expense, input, company) {
+    const errors = [];
+    const fields = expense.category ? company.getCustomFields(expense.category) : [];
+    const values = new Map(expense.customFields || []);
+
+    Object.entries(input || {}).forEach(([key, value]) => {
+      const path = `customFields.${key}`;
+      const field = fields.find(candidate => candidate.key === key);
+      if (!field) {
+        errors.push(fieldError(path, value, `Unknown custom field "${key}" for this category`));
+        return;
+      }
+
+      if (isBlank(value)) {
+        values.delete(key);
+        return;
+      }
+
+      const normalized = this.normalizeValue(field, value);
+      if (normalized === undefined) {
+        const expected = {
+          text: `text of at most ${MAX_TEXT_LENGTH} characters`,
+          number: 'a number',
+          date: 'a date (YYYY-MM-DD)',
+          select: `one of ${field.options.join(', ')}`
+        };
+        errors.push(fieldError(path, value, `${field.label} must be ${expected[field.type]}`));
+        return;
+      }
+      values.set(key, normalized);
+    });
+
+    if (errors.length === 0) {
+      const keys = fields.map(field => field.key);
+      expense.customFields = new Map([...values].filter(([key]) => keys.includes(key)));
+    }
+
+    return errors;
+  }
+
+  // Number of expenses filed under a category
+  async countExpenses(companyId, code) {
+    return Expense.countDocuments({ company: companyId, category: code });
+  }
+
+  /**
+   * Suggest the first active category whose keywords appear in receipt
+   * text. Falls back to 'other' when available, otherwise null.
+   */
+  suggest(text, categories) {
+    const textLower = (text || '').toLowerCase();
+    const active = categories.filter(category => category.isActive !== false);
+
+    const match = active.find(category =>
+      (category.keywords || []).some(keyword => textLower.includes(keyword.toLowerCase()))
+    );
+    if (match) return match.code;
+
+    return active.some(category => category.code === 'other') ? 'other' : null;
+  }
+}
+
+module.exports = new CategoryService();
+module.exports.CODE_PATTERN = CODE_PATTERN;
+module.exports.FIELD_KEY_PATTERN = FIELD_KEY_PATTERN;
@@ -0,0 +1,91 @@
+const { CODING_DIMENSIONS } = require('../models/Company');
+const categoryService = require('./categoryService');
+
+const DIMENSIONS = Object.keys(CODING_DIMENSIONS);
+
+// Error entries shaped like express-validator's so clients handle both alike
+const fieldError = (path, value, msg) => ({ type: 'field', value, msg, path, location: 'body' });
+
+class CodingService {
+  getList(company, dimension) {
+    const accounting = company.settings.accounting || {};
+    return accounting[CODING_DIMENSIONS[dimension]] || [];
+  }
+
+  findValue(company, dimension, code) {
+    return this.getList(company, dimension).find(entry => entry.code === code && entry.isActive) || null;
+  }
+
+  // Dimensions the company codes expenses with, i.e. those with a list
+  getUsedDimensions(company) {
+    return DIMENSIONS.filter(dimension => this.getList(company, dimension).some(entry => entry.isActive));
+  }
+
+  /**
+   * Fill in dimensions the expense has no code for yet: the GL account of
+   * its category, the employee's department and that department's cost
+   * center. Defaults that are not active codes of the company are skipped.
+   */
+  applyDefaults(expense, company, employee) {
+    const coding = expense.coding;
+    const setDefault = (dimension, code) => {
+      if (!coding[dimension] && code && this.findValue(company, dimension, code)) {
+        coding[dimension] = code;
+      }
+    };
+
+    const category = expense.category ? categoryService.getCategory(company, expense.category) : null;
+    setDefault('glAccount', category && category.glAccount);
+
+    setDefault('department', employee && employee.department);
+    const department = coding.department ? this.findValue(company, 'department', coding.department) : null;
+    setDefault('costCenter', department && department.costCenter);
+  }
+
+  /**
+   * Copy coding from a request onto the expense. Codes must be active
+   * entries of the company's lists; null clears a dimension. Returns a list
+   * of errors, empty when every code was valid.
+   */
+  applyCoding(expense, input, company) {
+    const errors = [];
+    const changes = {};
+
+    Object.entries(input || {}).forEach(([dimension, code]) => {
+      const path = `coding.${dimension}`;
+      if (!DIMENSIONS.includes(dimension)) {
+        errors.push(fieldError(path, code, `Unknown accounting dimension "${dimension}"`));
+      } else if (code === null || code === '') {
+        changes[dimension] = null;
+      } else if (!this.findValue(company, dimension, code)) {
+        errors.push(fieldError(path, code, `"${code}" is not an active ${dimension} code`));
+      } else {
+        changes[dimension] = code;
+      }
+    });
+
+    if (errors.length === 0) {
+      Object.entries(changes).forEach(([dimension, code]) => {
+        expense.coding[dimension] = code;
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Required dimensions the expense is not coded with yet, as field paths.
+   * Dimensions without a company list are never required.
+   */
+  getMissingDimensions(expense, company) {
+    const required = (company.settings.accounting && company.settings.accounting.requiredDimensions) || [];
+    const used = this.getUsedDimensions(company);
+
+    return required
+      .filter(dimension => used.includes(dimension) && !(expense.coding && expense.coding[dimension]))
+      .map(dimension => `coding.${dimension}`);
+  }
+}
+
+module.exports = new CodingService();
+module.exports.DIMENSIONS = DIMENSIONS;
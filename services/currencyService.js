@@ -0,0 +1,289 @@
+const fs = require('fs');
+const axios = require('axios');
+const ExchangeRate = require('../models/ExchangeRate');
+const ExchangeRateOverride = require('../models/ExchangeRateOverride');
+const Company = require('../models/Company');
+const moneyService = require('./moneyService');
+
+const PROVIDER_TIMEOUT_MS = 10000;
+
+// Thrown when no rate is known for a currency pair
+class ExchangeRateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExchangeRateError';
+  }
+}
+
+// Midnight UTC of the day a date falls on
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Rates quoted in another base, converted to rates of `base`
+const rebase = (rates, base) => {
+  const divisor = rates[base];
+  return Object.fromEntries(Object.entries(rates).map(([currency, rate]) => [currency, rate / divisor]));
+};
+
+// Current rates from an HTTP API answering GET <url>/<base> with
+// { base, date, rates }, such as exchangerate-api.com. Historical rates
+// are not available, so `date` is ignored.
+class HttpProvider {
+  constructor() {
+    this.historical = false;
+  }
+
+  async fetchRates(base) {
+    const response = await axios.get(`${process.env.EXCHANGE_RATE_API}/${base}`, { timeout: PROVIDER_TIMEOUT_MS });
+    return {
+      base: response.data.base || base,
+      date: response.data.date ? new Date(response.data.date) : new Date(),
+      rates: response.data.rates
+    };
+  }
+}
+
+// Rates read from EXCHANGE_RATE_FILE, a JSON array of { base, date, rates }
+// snapshots, for tests and deployments without internet access. The file is
+// read on every fetch so it can be replaced without a restart.
+class FileProvider {
+  async fetchRates(base, date = new Date()) {
+    const file = process.env.EXCHANGE_RATE_FILE;
+    const snapshots = [].concat(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+    const day = startOfDay(date);
+
+    const snapshot = snapshots
+      .filter(entry => new Date(entry.date) <= day && (entry.base === base || entry.rates[base]))
+      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+    if (!snapshot) {
+      throw new ExchangeRateError(`No ${base} rates on or before ${formatDay(day)} in ${file}`);
+    }
+
+    return {
+      base,
+      date: new Date(snapshot.date),
+      rates: snapshot.base === base ? snapshot.rates : rebase(snapshot.rates, base)
+    };
+  }
+}
+
+class CurrencyService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider('http', new HttpProvider());
+    this.registerProvider('file', new FileProvider());
+  }
+
+  /**
+   * Add an exchange-rate provider. A provider implements
+   * fetchRates(base, date) resolving to { base, date, rates }; providers
+   * that only know current rates set `historical = false` and are not asked
+   * for past days. The one named by EXCHANGE_RATE_PROVIDER (default http)
+   * is used.
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  getProviderName() {
+    return process.env.EXCHANGE_RATE_PROVIDER || 'http';
+  }
+
+  getProvider() {
+    const provider = this.providers.get(this.getProviderName());
+    if (!provider) {
+      throw new Error(`Unknown exchange-rate provider "${this.getProviderName()}"`);
+    }
+    return provider;
+  }
+
+  // Fetch rates for a base currency from the provider into the rate store
+  async fetchAndStore(base, date) {
+    const result = await this.getProvider().fetchRates(base, date);
+
+    return ExchangeRate.findOneAndUpdate(
+      { base: result.base, date: startOfDay(result.date) },
+      { rates: result.rates, provider: this.getProviderName() },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Scheduled job: store current rates for every company currency and
+   * those listed in EXCHANGE_RATE_BASES. A base that fails is retried on
+   * the next run; lookups meanwhile use the latest stored rates.
+   */
+  async refreshRates() {
+    const configured = (process.env.EXCHANGE_RATE_BASES || '')
+      .split(',')
+      .map(currency => currency.trim().toUpperCase())
+      .filter(Boolean);
+    const bases = [...new Set([...(await Company.distinct('currency')), ...configured])];
+
+    const fetched = [];
+    const failed = [];
+    for (const base of bases) {
+      try {
+        await this.fetchAndStore(base);
+        fetched.push(base);
+      } catch (error) {
+        console.error(`Exchange rate fetch for ${base} error:`, error.message);
+        failed.push(base);
+      }
+    }
+
+    return { fetched, failed };
+  }
+
+  /**
+   * Latest stored rates matching `conditions` on or before the day, or
+   * null. When none are stored yet, rates for `base` are fetched from the
+   * provider if it can supply that day. Later rates are never used in place
+   * of the day's, so an old expense is not converted at today's rate.
+   */
+  async findSnapshot(conditions, day, base) {
+    const findBefore = () => ExchangeRate.findOne({ ...conditions, date: { $lte: day } }).sort({ date: -1 });
+
+    const snapshot = await findBefore();
+    if (snapshot) return snapshot;
+
+    if (this.getProvider().historical === false && day < startOfDay(new Date())) {
+      return null;
+    }
+
+    try {
+      await this.fetchAndStore(base, day);
+    } catch (error) {
+      console.error(`Exchange rate fetch for ${base} error:`, error.message);
+    }
+
+    return findBefore();
+  }
+
+  // Company override in force on the day, in either direction of the pair
+  async findOverride(companyId, from, to, day) {
+    const override = await ExchangeRateOverride.findOne({
+      company: companyId,
+      $and: [
+        { $or: [{ from, to }, { from: to, to: from }] },
+        { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: day } }] }
+      ],
+      effectiveFrom: { $lte: day }
+    }).sort({ effectiveFrom: -1, createdAt: -1 });
+
+    if (!override) return null;
+    return override.from === from ? override.rate : 1 / override.rate;
+  }
+
+  /**
+   * Rate from one currency to another for a day: the company's override in
+   * force that day, otherwise the stored provider rates of the nearest
+   * previous day. Resolves to { rate, date, source } where source is
+   * 'manual' or the provider name; throws ExchangeRateError when no rate is
+   * known on or before the day.
+   */
+  async getRate(from, to, { date = new Date(), company = null } = {}) {
+    const fromCurrency = from.toUpperCase();
+    const toCurrency = to.toUpperCase();
+    const day = startOfDay(date);
+
+    if (fromCurrency === toCurrency) {
+      return { rate: 1, date: day, source: null };
+    }
+
+    if (company) {
+      const rate = await this.findOverride(company, fromCurrency, toCurrency, day);
+      if (rate) return { rate, date: day, source: 'manual' };
+    }
+
+    // Quoted in either currency, or in a third one that has both
+    const has = currency => ({ [`rates.${currency}`]: { $exists: true } });
+    const snapshot = await this.findSnapshot({
+      $or: [
+        { base: fromCurrency, ...has(toCurrency) },
+        { base: toCurrency, ...has(fromCurrency) },
+        { ...has(fromCurrency), ...has(toCurrency) }
+      ]
+    }, day, fromCurrency);
+
+    if (!snapshot) {
+      throw new ExchangeRateError(
+        `Exchange rate not found for ${fromCurrency} to ${toCurrency} on or before ${formatDay(day)}; add a manual rate for that date`
+      );
+    }
+
+    const rateOf = currency => (currency === snapshot.base ? 1 : snapshot.rates.get(currency));
+    return {
+      rate: rateOf(toCurrency) / rateOf(fromCurrency),
+      date: snapshot.date,
+      source: snapshot.provider
+    };
+  }
+
+  // All stored rates of a base currency for a day, as { base, date, rates, source }
+  async getRates(base, { date = new Date() } = {}) {
+    const baseCurrency = base.toUpperCase();
+    const snapshot = await this.findSnapshot({
+      $or: [{ base: baseCurrency }, { [`rates.${baseCurrency}`]: { $exists: true } }]
+    }, startOfDay(date), baseCurrency);
+
+    if (!snapshot) {
+      throw new ExchangeRateError(`Exchange rates not found for ${baseCurrency} on or before ${formatDay(startOfDay(date))}`);
+    }
+
+    const rates = Object.fromEntries(snapshot.rates);
+    return {
+      base: baseCurrency,
+      date: snapshot.date,
+      rates: snapshot.base === baseCurrency ? rates : rebase({ ...rates, [snapshot.base]: 1 }, baseCurrency),
+      source: snapshot.provider
+    };
+  }
+
+  // Amount converted at the rate of the day, rounded to the target currency
+  async convert(amount, fromCurrency, toCurrency, options = {}) {
+    const { rate, date, source } = await this.getRate(fromCurrency, toCurrency, options);
+    return {
+      amount: moneyService.round(amount * rate, toCurrency),
+      rate,
+      date,
+      source
+    };
+  }
+
+  /**
+   * Set convertedAmount and exchangeRate once amount and currency are known,
+   * at the rate of the expense date. Returns an error message when no rate
+   * is known, otherwise null.
+   */
+  async applyToExpense(expense, company) {
+    if (expense.amount === undefined || expense.amount === null || !expense.currency) {
+      return null;
+    }
+
+    let conversion;
+    try {
+      conversion = await this.convert(expense.amount, expense.currency, company.currency, {
+        date: expense.expenseDate || new Date(),
+        company: company._id
+      });
+    } catch (error) {
+      if (error instanceof ExchangeRateError) return error.message;
+      throw error;
+    }
+
+    expense.convertedAmount = conversion.amount;
+    expense.exchangeRate = conversion.rate;
+    expense.exchangeRateDate = conversion.date;
+    expense.exchangeRateSource = conversion.source;
+    expense.companyCurrency = company.currency;
+    return null;
+  }
+}
+
+module.exports = new CurrencyService();
+module.exports.ExchangeRateError = ExchangeRateError;
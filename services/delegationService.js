@@ -0,0 +1,70 @@
+const Delegation = require('../models/Delegation');
+
+class DelegationService {
+  // Delegations in force at the given time
+  getActiveQuery(at = new Date()) {
+    return {
+      isActive: true,
+      startDate: { $lte: at },
+      endDate: { $gte: at }
+    };
+  }
+
+  /**
+   * Whether a delegation covers an expense or report. The amount limit is
+   * checked against the company currency amount. Category scopes only
+   * cover single expenses, since a report mixes categories.
+   */
+  matchesScope(delegation, subject) {
+    const scope = delegation.scope || {};
+
+    if (scope.maxAmount !== null && scope.maxAmount !== undefined &&
+        (subject.convertedAmount || 0) > scope.maxAmount) {
+      return false;
+    }
+
+    if (scope.categories && scope.categories.length > 0) {
+      if (subject.constructor.modelName === 'ExpenseReport') return false;
+      if (!scope.categories.includes(subject.category)) return false;
+    }
+
+    return true;
+  }
+
+  // Most recent active delegation of the delegator that covers the subject
+  async findDelegation(delegatorId, subject, { delegate = null, at = new Date() } = {}) {
+    const query = { ...this.getActiveQuery(at), delegator: delegatorId };
+    if (delegate) query.delegate = delegate;
+
+    const delegations = await Delegation.find(query).sort({ createdAt: -1 });
+    return delegations.find(delegation =>
+      this.matchesScope(delegation, subject) &&
+      delegation.delegate.toString() !== subject.employee.toString()
+    ) || null;
+  }
+
+  // Active delegations the given user is the delegate of
+  getDelegationsTo(userId, at = new Date()) {
+    return Delegation.find({ ...this.getActiveQuery(at), delegate: userId });
+  }
+
+  /**
+   * Work out on whose behalf a user acts on an approval. Returns
+   * { allowed, onBehalfOf }: the approver acts for whoever the approval was
+   * routed from, and an active delegate acts for the approver.
+   */
+  async resolveActor(user, approval, subject) {
+    if (approval.approver.toString() === user._id.toString()) {
+      return { allowed: true, onBehalfOf: approval.onBehalfOf || null };
+    }
+
+    const delegation = await this.findDelegation(approval.approver, subject, { delegate: user._id });
+    if (delegation) {
+      return { allowed: true, onBehalfOf: approval.approver };
+    }
+
+    return { allowed: false, onBehalfOf: null };
+  }
+}
+
+module.exports = new DelegationService();
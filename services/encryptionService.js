@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Symmetric encryption for sensitive fields stored in MongoDB (bank details)
+class EncryptionService {
+  getKey() {
+    const secret = process.env.DATA_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error('DATA_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  // Returns "iv:authTag:ciphertext", all base64
+  encrypt(plainText) {
+    if (plainText === null || plainText === undefined || plainText === '') {
+      return null;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decrypt(payload) {
+    if (!payload) {
+      return null;
+    }
+
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,155 @@
+const Approval = require('../models/Approval');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const approvalEngine = require('./approvalEngine');
+const notificationService = require('./notificationService');
+const auditService = require('./auditService');
+
+// Approvers get their first reminder this long before an approval falls due
+const REMINDER_LEAD_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Keeps pending approvals moving: flags overdue ones, reminds approvers and
+// escalates approvals left overdue for too long. Run by the scheduler.
+class EscalationService {
+  isReminderDue(approval, company, now) {
+    if (!approval.lastReminderSent) return true;
+    const intervalHours = company.settings.reminderIntervalHours || 24;
+    return now - approval.lastReminderSent >= intervalHours * HOUR_MS;
+  }
+
+  isEscalationDue(approval, company, now) {
+    const days = company.settings.escalateAfterDays;
+    if (days === null || days === undefined) return false;
+    return now - approval.dueDate >= days * DAY_MS;
+  }
+
+  // The manager of the approver (or of whoever a delegate stood in for),
+  // else the company fallback. Never the current approver or the employee
+  // who submitted the expense.
+  async findEscalationTarget(approval, subject, company) {
+    const approver = await User.findById(approval.onBehalfOf || approval.approver).select('manager');
+    const candidates = [approver && approver.manager, company.settings.escalationFallback];
+
+    const targetId = candidates.find(id =>
+      id &&
+      id.toString() !== approval.approver.toString() &&
+      id.toString() !== subject.employee.toString()
+    );
+    if (!targetId) return null;
+
+    const target = await User.findOne({ _id: targetId, company: company._id, isActive: true }).select('_id');
+    return target ? target._id : null;
+  }
+
+  /**
+   * Hand an overdue approval to the escalation target: close it as
+   * escalated, reassign the chain step and open a new approval at the same
+   * level. Returns the new approval, or null when there is nobody to
+   * escalate to.
+   */
+  async escalate(approval, subject, company, now) {
+    const target = await this.findEscalationTarget(approval, subject, company);
+    if (!target) return null;
+
+    const approvalBefore = auditService.snapshot(approval);
+    const subjectBefore = auditService.snapshot(subject);
+    const daysOverdue = Math.floor((now - approval.dueDate) / DAY_MS);
+
+    approval.status = 'escalated';
+    approval.escalatedAt = now;
+    await approval.save();
+
+    const step = subject.approvalChain.find(s => s.level === approval.level);
+    const member = step && step.type === 'group'
+      ? step.members.find(m => m.approver.toString() === (approval.onBehalfOf || approval.approver).toString())
+      : null;
+    if (member) {
+      member.approver = target;
+    } else if (step) {
+      step.approver = target;
+    }
+    subject.escalations.push({
+      level: approval.level,
+      from: approval.approver,
+      to: target,
+      reason: `Approval overdue by ${daysOverdue} day(s)`,
+      escalatedAt: now
+    });
+
+    const escalated = await approvalEngine.createApproval(subject, { approver: target, level: approval.level });
+    if (!member) {
+      subject.currentApprover = escalated.approver;
+    }
+    await subject.save();
+
+    // Escalations are made by the system, not a user
+    const context = { actor: null, company: company._id };
+    await auditService.record({}, 'approval.escalate', approval, approvalBefore, { ...context, related: [subject._id, escalated._id] });
+    await auditService.record({}, subject.constructor.modelName === 'ExpenseReport' ? 'report.escalate' : 'expense.escalate',
+      subject, subjectBefore, { ...context, related: [approval._id, escalated._id] });
+
+    await notificationService.approvalEscalated(escalated, subject);
+    return escalated;
+  }
+
+  /**
+   * Process every pending approval that is due soon or overdue. Returns
+   * how many approvals were reminded, flagged overdue and escalated.
+   */
+  async run(now = new Date()) {
+    const result = { reminded: 0, overdue: 0, escalated: 0 };
+    const companies = new Map();
+
+    const approvals = await Approval.find({
+      status: 'pending',
+      dueDate: { $ne: null, $lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) }
+    })
+    .populate('expense')
+    .populate('report');
+
+    for (const approval of approvals) {
+      const subject = approval.report || approval.expense;
+      if (!subject) continue;
+
+      const companyId = subject.company.toString();
+      if (!companies.has(companyId)) {
+        companies.set(companyId, await Company.findById(companyId));
+      }
+      const company = companies.get(companyId);
+      if (!company) continue;
+
+      if (!approval.isOverdue && approval.dueDate <= now) {
+        // The overdue notice doubles as a reminder
+        approval.isOverdue = true;
+        approval.reminderSent = true;
+        approval.lastReminderSent = now;
+        await approval.save();
+        await notificationService.approvalOverdue(approval, subject);
+        result.overdue++;
+      }
+
+      if (approval.isOverdue && this.isEscalationDue(approval, company, now)) {
+        if (await this.escalate(approval, subject, company, now)) {
+          result.escalated++;
+          continue;
+        }
+      }
+
+      if (this.isReminderDue(approval, company, now)) {
+        approval.reminderSent = true;
+        approval.lastReminderSent = now;
+        await approval.save();
+        await notificationService.approvalReminder(approval, subject);
+        result.reminded++;
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new EscalationService();
+module.exports.REMINDER_LEAD_HOURS = REMINDER_LEAD_HOURS;
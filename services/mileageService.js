@@ -0,0 +1,174 @@
+const Expense = require('../models/Expense');
+const moneyService = require('./moneyService');
+
+const EARTH_RADIUS = { km: 6371.0088, mi: 3958.7613 };
+const KM_PER_MILE = 1.609344;
+
+// Thrown when a mileage expense cannot be priced
+class MileageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MileageError';
+  }
+}
+
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const hasCoordinates = (location) =>
+  !!location &&
+  typeof location.latitude === 'number' &&
+  typeof location.longitude === 'number';
+
+class MileageService {
+  convertDistance(distance, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return distance;
+    return fromUnit === 'km' ? distance / KM_PER_MILE : distance * KM_PER_MILE;
+  }
+
+  // Haversine distance between two coordinates
+  greatCircleDistance(from, to, unit = 'km') {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS[unit] * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // Straight-line distance along the stops of a trip, or null when a stop
+  // has no coordinates
+  routeDistance(mileage) {
+    const stops = [mileage.origin, ...(mileage.waypoints || []), mileage.destination];
+    if (!stops.every(hasCoordinates)) return null;
+
+    let distance = 0;
+    for (let i = 1; i < stops.length; i++) {
+      distance += this.greatCircleDistance(stops[i - 1], stops[i], mileage.unit);
+    }
+    return round(distance, 2);
+  }
+
+  // The rate entry in force for the vehicle on the trip date
+  findRate(company, vehicleType, date) {
+    return (company.settings.mileageRates || [])
+      .filter(entry => entry.vehicleType === vehicleType && entry.effectiveFrom <= date)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0] || null;
+  }
+
+  /**
+   * Distance the employee claimed in the same calendar year before this
+   * trip, in the given unit. Submitted claims count, as do the other lines
+   * of the expense's report; drafts and rejected claims do not.
+   */
+  async getYearToDateDistance(expense, unit) {
+    const date = expense.expenseDate;
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+
+    const counted = [{ status: { $nin: ['draft', 'rejected'] } }];
+    if (expense.report) {
+      counted.push({ report: expense.report, status: { $ne: 'rejected' } });
+    }
+
+    const totals = await Expense.aggregate([
+      {
+        $match: {
+          employee: expense.employee,
+          kind: 'mileage',
+          _id: { $ne: expense._id },
+          $and: [
+            { $or: counted },
+            {
+              $or: [
+                { expenseDate: { $gte: yearStart, $lt: date } },
+                { expenseDate: date, _id: { $lt: expense._id } }
+              ]
+            }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: '$mileage.unit',
+          distance: { $sum: '$mileage.distance' }
+        }
+      }
+    ]);
+
+    return totals.reduce((sum, total) => sum + this.convertDistance(total.distance, total._id, unit), 0);
+  }
+
+  /**
+   * Split a distance across the rate and its tiers, given the distance
+   * already claimed this year. Returns [{ rate, distance, amount }].
+   */
+  applyTiers(rateEntry, distance, yearToDate) {
+    const bands = [{ from: 0, rate: rateEntry.rate }, ...[...rateEntry.tiers]
+      .sort((a, b) => a.after - b.after)
+      .map(tier => ({ from: tier.after, rate: tier.rate }))];
+
+    const start = yearToDate;
+    const end = yearToDate + distance;
+
+    return bands
+      .map((band, i) => {
+        const bandEnd = i + 1 < bands.length ? bands[i + 1].from : Infinity;
+        const covered = Math.max(0, Math.min(end, bandEnd) - Math.max(start, band.from));
+        return {
+          rate: band.rate,
+          distance: round(covered, 2),
+          amount: moneyService.round(covered * band.rate, rateEntry.currency)
+        };
+      })
+      .filter(part => part.distance > 0);
+  }
+
+  /**
+   * Work out the distance of a mileage expense (from its coordinates unless
+   * entered) and price it from the company rate table, setting amount,
+   * currency and the rate used. Does nothing for other expenses or while a
+   * draft lacks the distance or date. Throws MileageError when no rate
+   * applies.
+   */
+  async applyToExpense(expense, company) {
+    if (expense.kind !== 'mileage' || !expense.mileage) return;
+
+    const mileage = expense.mileage;
+    if (mileage.distanceSource === 'coordinates' || mileage.distance === undefined || mileage.distance === null) {
+      const computed = this.routeDistance(mileage);
+      if (computed !== null) {
+        mileage.distance = computed;
+        mileage.distanceSource = 'coordinates';
+      }
+    }
+
+    if (mileage.distance === undefined || mileage.distance === null || !expense.expenseDate) {
+      return;
+    }
+
+    const rateEntry = this.findRate(company, mileage.vehicleType, expense.expenseDate);
+    if (!rateEntry) {
+      throw new MileageError(`No mileage rate is configured for ${mileage.vehicleType} on ${expense.expenseDate.toISOString().slice(0, 10)}`);
+    }
+
+    const distance = this.convertDistance(mileage.distance, mileage.unit, rateEntry.unit);
+    const yearToDate = await this.getYearToDateDistance(expense, rateEntry.unit);
+    const breakdown = this.applyTiers(rateEntry, distance, yearToDate);
+
+    mileage.rate = {
+      effectiveFrom: rateEntry.effectiveFrom,
+      currency: rateEntry.currency,
+      unit: rateEntry.unit,
+      yearToDate: round(yearToDate, 2),
+      breakdown
+    };
+    expense.amount = moneyService.sum(breakdown.map(part => part.amount), rateEntry.currency);
+    expense.currency = rateEntry.currency;
+  }
+}
+
+module.exports = new MileageService();
+module.exports.MileageError = MileageError;
@@ -0,0 +1,88 @@
+// ISO 4217 minor units: digits after the decimal point of each currency
+// that does not use the usual two
+const MINOR_UNITS = {
+  BHD: 3,
+  BIF: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0
+};
+const DEFAULT_MINOR_UNITS = 2;
+
+// Drop the binary noise of a scaled amount, e.g. 1.005 * 100 = 100.49999999999999
+const clean = (value) => Number(value.toPrecision(15));
+
+/**
+ * Amounts are exchanged in major units (12.34) but rounded and added up as
+ * integer minor units (1234) of their currency, so totals do not pick up
+ * floating-point error.
+ */
+class MoneyService {
+  getMinorUnits(currency) {
+    const code = (currency || '').toUpperCase();
+    return MINOR_UNITS[code] !== undefined ? MINOR_UNITS[code] : DEFAULT_MINOR_UNITS;
+  }
+
+  // Amount in integer minor units, rounding half away from zero
+  toMinor(amount, currency) {
+    const scaled = clean(amount * Math.pow(10, this.getMinorUnits(currency)));
+    return Math.sign(scaled) * Math.round(Math.abs(scaled));
+  }
+
+  fromMinor(minor, currency) {
+    return minor / Math.pow(10, this.getMinorUnits(currency));
+  }
+
+  round(amount, currency) {
+    return this.fromMinor(this.toMinor(amount, currency), currency);
+  }
+
+  // Whether an amount has no more decimals than the currency has
+  hasValidPrecision(amount, currency) {
+    return Number.isInteger(clean(amount * Math.pow(10, this.getMinorUnits(currency))));
+  }
+
+  // Message for an amount with too many decimals, otherwise null
+  checkPrecision(amount, currency) {
+    if (this.hasValidPrecision(amount, currency)) return null;
+
+    const units = this.getMinorUnits(currency);
+    return units === 0
+      ? `${currency.toUpperCase()} amounts cannot have decimals`
+      : `${currency.toUpperCase()} amounts can have at most ${units} decimals`;
+  }
+
+  // Total of amounts in one currency
+  sum(amounts, currency) {
+    return this.fromMinor(amounts.reduce((total, amount) => total + this.toMinor(amount, currency), 0), currency);
+  }
+
+  // Amount as text with exactly the currency's decimals, for files
+  format(amount, currency) {
+    return this.round(amount, currency).toFixed(this.getMinorUnits(currency));
+  }
+}
+
+module.exports = new MoneyService();
+module.exports.MINOR_UNITS = MINOR_UNITS;
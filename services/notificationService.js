@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Company = require('../models/Company');
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Stores the notification in the recipient's in-app inbox
+class InAppChannel {
+  isEnabled() {
+    return true;
+  }
+
+  async send(notification) {
+    await Notification.create(notification);
+  }
+}
+
+// Sends email over SMTP. Disabled unless SMTP_HOST is set, so it can be
+// pointed at a local test server in development.
+class EmailChannel {
+  constructor() {
+    this.transporter = null;
+  }
+
+  isEnabled() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+        connectionTimeout: 10000
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(notification, recipient) {
+    await this.getTransporter().sendMail({
+      from: process.env.SMTP_FROM || 'Expense Management <no-reply@localhost>',
+      to: recipient.email,
+      subject: notification.title,
+      text: notification.message
+    });
+  }
+}
+
+// Posts the notification to the company webhook, signed with its secret
+class WebhookChannel {
+  isEnabled(company) {
+    const webhook = company && company.settings.notificationWebhook;
+    return Boolean(webhook && webhook.url);
+  }
+
+  async send(notification, recipient, company) {
+    const { url, secret } = company.settings.notificationWebhook;
+    const payload = JSON.stringify({
+      event: notification.event,
+      title: notification.title,
+      message: notification.message,
+      entityType: notification.entityType,
+      entityId: notification.entityId,
+      recipient: {
+        id: recipient._id,
+        email: recipient.email
+      },
+      company: company._id,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+      headers['X-Webhook-Signature'] = `sha256=${signature}`;
+    }
+
+    await axios.post(url, payload, { headers, timeout: WEBHOOK_TIMEOUT_MS });
+  }
+}
+
+// Short description of an expense or report for messages
+const describe = (subject) => {
+  if (subject.constructor.modelName === 'ExpenseReport') {
+    return `Expense report "${subject.title}"`;
+  }
+  return `Expense "${subject.description}" (${subject.amount} ${subject.currency})`;
+};
+
+class NotificationService {
+  constructor() {
+    // Keyed by the name used in user notification preferences
+    this.channels = new Map();
+    this.registerChannel('inApp', new InAppChannel());
+    this.registerChannel('email', new EmailChannel());
+    this.registerChannel('webhook', new WebhookChannel());
+  }
+
+  /**
+   * Add a delivery channel. A channel implements isEnabled(company) and
+   * send(notification, recipient, company); users opt out of it by setting
+   * notificationPreferences[name] to false.
+   */
+  registerChannel(name, channel) {
+    this.channels.set(name, channel);
+  }
+
+  /**
+   * Deliver an event to a user on every enabled channel they have not
+   * opted out of. Failures are logged, never thrown, so a broken channel
+   * cannot break the request that triggered it.
+   */
+  async notify(userId, event, { title, message, entity = null }) {
+    try {
+      const recipient = await User.findById(userId);
+      if (!recipient || !recipient.isActive) return;
+
+      const preferences = recipient.notificationPreferences || {};
+      if ((preferences.mutedEvents || []).includes(event)) return;
+
+      const company = await Company.findById(recipient.company)
+        .select('+settings.notificationWebhook.secret');
+
+      const notification = {
+        company: recipient.company,
+        user: recipient._id,
+        event,
+        title,
+        message,
+        entityType: entity ? entity.constructor.modelName : null,
+        entityId: entity ? entity._id : null
+      };
+
+      for (const [name, channel] of this.channels) {
+        if (preferences[name] === false || !channel.isEnabled(company)) continue;
+
+        try {
+          await channel.send(notification, recipient, company);
+        } catch (error) {
+          console.error(`Notification ${name} channel error:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Notification error:', error);
+    }
+  }
+
+  // Tell an approver that an expense or report is waiting for them
+  async approvalRequested(approval, subject) {
+    const due = approval.dueDate ? ` It is due by ${approval.dueDate.toDateString()}.` : '';
+    await this.notify(approval.approver, 'approval_requested', {
+      title: 'Approval requested',
+      message: `${describe(subject)} is waiting for your approval.${due}`,
+      entity: subject
+    });
+  }
+
+  // Tell the employee the final outcome of their expense or report
+  async decisionMade(subject) {
+    if (subject.status === 'approved') {
+      await this.notify(subject.employee, 'expense_approved', {
+        title: 'Expense approved',
+        message: `${describe(subject)} has been approved.`,
+        entity: subject
+      });
+    } else if (subject.status === 'rejected') {
+      const reason = subject.rejectionReason ? ` Reason: ${subject.rejectionReason}` : '';
+      await this.notify(subject.employee, 'expense_rejected', {
+        title: 'Expense rejected',
+        message: `${describe(subject)} has been rejected.${reason}`,
+        entity: subject
+      });
+    }
+  }
+
+  // Tell the employee what to correct before resubmitting
+  async changesRequested(subject, changeRequest) {
+    const fields = changeRequest.fields && changeRequest.fields.length > 0
+      ? ` Fields to correct: ${changeRequest.fields.join(', ')}.`
+      : '';
+    await this.notify(subject.employee, 'changes_requested', {
+      title: 'Changes requested',
+      message: `${describe(subject)} was sent back for changes: ${changeRequest.notes}${fields}`,
+      entity: subject
+    });
+  }
+
+  /**
+   * Tell mentioned users about a comment, and the expense owner when
+   * someone else commented. On an edit only the newly mentioned users are
+   * passed and the owner is not told again.
+   */
+  async commentPosted(comment, expense, author, { mentions = comment.mentions, notifyOwner = true } = {}) {
+    const authorName = `${author.firstName} ${author.lastName}`;
+    const authorId = author._id.toString();
+    const mentioned = new Set(mentions.map(id => id.toString()));
+    mentioned.delete(authorId);
+
+    for (const userId of mentioned) {
+      await this.notify(userId, 'comment_mention', {
+        title: 'You were mentioned',
+        message: `${authorName} mentioned you on ${describe(expense)}: ${comment.body}`,
+        entity: expense
+      });
+    }
+
+    const ownerId = expense.employee.toString();
+    if (notifyOwner && ownerId !== authorId && !mentioned.has(ownerId)) {
+      await this.notify(ownerId, 'comment_added', {
+        title: 'New comment',
+        message: `${authorName} commented on ${describe(expense)}: ${comment.body}`,
+        entity: expense
+      });
+    }
+  }
+
+  async approvalReminder(approval, subject) {
+    const due = `${approval.isOverdue ? 'was' : 'is'} due by ${approval.dueDate.toDateString()}`;
+    await this.notify(approval.approver, 'approval_reminder', {
+      title: 'Approval reminder',
+      message: `${describe(subject)} is still waiting for your approval. It ${due}.`,
+      entity: subject
+    });
+  }
+
+  async approvalOverdue(approval, subject) {
+    await this.notify(approval.approver, 'approval_overdue', {
+      title: 'Approval overdue',
+      message: `${describe(subject)} was due for your approval by ${approval.dueDate.toDateString()}.`,
+      entity: subject
+    });
+  }
+
+  // Tell the new approver that an overdue approval was handed to them
+  async approvalEscalated(approval, subject) {
+    await this.notify(approval.approver, 'approval_escalated', {
+      title: 'Approval escalated to you',
+      message: `${describe(subject)} was overdue and has been escalated to you for approval.`,
+      entity: subject
+    });
+  }
+
+  // Tell an approver that the employee took back what was waiting for them
+  async approvalWithdrawn(approval, subject) {
+    await this.notify(approval.approver, 'approval_withdrawn', {
+      title: 'Approval withdrawn',
+      message: `${describe(subject)} was withdrawn by the employee and no longer needs your approval.`,
+      entity: subject
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -1,6 +1,111 @@
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const path = require('path');
+const { DEFAULT_CATEGORIES } = require('../models/Company');
+const categoryService = require('./categoryService');
+const moneyService = require('./moneyService');
+
+// Currency symbols a receipt may show. Symbols shared by several currencies
+// list all of them.
+const CURRENCY_SYMBOLS = {
+  'US$': ['USD'],
+  'CA$': ['CAD'],
+  'C$': ['CAD'],
+  'AU$': ['AUD'],
+  'A$': ['AUD'],
+  'NZ$': ['NZD'],
+  'HK$': ['HKD'],
+  'S$': ['SGD'],
+  'R$': ['BRL'],
+  '€': ['EUR'],
+  '£': ['GBP'],
+  '₹': ['INR'],
+  'Rs': ['INR', 'PKR', 'LKR', 'NPR'],
+  '¥': ['JPY', 'CNY'],
+  '$': ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN'],
+  'kr': ['SEK', 'NOK', 'DKK', 'ISK']
+};
+
+// ISO 4217 codes looked for in receipt text. Codes that are also common
+// words on receipts, such as ALL, CUP or PEN, are left out.
+const CURRENCY_CODES = [
+  'AED', 'ARS', 'AUD', 'BDT', 'BGN', 'BHD', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK', 'DKK',
+  'EGP', 'EUR', 'GBP', 'HKD', 'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KES', 'KRW', 'KWD', 'LKR',
+  'MXN', 'MYR', 'NGN', 'NOK', 'NPR', 'NZD', 'OMR', 'PKR', 'PLN', 'QAR', 'RON', 'SAR', 'SEK', 'SGD',
+  'THB', 'TRY', 'TWD', 'USD', 'VND', 'ZAR'
+];
+
+// Amounts as printed in either convention: 1,234.56, 1.234,56, 1'234.56,
+// 12,50 or 1234
+const NUMBER = /\d{1,3}(?:[.,']\d{3})+(?:[.,]\d{1,3})?|\d+(?:[.,]\d{1,3})?/.source;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Letter symbols such as kr must stand on their own, not inside a word
+const SYMBOL_PATTERN = new RegExp(Object.keys(CURRENCY_SYMBOLS)
+  .sort((a, b) => b.length - a.length)
+  .map(symbol => `${/^[A-Za-z]/.test(symbol) ? '(?<![A-Za-z])' : ''}${escapeRegExp(symbol)}${/[A-Za-z]$/.test(symbol) ? '(?![A-Za-z])' : ''}`)
+  .join('|'), 'g');
+const CODE_PATTERN = new RegExp(`(?<![A-Za-z])(?:${CURRENCY_CODES.join('|')})(?![A-Za-z])`, 'g');
+const CURRENCY_MARK = `(?:${SYMBOL_PATTERN.source}|${CODE_PATTERN.source})`;
+
+// Currencies usually written with a decimal comma, such as 12,50 €
+const DECIMAL_COMMA_CURRENCIES = [
+  'ARS', 'BGN', 'BRL', 'CLP', 'COP', 'CZK', 'DKK', 'EUR', 'HUF', 'IDR', 'ISK', 'NOK', 'PLN', 'RON',
+  'SEK', 'TRY', 'VND'
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Confidence of a currency picked among equally likely candidates because
+// it is the employee's or company's default, or because it alone fits the
+// amounts printed beside its symbol; split when candidates still remain
+const DEFAULT_MATCH_CONFIDENCE = 0.6;
+// Confidence of the default currency when the receipt shows none
+const DEFAULT_CURRENCY_CONFIDENCE = 0.2;
+
+const roundConfidence = (value) => Math.round(value * 100) / 100;
+
+// Labels of the summary lines of a receipt, checked in order; lines without
+// one may be items. A line labelled both total and tax is a tax line unless
+// it states that tax is included, as in "Total incl. VAT".
+const LINE_LABELS = [
+  { kind: 'subtotal', pattern: /\b(?:sub[\s-]?total|net\s+(?:amount|total)|total\s+(?:before|excl\.?|excluding)\s+(?:tax|vat|gst))\b/i },
+  { kind: 'tax', pattern: /\b(?:vat|gst|hst|pst|qst|tax|mwst|tva|iva|btw|moms)\b/i },
+  { kind: 'tip', pattern: /\b(?:tip|gratuity|service\s+charge|pourboire|trinkgeld)\b/i },
+  { kind: 'total', pattern: /\b(?:grand\s+total|total|amount\s+due|balance\s+due|amount|to\s+pay|sum|summe|summa|gesamt|totale)\b/i },
+  { kind: 'payment', pattern: /\b(?:cash|change|card|visa|mastercard|amex|debit|credit|tendered|paid|rounding)\b/i }
+];
+const GRAND_TOTAL_LABEL = /\b(?:grand\s+total|amount\s+due|balance\s+due|to\s+pay)\b/i;
+const TAX_INCLUDED_LABEL = /\b(?:incl|inkl|including|included|inclusive|enth|enthalten|of\s+which|dont|davon|ttc)\b/i;
+const PERCENTAGE = /(\d{1,2}(?:[.,]\d{1,3})?)[ \t]*%/;
+
+// Header lines searched for the merchant, and how close a name must be to
+// a directory entry to match it
+const MERCHANT_LINES = 5;
+const MERCHANT_MIN_SIMILARITY = 0.8;
+
+// Lower-case words of a merchant name, without accents, punctuation or a
+// trailing store number
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .replace(/\s+\d+$/, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
 
 class OCRService {
   constructor() {
@@ -11,7 +116,7 @@ class OCRService {
     if (!this.worker) {
       this.worker = await Tesseract.createWorker('eng');
       await this.worker.setParameters({
-        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz.,-$/€£¥₹@#&()[]{}:;!?\'" ',
+        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz.,-$/€£¥₹%@#&()[]{}:;!?\'" ',
         tessedit_pageseg_mode: Tesseract.PSM.AUTO,
       });
     }
@@ -61,64 +166,413 @@ class OCRService {
     }
   }
 
-  parseReceiptData(text) {
+  /**
+   * Read a number printed in either convention. A single separator before
+   * exactly three digits groups thousands (1,234 or 1.234) unless the
+   * currency has three decimals. Returns { value, decimals, decimalSeparator }.
+   */
+  parseNumber(raw, currency = null) {
+    const text = raw.replace(/'/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    let decimalSeparator = null;
+    if (lastComma !== -1 && lastDot !== -1) {
+      decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+      const separator = lastComma !== -1 ? ',' : '.';
+      const [integer, fraction, ...rest] = text.split(separator);
+      const grouping = rest.length > 0 ||
+        (fraction.length === 3 && /^[1-9]\d{0,2}$/.test(integer) && moneyService.getMinorUnits(currency) !== 3);
+      if (!grouping) decimalSeparator = separator;
+    }
+
+    const index = decimalSeparator ? text.lastIndexOf(decimalSeparator) : text.length;
+    const fraction = text.slice(index + 1);
+    return {
+      value: Number(`${text.slice(0, index).replace(/[.,]/g, '')}.${fraction || '0'}`),
+      decimals: fraction.length,
+      decimalSeparator
+    };
+  }
+
+  /**
+   * Currency of a receipt from the ISO codes and symbols it shows. A symbol
+   * shared by several currencies counts for those whose decimals match the
+   * amount next to it, so ¥12.50 points to CNY rather than JPY. When
+   * candidates are equally likely, the first of `defaultCurrencies` among
+   * them is taken, and failing that the candidate that best fits the
+   * amounts' decimals and number format. The first default is used only
+   * when the receipt shows no currency at all. Returns
+   * { currency, source, confidence, candidates } where source is 'detected'
+   * or 'default'.
+   */
+  detectCurrency(text, defaultCurrencies = []) {
+    // Amounts printed beside a mark, whose decimals and separator break ties
+    const amounts = [];
+    const amountBeside = (match) => {
+      const amount = text.slice(match.index + match[0].length).match(new RegExp(`^\\.?[ \\t]*(${NUMBER})`)) ||
+        text.slice(0, match.index).match(new RegExp(`(${NUMBER})[ \\t]*$`));
+      if (!amount) return null;
+      const number = this.parseNumber(amount[1]);
+      amounts.push(number);
+      return number;
+    };
+
+    const evidence = [];
+    for (const match of text.matchAll(CODE_PATTERN)) {
+      amountBeside(match);
+      evidence.push([match[0]]);
+    }
+
+    for (const match of text.matchAll(SYMBOL_PATTERN)) {
+      const currencies = CURRENCY_SYMBOLS[match[0]];
+      const amount = amountBeside(match);
+      // Whole amounts are written in every currency, so only decimals tell
+      const decimals = amount ? amount.decimals : 0;
+      const matching = currencies.filter(currency => decimals > 0 && moneyService.getMinorUnits(currency) === decimals);
+      evidence.push(matching.length > 0 ? matching : currencies);
+    }
+
+    // Each code or symbol counts once, split among the currencies it fits
+    const scores = new Map();
+    evidence.forEach(currencies => currencies.forEach(currency => {
+      scores.set(currency, (scores.get(currency) || 0) + 1 / currencies.length);
+    }));
+
+    const candidates = [...scores.keys()].sort((a, b) => scores.get(b) - scores.get(a));
+    if (candidates.length === 0) {
+      const currency = defaultCurrencies[0] || null;
+      return { currency, source: 'default', confidence: currency ? DEFAULT_CURRENCY_CONFIDENCE : 0, candidates };
+    }
+
+    const best = scores.get(candidates[0]);
+    const likeliest = candidates.filter(currency => scores.get(currency) === best);
+
+    if (likeliest.length === 1) {
+      // Codes and symbols that cannot be the detected currency lower the
+      // confidence; those it shares with others do not
+      const conflicting = evidence.filter(currencies => !currencies.includes(likeliest[0])).length;
+      return {
+        currency: likeliest[0],
+        source: 'detected',
+        confidence: roundConfidence(Math.min(0.95, best / (best + conflicting))),
+        candidates
+      };
+    }
+
+    const preferred = defaultCurrencies.find(currency => likeliest.includes(currency));
+    if (preferred) {
+      return { currency: preferred, source: 'detected', confidence: DEFAULT_MATCH_CONFIDENCE, candidates };
+    }
+
+    // Otherwise the currencies whose minor units fit the amounts, whole
+    // ones included, then those usually written with the receipt's decimal
+    // separator. Any tie left goes to the symbol's most common currency.
+    const decimals = new Set(amounts.map(amount => amount.decimals));
+    const separator = (amounts.find(amount => amount.decimalSeparator) || {}).decimalSeparator;
+    const tieBreakers = [
+      currency => decimals.has(moneyService.getMinorUnits(currency)),
+      currency => !separator || DECIMAL_COMMA_CURRENCIES.includes(currency) === (separator === ',')
+    ];
+    const remaining = tieBreakers.reduce((current, fits) => {
+      const narrowed = current.filter(fits);
+      return narrowed.length > 0 ? narrowed : current;
+    }, likeliest);
+
+    return {
+      currency: remaining[0],
+      source: 'detected',
+      confidence: roundConfidence(DEFAULT_MATCH_CONFIDENCE / remaining.length),
+      candidates
+    };
+  }
+
+  /**
+   * Date of a receipt as YYYY-MM-DD with a confidence. Numeric dates whose
+   * order cannot be told from their values are read day first when
+   * `dayFirst` is set, for receipts using a decimal comma, and month first
+   * otherwise.
+   */
+  parseDate(text, dayFirst = false) {
+    const toDate = (year, month, day, confidence) => {
+      const date = new Date(Date.UTC(year < 100 ? 2000 + year : year, month - 1, day));
+      if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+      return { date: date.toISOString().split('T')[0], confidence };
+    };
+    const month = name => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+    const monthNames = MONTHS.join('|');
+
+    const readers = [
+      [/(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})/, ([, year, m, d]) => toDate(+year, +m, +d, 0.9)],
+      [/(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})(?!\d)/, ([, first, second, year]) => {
+        const readDayFirst = +first > 12 || (dayFirst && +second <= 12);
+        // Either order would be a valid date
+        const confidence = +first <= 12 && +second <= 12 && first !== second ? 0.6 : 0.85;
+        return readDayFirst
+          ? toDate(+year, +second, +first, confidence)
+          : toDate(+year, +first, +second, confidence);
+      }],
+      [new RegExp(`\\b(${monthNames})[a-z]*\\.?[\\s,]*(\\d{1,2})(?!\\d)(?:st|nd|rd|th)?[\\s,]*(\\d{4}|\\d{2})\\b`, 'i'),
+        ([, name, d, year]) => toDate(+year, month(name), +d, 0.9)],
+      [new RegExp(`\\b(\\d{1,2})[\\s\\-]*(${monthNames})[a-z]*\\.?[\\s,\\-]*(\\d{4}|\\d{2})\\b`, 'i'),
+        ([, d, name, year]) => toDate(+year, month(name), +d, 0.9)]
+    ];
+
+    for (const [pattern, read] of readers) {
+      const match = text.match(pattern);
+      const result = match && read(match);
+      if (result) return result;
+    }
+
+    return { date: null, confidence: 0 };
+  }
+
+  /**
+   * Signed amount at the end of a receipt line, with an optional currency
+   * mark and a trailing tax code such as A or *. Percentages are skipped.
+   * Returns { value, decimals, decimalSeparator, label } where label is the
+   * text before the amount, or null when the line has no amount.
+   */
+  readLineAmount(line, currency) {
+    const text = line.replace(new RegExp(PERCENTAGE.source, 'g'), ' ');
+    const match = text.match(new RegExp(
+      `(?:^|[ \\t:])(-)?[ \\t]*(?:${CURRENCY_MARK}\\.?)?[ \\t]*(${NUMBER})(-)?[ \\t]*(?:${CURRENCY_MARK})?[ \\t]*[A-Z*]{0,2}[ \\t]*$`
+    ));
+    if (!match) return null;
+
+    const number = this.parseNumber(match[2], currency);
+    return {
+      ...number,
+      value: match[1] || match[3] ? -number.value : number.value,
+      label: text.slice(0, match.index).trim()
+    };
+  }
+
+  // Kind of a receipt line from its label: subtotal, tax, tip, total,
+  // payment, or null for a possible item
+  classifyLine(label) {
+    const kinds = LINE_LABELS.filter(({ pattern }) => pattern.test(label)).map(({ kind }) => kind);
+    if (kinds.includes('tax') && kinds.includes('total') && !kinds.includes('subtotal') && TAX_INCLUDED_LABEL.test(label)) {
+      return 'total';
+    }
+    return kinds[0] || null;
+  }
+
+  // Item from the text before its amount: "2 x Coffee", "2 Coffee",
+  // "Coffee 2 @ 3.50" or "Coffee x2"
+  readItem(label, amount, currency) {
+    let description = label;
+    let quantity = 1;
+    let unitPrice = null;
+
+    let match = label.match(new RegExp(`^(.*?[A-Za-z].*?)[ \\t]+(\\d{1,3})[ \\t]*[x@*][ \\t]*(${NUMBER})$`, 'i'));
+    if (match) {
+      [, description, quantity] = match;
+      unitPrice = this.parseNumber(match[3], currency).value;
+    } else if ((match = label.match(/^(\d{1,3})(?:[ \t]*[x*][ \t]+|[ \t]+)(.*[A-Za-z].*)$/i))) {
+      [, quantity, description] = match;
+    } else if ((match = label.match(/^(.*[A-Za-z].*?)[ \t]+[x*][ \t]*(\d{1,3})$/i))) {
+      [, description, quantity] = match;
+    }
+
+    quantity = Number(quantity) || 1;
+    return {
+      description: description.trim(),
+      quantity,
+      unitPrice: unitPrice !== null ? unitPrice : moneyService.round(amount / quantity, currency),
+      amount
+    };
+  }
+
+  /**
+   * Directory merchant named in the receipt's header lines, by name or
+   * alias: exactly, as whole words, or closely enough to allow for OCR
+   * errors. Returns { merchant, confidence } or null.
+   */
+  matchMerchant(lines, merchants = []) {
+    let best = null;
+
+    lines.slice(0, MERCHANT_LINES).map(normalizeName).filter(Boolean).forEach(text => {
+      merchants.forEach(merchant => {
+        [merchant.name, ...(merchant.aliases || [])].map(normalizeName).filter(Boolean).forEach(name => {
+          let confidence = 0;
+          if (text === name) {
+            confidence = 0.95;
+          } else if (` ${text} `.includes(` ${name} `)) {
+            confidence = 0.85;
+          } else {
+            const similarity = 1 - levenshtein(text, name) / Math.max(text.length, name.length);
+            if (similarity >= MERCHANT_MIN_SIMILARITY) confidence = roundConfidence(similarity * 0.9);
+          }
+
+          if (confidence > (best ? best.confidence : 0)) best = { merchant, confidence };
+        });
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Read a receipt into its parts: merchant, date, currency, line items,
+   * subtotal, taxes, tip and the grand total as `amount`, each with a
+   * confidence from 0 to 1 in `confidence`. Items are checked against the
+   * subtotal in `itemsMatchSubtotal`.
+   *
+   * `categories` are the company's, so their keywords drive the category.
+   * `defaultCurrencies` (employee's, then company's) are used when the
+   * receipt's currency is ambiguous, and `merchants` is the company's
+   * merchant directory.
+   */
+  parseReceiptData(text, categories = DEFAULT_CATEGORIES, { defaultCurrencies = [], merchants = [] } = {}) {
     const data = {
       amount: null,
+      currency: null,
+      currencySource: null,
+      currencyCandidates: [],
+      subtotal: null,
+      tax: [],
+      tip: null,
       date: null,
       description: '',
       merchant: '',
-      category: 'other',
-      items: []
+      merchantId: null,
+      category: null,
+      items: [],
+      itemsMatchSubtotal: null,
+      confidence: {
+        merchant: 0,
+        date: 0,
+        currency: 0,
+        amount: 0,
+        subtotal: 0,
+        tax: 0,
+        tip: 0,
+        items: 0,
+        category: 0
+      }
     };
 
-    // Extract amount (look for currency patterns)
-    const amountPatterns = [
-      /(?:total|amount|sum|due|balance)[\s:]*\$?(\d+\.?\d*)/i,
-      /\$(\d+\.?\d*)/,
-      /(\d+\.?\d*)\s*(?:USD|EUR|GBP|INR|CAD|AUD)/i,
-      /(?:total|amount)[\s:]*(\d+\.?\d*)/i
-    ];
+    const detected = this.detectCurrency(text, defaultCurrencies);
+    data.currency = detected.currency;
+    data.currencySource = detected.source;
+    data.currencyCandidates = detected.candidates;
+    data.confidence.currency = detected.confidence;
+    const currency = data.currency;
+    // Item prices carry the currency's decimals, which tells them apart from
+    // phone numbers, dates and quantities
+    const itemDecimals = moneyService.getMinorUnits(currency);
 
-    for (const pattern of amountPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        data.amount = parseFloat(match[1]);
-        break;
+    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+
+    // Sort the lines with an amount into items and summary lines. Items
+    // come before the first summary line.
+    const totals = [];
+    let summaryReached = false;
+    let decimalSeparator = null;
+    lines.forEach(line => {
+      const amount = this.readLineAmount(line, currency);
+      if (!amount) return;
+
+      const kind = this.classifyLine(amount.label);
+      if (kind) summaryReached = true;
+      if (amount.decimalSeparator) decimalSeparator = amount.decimalSeparator;
+
+      if (kind === 'subtotal') {
+        data.subtotal = amount.value;
+      } else if (kind === 'tax') {
+        const rate = line.match(PERCENTAGE);
+        data.tax.push({
+          label: amount.label.replace(PERCENTAGE, '').replace(/[\s:]+$/, '').trim(),
+          rate: rate ? Number(rate[1].replace(',', '.')) : null,
+          amount: amount.value,
+          included: TAX_INCLUDED_LABEL.test(amount.label)
+        });
+      } else if (kind === 'tip') {
+        data.tip = amount.value;
+      } else if (kind === 'total') {
+        totals.push({ ...amount, grand: GRAND_TOTAL_LABEL.test(amount.label) });
+      } else if (!kind && !summaryReached && /[A-Za-z]/.test(amount.label) &&
+        (itemDecimals === 0 || amount.decimals === itemDecimals)) {
+        data.items.push(this.readItem(amount.label, amount.value, currency));
       }
-    }
+    });
 
-    // Extract date (look for date patterns)
-    const datePatterns = [
-      /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/,
-      /(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/,
-      /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[\s,]*(\d{1,2})[\s,]*(\d{2,4})/i
-    ];
+    const sum = amounts => moneyService.sum(amounts, currency);
+    const itemsTotal = data.items.length > 0 ? sum(data.items.map(item => item.amount)) : null;
 
-    for (const pattern of datePatterns) {
-      const match = text.match(pattern);
+    // Grand total: a line labelled as such, else the largest total line,
+    // else the subtotal with tax and tip, else an amount beside a currency
+    const grand = totals.filter(total => total.grand);
+    const total = (grand.length > 0 ? grand : totals).reduce((best, line) => (!best || line.value > best.value ? line : best), null);
+
+    // Tax is already in the prices, as with most VAT, when the subtotal or
+    // the items add up to the total without it, even if the tax line does
+    // not say so (MwSt 7% 0,41)
+    const taxBase = data.subtotal !== null ? data.subtotal : itemsTotal;
+    if (total && taxBase !== null && data.tax.some(tax => !tax.included) &&
+        sum([taxBase, data.tip || 0]) === total.value) {
+      data.tax.forEach(tax => {
+        tax.included = true;
+      });
+    }
+    const excludedTax = sum(data.tax.filter(tax => !tax.included).map(tax => tax.amount));
+
+    if (total) {
+      data.amount = total.value;
+      data.confidence.amount = total.grand ? 0.9 : 0.8;
+    } else if (data.subtotal !== null) {
+      data.amount = sum([data.subtotal, excludedTax, data.tip || 0]);
+      data.confidence.amount = 0.6;
+    } else {
+      const match = text.match(new RegExp(`${CURRENCY_MARK}\\.?[ \\t]*(${NUMBER})`)) ||
+        text.match(new RegExp(`(${NUMBER})[ \\t]*${CURRENCY_MARK}`));
       if (match) {
-        try {
-          data.date = new Date(match[0]).toISOString().split('T')[0];
-          break;
-        } catch (e) {
-          // Try alternative date parsing
-          const dateStr = match[0];
-          if (dateStr.includes('/')) {
-            const parts = dateStr.split('/');
-            if (parts.length === 3) {
-              data.date = `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
-              break;
-            }
-          }
-        }
+        const number = this.parseNumber(match[1], currency);
+        data.amount = number.value;
+        data.confidence.amount = 0.5;
+        decimalSeparator = number.decimalSeparator;
       }
     }
 
-    // Extract merchant name (usually at the top)
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    if (lines.length > 0) {
-      // First non-empty line is often the merchant name
-      data.merchant = lines[0].trim();
+    if (data.subtotal !== null) data.confidence.subtotal = 0.8;
+    if (data.tax.length > 0) data.confidence.tax = 0.8;
+    if (data.tip !== null) data.confidence.tip = 0.8;
+
+    // Parts that add up to the total confirm each other
+    if (total && taxBase !== null && sum([taxBase, excludedTax, data.tip || 0]) === data.amount) {
+      data.confidence.amount = 0.95;
+      if (data.subtotal !== null) data.confidence.subtotal = 0.95;
+      if (data.tax.length > 0) data.confidence.tax = 0.95;
+      if (data.tip !== null) data.confidence.tip = 0.95;
+    }
+
+    // Items add up to the subtotal, or to the total less tax and tip
+    if (itemsTotal !== null) {
+      const expected = data.subtotal !== null
+        ? data.subtotal
+        : (data.amount !== null ? sum([data.amount, -excludedTax, -(data.tip || 0)]) : null);
+      data.itemsMatchSubtotal = expected !== null ? itemsTotal === expected : null;
+      data.confidence.items = data.itemsMatchSubtotal ? 0.9 : 0.4;
+    }
+
+    // Extract date, in the order the number format suggests
+    const date = this.parseDate(text, decimalSeparator === ',');
+    data.date = date.date;
+    data.confidence.date = date.confidence;
+
+    // Merchant: the directory entry named in the header, else the first line
+    const match = this.matchMerchant(lines, merchants);
+    if (match) {
+      data.merchant = match.merchant.name;
+      data.merchantId = match.merchant._id || null;
+      data.confidence.merchant = match.confidence;
+    } else {
+      const named = lines.filter(line => /[A-Za-z]/.test(line));
+      const header = named.find(line => !this.readLineAmount(line, currency)) || named[0];
+      data.merchant = header ? header.replace(/[\s:;,.-]+$/, '') : '';
+      data.confidence.merchant = header ? 0.4 : 0;
     }
 
     // Extract description (combine merchant and key details)
@@ -136,49 +590,29 @@ class OCRService {
     ];
 
     for (const pattern of itemPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        descriptionParts.push(match[0]);
+      const itemMatch = text.match(pattern);
+      if (itemMatch) {
+        descriptionParts.push(itemMatch[0]);
         break;
       }
     }
 
     data.description = descriptionParts.join(' - ');
 
-    // Determine category based on content
-    const categoryKeywords = {
-      'meals': ['restaurant', 'food', 'meal', 'lunch', 'dinner', 'breakfast', 'coffee', 'cafe', 'bar', 'pub'],
-      'travel': ['taxi', 'uber', 'lyft', 'flight', 'hotel', 'transport', 'travel', 'airline'],
-      'transportation': ['gas', 'fuel', 'parking', 'metro', 'bus', 'train'],
-      'office_supplies': ['office', 'supplies', 'stationery', 'equipment', 'computer', 'software'],
-      'entertainment': ['movie', 'theater', 'concert', 'entertainment', 'game', 'sports'],
-      'utilities': ['electricity', 'water', 'internet', 'phone', 'utility'],
-      'communication': ['phone', 'internet', 'mobile', 'telecom', 'communication']
-    };
-
-    const textLower = text.toLowerCase();
-    for (const [category, keywords] of Object.entries(categoryKeywords)) {
-      if (keywords.some(keyword => textLower.includes(keyword))) {
-        data.category = category;
-        break;
-      }
+    // Category: the merchant's own, else suggested from the keywords
+    const merchantCategory = match && match.merchant.category;
+    if (merchantCategory && categories.some(category => category.code === merchantCategory && category.isActive !== false)) {
+      data.category = merchantCategory;
+      data.confidence.category = 0.9;
+    } else {
+      data.category = categoryService.suggest(text, categories);
+      data.confidence.category = !data.category ? 0 : (data.category === 'other' ? 0.2 : 0.6);
     }
 
-    // Extract individual items (look for item lines with prices)
-    const itemLines = lines.filter(line => {
-      // Look for lines that might contain items with prices
-      return /\d+\.?\d*\s*\$?/.test(line) && line.length > 5 && line.length < 100;
-    });
-
-    data.items = itemLines.slice(0, 5).map(line => ({
-      description: line.trim(),
-      amount: null // Could be enhanced to extract individual item prices
-    }));
-
     return data;
   }
 
-  async processReceipt(imagePath) {
+  async processReceipt(imagePath, categories, options = {}) {
     try {
       console.log('Starting OCR processing for:', imagePath);
       
@@ -187,7 +621,7 @@ class OCRService {
       console.log('Extracted text:', text.substring(0, 200) + '...');
       
       // Parse the extracted text
-      const parsedData = this.parseReceiptData(text);
+      const parsedData = this.parseReceiptData(text, categories, options);
       console.log('Parsed data:', parsedData);
       
       return {
@@ -0,0 +1,405 @@
+const User = require('../models/User');
+const moneyService = require('./moneyService');
+
+// Thrown when a payment file cannot be produced; `errors` lists every
+// problem found so they can be fixed in one go
+class PaymentFileError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'PaymentFileError';
+    this.errors = errors;
+  }
+}
+
+const FORMATS = {
+  pain001: { contentType: 'application/xml', extension: 'xml' },
+  nacha: { contentType: 'text/plain', extension: 'ach' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+const NACHA_RECORD_LENGTH = 94;
+const NACHA_BLOCKING_FACTOR = 10;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// NACHA fields are upper-case ASCII, left-justified alphanumerics and
+// zero-filled right-justified numerics
+const alpha = (value, length) => String(value || '')
+  .normalize('NFD')
+  .replace(/[^\x20-\x7E]/g, '')
+  .toUpperCase()
+  .slice(0, length)
+  .padEnd(length, ' ');
+
+const numeric = (value, length) => String(value).padStart(length, '0').slice(-length);
+
+const formatDate = (date, pattern) => {
+  const pad = n => String(n).padStart(2, '0');
+  const parts = {
+    YY: pad(date.getUTCFullYear() % 100),
+    YYYY: String(date.getUTCFullYear()),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    hh: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes())
+  };
+  return pattern.replace(/YYYY|YY|MM|DD|hh|mm/g, token => parts[token]);
+};
+
+class PaymentFileService {
+  // ISO 13616 check: move the country code and check digits to the end,
+  // replace letters with numbers and the result mod 97 must be 1
+  isValidIban(iban) {
+    if (!iban) return false;
+    const normalized = iban.replace(/\s+/g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized)) return false;
+
+    const rearranged = normalized.slice(4) + normalized.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+      for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  }
+
+  isValidBic(bic) {
+    return !!bic && /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic.toUpperCase());
+  }
+
+  // ABA routing numbers carry a 3-7-1 weighted checksum
+  isValidRoutingNumber(routingNumber) {
+    if (!/^\d{9}$/.test(routingNumber || '')) return false;
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = routingNumber.split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+    return sum % 10 === 0;
+  }
+
+  isValidAchAccountNumber(accountNumber) {
+    return /^[A-Za-z0-9-]{1,17}$/.test(accountNumber || '');
+  }
+
+  // Load batch employees with their decrypted bank details
+  async loadPayees(batches) {
+    const users = await User.find({ _id: { $in: batches.map(batch => batch.employee) } })
+      .select('+bankAccount.iban +bankAccount.accountNumber');
+
+    const payees = new Map();
+    users.forEach(user => {
+      payees.set(user._id.toString(), {
+        name: user.fullName,
+        email: user.email,
+        account: user.getBankAccount()
+      });
+    });
+    return payees;
+  }
+
+  validateBatches(batches, payees, errors) {
+    batches.forEach(batch => {
+      if (batch.status !== 'scheduled') {
+        errors.push(`Batch ${batch._id} is ${batch.status}; only scheduled batches can be paid`);
+      }
+      if (!(batch.totalAmount > 0)) {
+        errors.push(`Batch ${batch._id} has no amount to pay`);
+      }
+      if (!payees.has(batch.employee.toString())) {
+        errors.push(`Batch ${batch._id} employee was not found`);
+      }
+    });
+  }
+
+  /**
+   * Build a payment file for scheduled batches. Returns
+   * { content, contentType, filename }, or throws PaymentFileError listing
+   * every validation problem.
+   */
+  async generate(format, batches, company, { executionDate } = {}) {
+    if (!FORMATS[format]) {
+      throw new PaymentFileError('Unsupported payment file format', [`Unknown format ${format}`]);
+    }
+    if (batches.length === 0) {
+      throw new PaymentFileError('No batches to pay', ['Select at least one scheduled batch']);
+    }
+
+    const payees = await this.loadPayees(batches);
+    const errors = [];
+    this.validateBatches(batches, payees, errors);
+
+    const date = executionDate ? new Date(executionDate) : new Date();
+    let content;
+    if (format === 'pain001') {
+      content = this.buildPain001(batches, payees, company, date, errors);
+    } else if (format === 'nacha') {
+      content = this.buildNacha(batches, payees, company, date, errors);
+    } else {
+      content = this.buildCsv(batches, payees, errors);
+    }
+
+    if (errors.length > 0) {
+      throw new PaymentFileError('Payment file failed validation', errors);
+    }
+
+    return {
+      content,
+      contentType: FORMATS[format].contentType,
+      filename: `payments-${formatDate(new Date(), 'YYYYMMDD')}.${FORMATS[format].extension}`
+    };
+  }
+
+  // ISO 20022 customer credit transfer initiation (pain.001.001.03)
+  buildPain001(batches, payees, company, executionDate, errors) {
+    const settings = company.paymentSettings || {};
+
+    if (!this.isValidIban(settings.iban)) {
+      errors.push('Company IBAN is missing or invalid');
+    }
+    if (settings.bic && !this.isValidBic(settings.bic)) {
+      errors.push('Company BIC is invalid');
+    }
+
+    const transactions = batches.map(batch => {
+      const payee = payees.get(batch.employee.toString());
+      if (!payee) return '';
+
+      const iban = payee.account.iban;
+      if (!this.isValidIban(iban)) {
+        errors.push(`IBAN for ${payee.name} is missing or invalid`);
+      }
+      if (payee.account.bic && !this.isValidBic(payee.account.bic)) {
+        errors.push(`BIC for ${payee.name} is invalid`);
+      }
+
+      const agent = payee.account.bic
+        ? `<CdtrAgt><FinInstnId><BIC>${escapeXml(payee.account.bic)}</BIC></FinInstnId></CdtrAgt>`
+        : '';
+
+      return [
+        '<CdtTrfTxInf>',
+        `<PmtId><EndToEndId>${escapeXml(batch._id)}</EndToEndId></PmtId>`,
+        `<Amt><InstdAmt Ccy="${escapeXml(batch.currency)}">${moneyService.format(batch.totalAmount, batch.currency)}</InstdAmt></Amt>`,
+        agent,
+        `<Cdtr><Nm>${escapeXml((payee.account.accountHolderName || payee.name).slice(0, 70))}</Nm></Cdtr>`,
+        `<CdtrAcct><Id><IBAN>${escapeXml(iban || '')}</IBAN></Id></CdtrAcct>`,
+        `<RmtInf><Ustrd>Expense reimbursement ${escapeXml(batch._id)}</Ustrd></RmtInf>`,
+        '</CdtTrfTxInf>'
+      ].join('');
+    });
+
+    const controlSum = moneyService.format(moneyService.sum(batches.map(batch => batch.totalAmount), company.currency), company.currency);
+    const messageId = `EXP${formatDate(new Date(), 'YYYYMMDDhhmm')}${batches.length}`.slice(0, 35);
+    const debtorName = escapeXml((settings.debtorName || company.name).slice(0, 70));
+    const debtorAgent = settings.bic
+      ? `<DbtrAgt><FinInstnId><BIC>${escapeXml(settings.bic)}</BIC></FinInstnId></DbtrAgt>`
+      : '<DbtrAgt><FinInstnId><Othr><Id>NOTPROVIDED</Id></Othr></FinInstnId></DbtrAgt>';
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">',
+      '<CstmrCdtTrfInitn>',
+      '<GrpHdr>',
+      `<MsgId>${messageId}</MsgId>`,
+      `<CreDtTm>${new Date().toISOString().split('.')[0]}</CreDtTm>`,
+      `<NbOfTxs>${batches.length}</NbOfTxs>`,
+      `<CtrlSum>${controlSum}</CtrlSum>`,
+      `<InitgPty><Nm>${debtorName}</Nm></InitgPty>`,
+      '</GrpHdr>',
+      '<PmtInf>',
+      `<PmtInfId>${messageId}</PmtInfId>`,
+      '<PmtMtd>TRF</PmtMtd>',
+      `<NbOfTxs>${batches.length}</NbOfTxs>`,
+      `<CtrlSum>${controlSum}</CtrlSum>`,
+      `<ReqdExctnDt>${formatDate(executionDate, 'YYYY-MM-DD')}</ReqdExctnDt>`,
+      `<Dbtr><Nm>${debtorName}</Nm></Dbtr>`,
+      `<DbtrAcct><Id><IBAN>${escapeXml(settings.iban || '')}</IBAN></Id></DbtrAcct>`,
+      debtorAgent,
+      '<ChrgBr>SLEV</ChrgBr>',
+      ...transactions,
+      '</PmtInf>',
+      '</CstmrCdtTrfInitn>',
+      '</Document>'
+    ].join('\n');
+  }
+
+  // NACHA ACH file with one PPD credit batch
+  buildNacha(batches, payees, company, effectiveDate, errors) {
+    const settings = company.paymentSettings || {};
+    const originatingDfi = settings.achOriginatingDfi || '';
+
+    if (!this.isValidRoutingNumber(settings.achImmediateDestination)) {
+      errors.push('Company ACH immediate destination must be a valid routing number');
+    }
+    if (!/^\d{8}$/.test(originatingDfi)) {
+      errors.push('Company ACH originating DFI must be the first 8 digits of a routing number');
+    }
+    if (!settings.achCompanyId || settings.achCompanyId.length > 10) {
+      errors.push('Company ACH company identification is required (up to 10 characters)');
+    }
+
+    const now = new Date();
+    const entries = [];
+    let entryHash = 0;
+    let totalCredits = 0;
+
+    batches.forEach((batch, index) => {
+      const payee = payees.get(batch.employee.toString());
+      if (!payee) return;
+
+      if (batch.currency !== 'USD') {
+        errors.push(`Batch ${batch._id} is in ${batch.currency}; ACH payments must be in USD`);
+      }
+      if (!this.isValidRoutingNumber(payee.account.routingNumber)) {
+        errors.push(`Routing number for ${payee.name} is missing or invalid`);
+        return;
+      }
+      if (!this.isValidAchAccountNumber(payee.account.accountNumber)) {
+        errors.push(`Account number for ${payee.name} is missing or invalid`);
+        return;
+      }
+
+      const cents = moneyService.toMinor(batch.totalAmount, 'USD');
+      if (cents > 9999999999) {
+        errors.push(`Batch ${batch._id} exceeds the maximum ACH entry amount`);
+        return;
+      }
+
+      const receivingDfi = payee.account.routingNumber.slice(0, 8);
+      entryHash += Number(receivingDfi);
+      totalCredits += cents;
+
+      entries.push([
+        '6',
+        payee.account.accountType === 'savings' ? '32' : '22',
+        receivingDfi,
+        payee.account.routingNumber.slice(8),
+        alpha(payee.account.accountNumber, 17),
+        numeric(cents, 10),
+        alpha(batch._id.toString().slice(-15), 15),
+        alpha(payee.account.accountHolderName || payee.name, 22),
+        '  ',
+        '0',
+        numeric(originatingDfi, 8) + numeric(index + 1, 7)
+      ].join(''));
+    });
+
+    const hash = numeric(entryHash, 10);
+
+    const fileHeader = [
+      '1',
+      '01',
+      ' ' + numeric(settings.achImmediateDestination || '', 9),
+      alpha(settings.achImmediateOrigin || settings.achCompanyId, 10).trimEnd().padStart(10, ' '),
+      formatDate(now, 'YYMMDD'),
+      formatDate(now, 'hhmm'),
+      'A',
+      '094',
+      numeric(NACHA_BLOCKING_FACTOR, 2),
+      '1',
+      alpha(settings.achImmediateDestinationName, 23),
+      alpha(settings.achImmediateOriginName || company.name, 23),
+      alpha('', 8)
+    ].join('');
+
+    const batchHeader = [
+      '5',
+      '220',
+      alpha(settings.debtorName || company.name, 16),
+      alpha('', 20),
+      alpha(settings.achCompanyId, 10),
+      'PPD',
+      alpha('EXPENSES', 10),
+      alpha('', 6),
+      formatDate(effectiveDate, 'YYMMDD'),
+      '   ',
+      '1',
+      numeric(originatingDfi, 8),
+      numeric(1, 7)
+    ].join('');
+
+    const batchControl = [
+      '8',
+      '220',
+      numeric(entries.length, 6),
+      hash,
+      numeric(0, 12),
+      numeric(totalCredits, 12),
+      alpha(settings.achCompanyId, 10),
+      alpha('', 19),
+      alpha('', 6),
+      numeric(originatingDfi, 8),
+      numeric(1, 7)
+    ].join('');
+
+    const recordCount = entries.length + 4;
+    const blockCount = Math.ceil(recordCount / NACHA_BLOCKING_FACTOR);
+
+    const fileControl = [
+      '9',
+      numeric(1, 6),
+      numeric(blockCount, 6),
+      numeric(entries.length, 8),
+      hash,
+      numeric(0, 12),
+      numeric(totalCredits, 12),
+      alpha('', 39)
+    ].join('');
+
+    const records = [fileHeader, batchHeader, ...entries, batchControl, fileControl];
+    while (records.length % NACHA_BLOCKING_FACTOR !== 0) {
+      records.push('9'.repeat(NACHA_RECORD_LENGTH));
+    }
+
+    if (records.some(record => record.length !== NACHA_RECORD_LENGTH)) {
+      errors.push('Generated ACH records have an invalid length');
+    }
+
+    return records.join('\n') + '\n';
+  }
+
+  buildCsv(batches, payees, errors) {
+    const header = [
+      'batch_id', 'employee_name', 'employee_email', 'account_holder', 'iban', 'bic',
+      'routing_number', 'account_number', 'account_type', 'currency', 'amount', 'reference'
+    ];
+
+    const rows = batches.map(batch => {
+      const payee = payees.get(batch.employee.toString());
+      if (!payee) return null;
+
+      const account = payee.account;
+      if (account.iban && !this.isValidIban(account.iban)) {
+        errors.push(`IBAN for ${payee.name} is invalid`);
+      }
+      if (account.routingNumber && !this.isValidRoutingNumber(account.routingNumber)) {
+        errors.push(`Routing number for ${payee.name} is invalid`);
+      }
+      if (!account.iban && !(account.routingNumber && account.accountNumber)) {
+        errors.push(`${payee.name} has no bank account on file`);
+      }
+
+      return [
+        batch._id, payee.name, payee.email, account.accountHolderName, account.iban, account.bic,
+        account.routingNumber, account.accountNumber, account.accountType, batch.currency,
+        moneyService.format(batch.totalAmount, batch.currency), `Expense reimbursement ${batch._id}`
+      ].map(escapeCsv).join(',');
+    }).filter(Boolean);
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+module.exports = new PaymentFileService();
+module.exports.PaymentFileError = PaymentFileError;
+module.exports.FORMATS = Object.keys(FORMATS);
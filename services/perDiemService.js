@@ -0,0 +1,308 @@
+const PerDiemRate = require('../models/PerDiemRate');
+const auditService = require('./auditService');
+const moneyService = require('./moneyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Columns of a rate import file; the others may be left out
+const CSV_COLUMNS = ['country', 'city', 'currency', 'lodging', 'mie', 'breakfast', 'lunch', 'dinner', 'effectiveFrom', 'effectiveTo'];
+const REQUIRED_COLUMNS = ['country', 'currency', 'lodging', 'mie', 'effectiveFrom'];
+
+// Case-insensitive matching of city names
+const CITY_COLLATION = { locale: 'en', strength: 2 };
+
+// Thrown when a per-diem expense cannot be priced or a rate file is
+// invalid; `errors` lists every problem found so they can be fixed in one go
+class PerDiemError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'PerDiemError';
+    this.errors = errors;
+  }
+}
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const sameCity = (a, b) => !!a && !!b && a.localeCompare(b, 'en', { sensitivity: 'base' }) === 0;
+
+// RFC 4180: fields may be quoted to contain commas, line breaks and
+// doubled quotes
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const isBlankRow = (row) => row.every(value => value.trim() === '');
+
+class PerDiemService {
+  // Every rate for the destination: those of the city and of the country
+  async getRates(companyId, country, city) {
+    return PerDiemRate.find({
+      company: companyId,
+      country: country.toUpperCase(),
+      city: { $in: city ? [city, null] : [null] }
+    }).collation(CITY_COLLATION);
+  }
+
+  // The rate in force on a date, preferring the city's own rate over the
+  // country rate
+  findRate(rates, city, date) {
+    const inForce = rates
+      .filter(rate => rate.effectiveFrom <= date && (!rate.effectiveTo || rate.effectiveTo >= date))
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom);
+
+    return inForce.find(rate => sameCity(rate.city, city)) ||
+      inForce.find(rate => !rate.city) ||
+      null;
+  }
+
+  mealDeduction(rate, meal, company) {
+    if (rate.meals && rate.meals[meal] !== null && rate.meals[meal] !== undefined) {
+      return rate.meals[meal];
+    }
+    return rate.mie * company.settings.perDiem.mealDeductions[meal] / 100;
+  }
+
+  /**
+   * Allowance for each day of a trip: M&IE prorated on the first and last
+   * day, less provided meals, plus lodging for every night unless the
+   * company provided it. Returns { days, currency }; throws PerDiemError
+   * when a day has no rate.
+   */
+  calculateDays(perDiem, rates, company) {
+    const first = startOfDay(perDiem.departureDate);
+    const last = startOfDay(perDiem.returnDate);
+    if (last < first) {
+      throw new PerDiemError('Return date must be on or after the departure date');
+    }
+
+    const dayCount = Math.round((last - first) / DAY_MS) + 1;
+    const travelDayShare = company.settings.perDiem.travelDayPercentage / 100;
+    const place = perDiem.city ? `${perDiem.city}, ${perDiem.country}` : perDiem.country;
+    const days = [];
+    let currency = null;
+
+    for (let i = 0; i < dayCount; i++) {
+      const date = new Date(first.getTime() + i * DAY_MS);
+      const rate = this.findRate(rates, perDiem.city, date);
+      if (!rate) {
+        throw new PerDiemError(`No per-diem rate is configured for ${place} on ${date.toISOString().slice(0, 10)}`);
+      }
+
+      if (currency && rate.currency !== currency) {
+        throw new PerDiemError('The per-diem rates of a trip must share one currency');
+      }
+      currency = rate.currency;
+
+      const isTravelDay = i === 0 || i === dayCount - 1;
+      const mie = rate.mie * (isTravelDay ? travelDayShare : 1);
+
+      const provided = (perDiem.providedMeals || []).find(entry =>
+        entry.date && startOfDay(entry.date).getTime() === date.getTime()
+      );
+      const deductions = Math.min(mie, MEALS
+        .filter(meal => provided && provided[meal])
+        .reduce((sum, meal) => sum + this.mealDeduction(rate, meal, company), 0));
+
+      // Lodging is paid for the night following each day but the last
+      const lodging = i < dayCount - 1 && !perDiem.lodgingProvided ? rate.lodging : 0;
+
+      const round = value => moneyService.round(value, currency);
+      days.push({
+        date,
+        rate: rate._id,
+        mie: round(mie),
+        deductions: round(deductions),
+        lodging: round(lodging),
+        amount: round(mie - deductions + lodging)
+      });
+    }
+
+    return { days, currency };
+  }
+
+  /**
+   * Price a per-diem expense from the company rate table, setting its
+   * date, amount, currency and daily breakdown. Does nothing for other
+   * expenses or while a draft lacks the destination or dates.
+   */
+  async applyToExpense(expense, company) {
+    if (expense.kind !== 'per_diem' || !expense.perDiem) return;
+
+    const perDiem = expense.perDiem;
+    if (!perDiem.country || !perDiem.departureDate || !perDiem.returnDate) return;
+
+    const rates = await this.getRates(expense.company, perDiem.country, perDiem.city);
+    const { days, currency } = this.calculateDays(perDiem, rates, company);
+
+    perDiem.days = days;
+    expense.expenseDate = perDiem.departureDate;
+    expense.amount = moneyService.sum(days.map(day => day.amount), currency);
+    expense.currency = currency;
+  }
+
+  /**
+   * Read rates from CSV text with a header row naming the columns.
+   * Returns the rates, or throws PerDiemError listing every invalid line.
+   */
+  parseRates(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || isBlankRow(header)) {
+      throw new PerDiemError('The rate file is empty');
+    }
+
+    const columns = header.map(name => name.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new PerDiemError('The rate file is missing required columns', missing.map(column => `Missing column ${column}`));
+    }
+
+    const errors = [];
+    const rates = [];
+    rows.forEach((row, index) => {
+      if (isBlankRow(row)) return;
+
+      const line = index + 2;
+      const values = {};
+      columns.forEach((column, i) => {
+        if (CSV_COLUMNS.includes(column)) values[column] = (row[i] || '').trim();
+      });
+
+      const amount = (column, { required = false } = {}) => {
+        if (!values[column]) {
+          if (required) errors.push(`Line ${line}: ${column} is required`);
+          return null;
+        }
+        const value = Number(values[column]);
+        if (!Number.isFinite(value) || value < 0) {
+          errors.push(`Line ${line}: ${column} must be a positive number`);
+        }
+        return value;
+      };
+
+      const date = (column, { required = false } = {}) => {
+        if (!values[column]) {
+          if (required) errors.push(`Line ${line}: ${column} is required`);
+          return null;
+        }
+        const value = new Date(values[column]);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(values[column]) || isNaN(value)) {
+          errors.push(`Line ${line}: ${column} must be a date (YYYY-MM-DD)`);
+        }
+        return value;
+      };
+
+      if (!/^[A-Za-z]{2}$/.test(values.country || '')) {
+        errors.push(`Line ${line}: country must be a two-letter ISO code`);
+      }
+      if (!/^[A-Za-z]{3}$/.test(values.currency || '')) {
+        errors.push(`Line ${line}: currency must be a three-letter code`);
+      }
+
+      const rate = {
+        country: (values.country || '').toUpperCase(),
+        city: values.city || null,
+        currency: (values.currency || '').toUpperCase(),
+        lodging: amount('lodging', { required: true }),
+        mie: amount('mie', { required: true }),
+        meals: {
+          breakfast: amount('breakfast'),
+          lunch: amount('lunch'),
+          dinner: amount('dinner')
+        },
+        effectiveFrom: date('effectiveFrom', { required: true }),
+        effectiveTo: date('effectiveTo')
+      };
+
+      if (rate.effectiveFrom && rate.effectiveTo && rate.effectiveTo < rate.effectiveFrom) {
+        errors.push(`Line ${line}: effectiveTo must be on or after effectiveFrom`);
+      }
+
+      rates.push(rate);
+    });
+
+    if (errors.length > 0) {
+      throw new PerDiemError('The rate file failed validation', errors);
+    }
+
+    return rates;
+  }
+
+  /**
+   * Import rates from CSV. A row replaces the rate with the same country,
+   * city and effective date; other rows are added. Nothing is imported
+   * when any row is invalid. Returns { created, updated } where updated
+   * entries are { rate, before } snapshots for auditing.
+   */
+  async importRates(companyId, text) {
+    const rows = this.parseRates(text);
+    const created = [];
+    const updated = [];
+
+    for (const row of rows) {
+      const existing = await PerDiemRate.findOne({
+        company: companyId,
+        country: row.country,
+        city: row.city,
+        effectiveFrom: row.effectiveFrom
+      }).collation(CITY_COLLATION);
+
+      if (existing) {
+        const before = auditService.snapshot(existing);
+        existing.set(row);
+        await existing.save();
+        updated.push({ rate: existing, before });
+      } else {
+        created.push(await PerDiemRate.create({ ...row, company: companyId }));
+      }
+    }
+
+    return { created, updated };
+  }
+}
+
+module.exports = new PerDiemService();
+module.exports.PerDiemError = PerDiemError;
+module.exports.CSV_COLUMNS = CSV_COLUMNS;
@@ -0,0 +1,113 @@
+const Expense = require('../models/Expense');
+const moneyService = require('./moneyService');
+
+// Receipts can only be uploaded to drafts and expenses sent back for
+// changes. These codes block submitting, including creating an expense that
+// is submitted straight away, but not saving one that is still being edited.
+const RECEIPT_VIOLATIONS = ['receipt_required'];
+
+class PolicyService {
+  async getDailyTotal(expense) {
+    const dayStart = new Date(expense.expenseDate);
+    dayStart.setUTCHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+    const [result] = await Expense.aggregate([
+      {
+        $match: {
+          employee: expense.employee,
+          _id: { $ne: expense._id },
+          status: { $nin: ['draft', 'rejected'] },
+          expenseDate: { $gte: dayStart, $lt: dayEnd }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$convertedAmountMinor' }
+        }
+      }
+    ]);
+
+    return result ? moneyService.fromMinor(result.total, expense.companyCurrency) : 0;
+  }
+
+  /**
+   * Check an expense against the company policy. Amounts are compared in
+   * company currency. Returns a list of violations, empty when compliant.
+   */
+  async evaluate(expense, company) {
+    const settings = company.settings || {};
+    const amount = expense.convertedAmount;
+    const hasReceipt = !!(expense.receipt && expense.receipt.filename);
+    const violations = [];
+
+    if (settings.maxExpenseAmount && amount > settings.maxExpenseAmount) {
+      violations.push({
+        code: 'max_amount_exceeded',
+        message: `Amount exceeds the company maximum of ${settings.maxExpenseAmount} ${company.currency}`,
+        limit: settings.maxExpenseAmount,
+        actual: amount
+      });
+    }
+
+    const categoryLimit = (settings.categoryLimits || []).find(l => l.category === expense.category);
+    if (categoryLimit && amount > categoryLimit.maxAmount) {
+      violations.push({
+        code: 'category_limit_exceeded',
+        message: `Amount exceeds the ${expense.category} limit of ${categoryLimit.maxAmount} ${company.currency}`,
+        limit: categoryLimit.maxAmount,
+        actual: amount
+      });
+    }
+
+    if (settings.dailyLimit) {
+      const dailyTotal = (await this.getDailyTotal(expense)) + amount;
+      if (dailyTotal > settings.dailyLimit) {
+        violations.push({
+          code: 'daily_limit_exceeded',
+          message: `Expenses for this day exceed the daily limit of ${settings.dailyLimit} ${company.currency}`,
+          limit: settings.dailyLimit,
+          actual: dailyTotal
+        });
+      }
+    }
+
+    // Mileage and per diems are claimed from the trip itself, without a receipt
+    if (!hasReceipt && !['mileage', 'per_diem'].includes(expense.kind)) {
+      const threshold = settings.receiptRequiredAbove;
+      if (settings.requireReceipt) {
+        violations.push({
+          code: 'receipt_required',
+          message: 'A receipt is required for all expenses',
+          limit: null,
+          actual: amount
+        });
+      } else if (threshold !== null && threshold !== undefined && amount > threshold) {
+        violations.push({
+          code: 'receipt_required',
+          message: `A receipt is required for expenses above ${threshold} ${company.currency}`,
+          limit: threshold,
+          actual: amount
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Violations that should reject the request under the company's
+   * enforcement mode. Pass `allowMissingReceipt` while the receipt can still
+   * be uploaded later.
+   */
+  getBlockingViolations(violations, company, { allowMissingReceipt = false } = {}) {
+    if (company.settings.policyEnforcement !== 'block') {
+      return [];
+    }
+
+    return violations.filter(v => !(allowMissingReceipt && RECEIPT_VIOLATIONS.includes(v.code)));
+  }
+}
+
+module.exports = new PolicyService();
@@ -0,0 +1,36 @@
+const mileageService = require('./mileageService');
+const perDiemService = require('./perDiemService');
+
+// Expense kinds whose amount the server calculates
+const CALCULATORS = {
+  mileage: mileageService,
+  per_diem: perDiemService
+};
+
+class PricingService {
+  isCalculated(expense) {
+    return Boolean(CALCULATORS[expense.kind]);
+  }
+
+  /**
+   * Calculate the amount of a mileage or per-diem expense from the company
+   * rates; standard expenses are left alone. Returns an error message when
+   * no rate applies, otherwise null.
+   */
+  async applyToExpense(expense, company) {
+    const calculator = CALCULATORS[expense.kind];
+    if (!calculator) return null;
+
+    try {
+      await calculator.applyToExpense(expense, company);
+      return null;
+    } catch (error) {
+      if (error instanceof mileageService.MileageError || error instanceof perDiemService.PerDiemError) {
+        return error.message;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,297 @@
+const Expense = require('../models/Expense');
+const PaymentBatch = require('../models/PaymentBatch');
+const codingService = require('./codingService');
+const currencyService = require('./currencyService');
+const moneyService = require('./moneyService');
+
+const isSet = value => value !== undefined && value !== null;
+
+// Thrown when a batch cannot change status; `errors` lists what blocks it
+class ReimbursementError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ReimbursementError';
+    this.errors = errors;
+  }
+}
+
+class ReimbursementService {
+  // Approved reimbursable expenses that are not in a live batch yet
+  getEligibleQuery(companyId) {
+    return {
+      company: companyId,
+      status: 'approved',
+      isReimbursable: true,
+      'reimbursement.status': { $in: ['unpaid', null] }
+    };
+  }
+
+  /**
+   * Rate an expense is reimbursed at: the rate its statement applied when
+   * recorded, otherwise the rate of the reimbursement date. Resolves to
+   * { rate, date, source }; throws currencyService.ExchangeRateError when no
+   * rate is known.
+   */
+  async getSettlementRate(expense, date) {
+    if (expense.currency === expense.companyCurrency) {
+      return { rate: 1, date: null, source: null };
+    }
+    if (expense.fx && expense.fx.statementRate) {
+      return { rate: expense.fx.statementRate, date: null, source: 'statement' };
+    }
+    return currencyService.getRate(expense.currency, expense.companyCurrency, {
+      date,
+      company: expense.company
+    });
+  }
+
+  // Settlement of an expense at a rate, with the realized FX difference to
+  // the amount it was booked at
+  settle(expense, { rate, date, source }) {
+    const settledAmount = moneyService.round(expense.amount * rate, expense.companyCurrency);
+    return {
+      settlementRate: rate,
+      settlementRateDate: date,
+      settlementRateSource: source,
+      settledAmount,
+      gainLoss: moneyService.sum([expense.convertedAmount, -settledAmount], expense.companyCurrency)
+    };
+  }
+
+  // Amount an expense is or was reimbursed with, in company currency
+  getReimbursedAmount(expense) {
+    return expense.fx && isSet(expense.fx.settledAmount) ? expense.fx.settledAmount : expense.convertedAmount;
+  }
+
+  /**
+   * Collect eligible expenses into one scheduled batch per employee, each
+   * expense settled at the rate of the scheduled date or its statement rate.
+   * Limit to some employees with `employees`. Expenses still missing
+   * required accounting coding, or without a settlement rate, are left out,
+   * as are expenses another run batches at the same time.
+   * Returns { batches, uncoded, unsettled } where uncoded lists
+   * { expense, missingFields } and unsettled lists { expense, message }.
+   */
+  async createBatches(company, createdBy, { employees, scheduledDate } = {}) {
+    const query = this.getEligibleQuery(company._id);
+    if (employees && employees.length > 0) {
+      query.employee = { $in: employees };
+    }
+
+    const expenses = await Expense.find(query).sort({ expenseDate: 1 });
+    const date = scheduledDate ? new Date(scheduledDate) : new Date();
+
+    const uncoded = [];
+    const unsettled = [];
+    const settlements = new Map();
+    const byEmployee = new Map();
+    for (const expense of expenses) {
+      const missingFields = codingService.getMissingDimensions(expense, company);
+      if (missingFields.length > 0) {
+        uncoded.push({ expense: expense._id, missingFields });
+        continue;
+      }
+
+      try {
+        settlements.set(expense._id.toString(), this.settle(expense, await this.getSettlementRate(expense, date)));
+      } catch (error) {
+        if (!(error instanceof currencyService.ExchangeRateError)) throw error;
+        unsettled.push({ expense: expense._id, message: error.message });
+        continue;
+      }
+
+      const key = expense.employee.toString();
+      if (!byEmployee.has(key)) byEmployee.set(key, []);
+      byEmployee.get(key).push(expense);
+    }
+
+    const batches = [];
+    for (const [employeeId, employeeExpenses] of byEmployee) {
+      const batch = new PaymentBatch({
+        company: company._id,
+        employee: employeeId,
+        currency: company.currency,
+        scheduledDate: date,
+        createdBy: createdBy._id
+      });
+      this.setBatchExpenses(batch, employeeExpenses, settlements);
+      await batch.save();
+
+      // Claim the expenses only while they are still unbatched, so two runs
+      // at the same time cannot schedule an expense twice
+      const claim = await Expense.bulkWrite(employeeExpenses.map(expense => ({
+        updateOne: {
+          filter: {
+            _id: expense._id,
+            status: 'approved',
+            'reimbursement.status': { $in: ['unpaid', null] },
+            'reimbursement.batch': null
+          },
+          update: {
+            $set: {
+              'reimbursement.status': 'scheduled',
+              'reimbursement.batch': batch._id,
+              ...Object.fromEntries(Object.entries(settlements.get(expense._id.toString()))
+                .map(([field, value]) => [`fx.${field}`, value]))
+            }
+          }
+        }
+      })));
+
+      // Expenses another run batched meanwhile are left out of this batch
+      if (claim.matchedCount !== employeeExpenses.length) {
+        const claimed = await Expense.find({ _id: { $in: batch.expenses }, 'reimbursement.batch': batch._id })
+          .select('_id');
+        const claimedIds = new Set(claimed.map(expense => expense._id.toString()));
+        const kept = employeeExpenses.filter(expense => claimedIds.has(expense._id.toString()));
+
+        if (kept.length === 0) {
+          await batch.deleteOne();
+          continue;
+        }
+        this.setBatchExpenses(batch, kept, settlements);
+        await batch.save();
+      }
+
+      batches.push(batch);
+    }
+
+    return { batches, uncoded, unsettled };
+  }
+
+  // Set a batch's expenses and its totals from their settlements
+  setBatchExpenses(batch, expenses, settlements) {
+    const fx = expenses.map(expense => settlements.get(expense._id.toString()));
+    batch.expenses = expenses.map(expense => expense._id);
+    batch.totalAmount = moneyService.sum(fx.map(settlement => settlement.settledAmount), batch.currency);
+    batch.bookedAmount = moneyService.sum(expenses.map(expense => expense.convertedAmount), batch.currency);
+    batch.fxGainLoss = moneyService.sum(fx.map(settlement => settlement.gainLoss), batch.currency);
+  }
+
+  /**
+   * Move a batch on from the status it is expected to be in. The update
+   * only applies while the batch is still in that status, so of two
+   * concurrent changes one throws ReimbursementError with `message`.
+   * Returns the updated batch.
+   */
+  async changeStatus(batch, from, update, message) {
+    const updated = await PaymentBatch.findOneAndUpdate(
+      { _id: batch._id, status: from },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw new ReimbursementError(message, [`The batch is no longer ${from}`]);
+    }
+    return updated;
+  }
+
+  async markPaid(batch, user, { paymentReference, paymentDate }) {
+    const paid = await this.changeStatus(batch, 'scheduled', {
+      status: 'paid',
+      paymentReference,
+      paymentDate: paymentDate ? new Date(paymentDate) : new Date(),
+      processedBy: user._id
+    }, 'Only scheduled batches can be marked as paid');
+
+    await Expense.updateMany(
+      { _id: { $in: paid.expenses } },
+      { 'reimbursement.status': 'paid', 'reimbursement.paidAt': paid.paymentDate }
+    );
+    return paid;
+  }
+
+  async markFailed(batch, user, reason) {
+    const failed = await this.changeStatus(batch, 'scheduled', {
+      status: 'failed',
+      failureReason: reason,
+      processedBy: user._id
+    }, 'Only scheduled batches can be marked as failed');
+
+    await this.releaseExpenses(failed);
+    return failed;
+  }
+
+  /**
+   * Reverse a paid batch. Its realized FX differences must not be in a live
+   * accounting export, since the posted gain or loss would never be taken
+   * back; throws ReimbursementError naming the exports to void first.
+   */
+  async reverse(batch, user, reason) {
+    const posted = await Expense.find({
+      _id: { $in: batch.expenses },
+      'reimbursement.batch': batch._id,
+      fxExportedIn: { $ne: null }
+    }).select('fxExportedIn');
+    if (posted.length > 0) {
+      const exports = [...new Set(posted.map(expense => expense.fxExportedIn.toString()))];
+      throw new ReimbursementError(
+        'The FX gains or losses of this batch were exported to accounting',
+        exports.map(id => `Void accounting export ${id} before reversing the batch`)
+      );
+    }
+
+    const reversed = await this.changeStatus(batch, 'paid', {
+      status: 'reversed',
+      reversalReason: reason,
+      reversedAt: new Date(),
+      processedBy: user._id
+    }, 'Only paid batches can be reversed');
+
+    await this.releaseExpenses(reversed);
+    return reversed;
+  }
+
+  // Make the expenses of a failed or reversed batch eligible again
+  async releaseExpenses(batch) {
+    await Expense.updateMany(
+      { _id: { $in: batch.expenses }, 'reimbursement.batch': batch._id },
+      {
+        'reimbursement.status': 'unpaid',
+        'reimbursement.batch': null,
+        'reimbursement.paidAt': null,
+        // Settled again, possibly at another rate, when batched next, and
+        // that settlement's FX difference is exported afresh
+        'fx.settlementRate': null,
+        'fx.settlementRateDate': null,
+        'fx.settlementRateSource': null,
+        'fx.settledAmount': null,
+        'fx.gainLoss': null,
+        fxExportedIn: null
+      }
+    );
+  }
+
+  /**
+   * What an employee is owed and has been paid, in company currency.
+   * Owed covers both unbatched and scheduled expenses; batched expenses
+   * count at their settled amounts.
+   */
+  async getSummary(employeeId, companyId) {
+    const expenses = await Expense.find({
+      employee: employeeId,
+      company: companyId,
+      status: 'approved',
+      isReimbursable: true
+    })
+    .select('amount currency convertedAmount companyCurrency fx description expenseDate reimbursement')
+    .sort({ expenseDate: -1 });
+
+    const owed = expenses.filter(expense => !expense.reimbursement || expense.reimbursement.status !== 'paid');
+    const paid = expenses.filter(expense => expense.reimbursement && expense.reimbursement.status === 'paid');
+    const sum = list => moneyService.sum(
+      list.map(expense => this.getReimbursedAmount(expense)),
+      list.length > 0 ? list[0].companyCurrency : null
+    );
+
+    return {
+      owedAmount: sum(owed),
+      paidAmount: sum(paid),
+      owed,
+      paid
+    };
+  }
+}
+
+module.exports = new ReimbursementService();
+module.exports.ReimbursementError = ReimbursementError;
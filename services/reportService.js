@@ -0,0 +1,103 @@
+const Expense = require('../models/Expense');
+const moneyService = require('./moneyService');
+
+class ReportService {
+  /**
+   * Recalculate the totals of a report from its lines. Rejected lines are
+   * left out. Expenses without an amount yet (incomplete drafts) are ignored.
+   */
+  calculateTotals(report, expenses) {
+    const byCurrency = {};
+    const converted = [];
+
+    expenses
+      .filter(expense => expense.status !== 'rejected')
+      .forEach(expense => {
+        if (expense.amount !== undefined && expense.amount !== null && expense.currency) {
+          byCurrency[expense.currency] = [...(byCurrency[expense.currency] || []), expense.amount];
+        }
+        converted.push(expense.convertedAmount || 0);
+      });
+
+    report.totals = Object.entries(byCurrency).map(([currency, amounts]) => ({
+      currency,
+      amount: moneyService.sum(amounts, currency)
+    }));
+    report.convertedAmount = moneyService.sum(converted, report.companyCurrency);
+  }
+
+  async getLines(report) {
+    return Expense.find({ _id: { $in: report.expenses }, report: report._id }).session(report.$session());
+  }
+
+  /**
+   * Reject individual lines of a submitted report. `rejections` is a list of
+   * { expense, reason }. Returns the rejected expenses, or throws when a
+   * line does not belong to the report or was already decided.
+   */
+  async rejectLines(report, rejections, user, level, onBehalfOf = null) {
+    const lines = await this.getLines(report);
+    const rejected = [];
+
+    for (const rejection of rejections) {
+      const line = lines.find(l => l._id.toString() === rejection.expense.toString());
+      if (!line || line.status !== 'pending') {
+        throw new Error(`Expense ${rejection.expense} is not an open line of this report`);
+      }
+
+      line.status = 'rejected';
+      line.rejectionReason = rejection.reason;
+      line.rejectedBy.push({
+        user: user._id,
+        onBehalfOf,
+        level,
+        rejectedAt: new Date(),
+        reason: rejection.reason
+      });
+      rejected.push(line);
+    }
+
+    // One at a time: the lines share the report's transaction session
+    for (const line of rejected) {
+      await line.save();
+    }
+    this.calculateTotals(report, lines);
+
+    return rejected;
+  }
+
+  // Whether every line of the report has been rejected
+  async allLinesRejected(report) {
+    const openLines = await Expense.countDocuments({
+      _id: { $in: report.expenses },
+      report: report._id,
+      status: { $ne: 'rejected' }
+    }).session(report.$session());
+    return openLines === 0;
+  }
+
+  // Carry the final report decision, or a request for changes, over to the
+  // lines still open
+  async settleLines(report) {
+    if (!['approved', 'rejected', 'changes_requested'].includes(report.status)) {
+      return;
+    }
+
+    const lines = await this.getLines(report);
+    const openLines = lines.filter(line => line.status === 'pending');
+
+    for (const line of openLines) {
+      line.status = report.status;
+      line.currentApprover = null;
+      if (report.status === 'approved') {
+        line.approvedBy = report.approvedBy.map(entry => entry.toObject());
+      } else if (report.status === 'rejected') {
+        line.rejectionReason = report.rejectionReason;
+        line.rejectedBy = report.rejectedBy.map(entry => entry.toObject());
+      }
+      await line.save();
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,64 @@
+class RoutingEngine {
+  matchesConditions(conditions, expense, employee) {
+    if (!conditions) return true;
+
+    const amount = expense.convertedAmount;
+    const hasValues = list => Array.isArray(list) && list.length > 0;
+
+    if (conditions.minAmount !== null && conditions.minAmount !== undefined && amount < conditions.minAmount) {
+      return false;
+    }
+    if (conditions.maxAmount !== null && conditions.maxAmount !== undefined && amount >= conditions.maxAmount) {
+      return false;
+    }
+    if (hasValues(conditions.categories) && !conditions.categories.includes(expense.category)) {
+      return false;
+    }
+    if (hasValues(conditions.tags) && !(expense.tags || []).some(tag => conditions.tags.includes(tag))) {
+      return false;
+    }
+    if (hasValues(conditions.departments) && !conditions.departments.includes(employee.department)) {
+      return false;
+    }
+    if (hasValues(conditions.roles) && !conditions.roles.includes(employee.role)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Pick the route for an expense from the company routing rules.
+   * `expense` only needs convertedAmount, category and tags, so hypothetical
+   * expenses can be routed as well.
+   */
+  evaluate(expense, employee, company) {
+    const settings = company.settings || {};
+    const rules = (settings.routingRules || []).filter(rule => rule.isActive !== false);
+    const rule = rules.find(r => this.matchesConditions(r.conditions, expense, employee));
+
+    if (!rule) {
+      return { rule: null, chain: null, steps: null, skipSteps: [], autoApprove: false };
+    }
+
+    let steps = null;
+    if (rule.chain) {
+      const namedChain = (settings.approvalChains || []).find(c => c.name === rule.chain);
+      if (namedChain) {
+        steps = namedChain.steps;
+      } else {
+        console.error(`Routing rule "${rule.name}" references unknown approval chain "${rule.chain}"`);
+      }
+    }
+
+    return {
+      rule: rule.name,
+      chain: steps ? rule.chain : null,
+      steps,
+      skipSteps: rule.skipSteps || [],
+      autoApprove: !!rule.autoApprove
+    };
+  }
+}
+
+module.exports = new RoutingEngine();
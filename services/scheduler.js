@@ -0,0 +1,96 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+// A run that has not finished by then is assumed dead and may be retried
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * In-process job scheduler. Job state lives in the ScheduledJob collection:
+ * a job runs once its nextRunAt has passed, and only by the instance that
+ * claims its lock, so restarts and extra instances do not run it twice.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  register(name, intervalMinutes, handler) {
+    this.jobs.set(name, { intervalMinutes, handler });
+  }
+
+  async start() {
+    // Existing job state is kept, so a restart does not reset the schedule
+    for (const name of this.jobs.keys()) {
+      await ScheduledJob.updateOne(
+        { name },
+        { $setOnInsert: { name, nextRunAt: new Date() } },
+        { upsert: true }
+      );
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    await this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Run every job that is due and not claimed by another instance
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const [name, job] of this.jobs) {
+        const now = new Date();
+        const state = await ScheduledJob.findOneAndUpdate(
+          {
+            name,
+            nextRunAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+          },
+          {
+            lockedBy: this.instanceId,
+            lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS)
+          },
+          { new: true }
+        );
+
+        if (state) {
+          await this.runJob(state, job, now);
+        }
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runJob(state, job, startedAt) {
+    try {
+      state.lastResult = await job.handler(startedAt);
+      state.lastError = null;
+    } catch (error) {
+      console.error(`Scheduled job ${state.name} error:`, error);
+      state.lastError = error.message;
+    }
+
+    state.lastRunAt = startedAt;
+    state.nextRunAt = new Date(startedAt.getTime() + job.intervalMinutes * 60 * 1000);
+    state.runCount += 1;
+    state.lockedBy = null;
+    state.lockedUntil = null;
+    await state.save();
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,66 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const AccountingExport = require('../models/AccountingExport');
+const User = require('../models/User');
+const accountingExportService = require('../services/accountingExportService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const { AccountingExportError } = accountingExportService;
+
+const company = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Acme',
+  currency: 'USD',
+  settings: {
+    categories: [{ code: 'travel', name: 'Travel', isActive: true }],
+    accounting: { payableAccount: '2100' }
+  }
+};
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+let expense;
+
+beforeEach(async () => {
+  useMemoryModel(Expense);
+  useMemoryModel(AccountingExport);
+  useMemoryModel(User);
+
+  expense = new Expense({
+    company: company._id,
+    employee: new mongoose.Types.ObjectId(),
+    status: 'approved',
+    isReimbursable: true,
+    amount: 110,
+    currency: 'USD',
+    convertedAmount: 110,
+    companyCurrency: 'USD',
+    exchangeRate: 1,
+    category: 'travel',
+    description: 'Train to Boston',
+    expenseDate: new Date('2026-02-10'),
+    coding: { glAccount: '6000' }
+  });
+  await expense.save();
+});
+
+test('voiding an export releases its expenses for the next export', async () => {
+  const accountingExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  assert.equal(expense.exportedIn.toString(), accountingExport._id.toString());
+
+  const voided = await accountingExportService.voidExport(accountingExport, admin, 'Posted to the wrong period');
+  assert.equal(voided.status, 'voided');
+  assert.equal(voided.voidReason, 'Posted to the wrong period');
+  assert.equal(expense.exportedIn, null);
+
+  const nextExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  assert.deepEqual(nextExport.expenses.map(String), [expense._id.toString()]);
+});
+
+test('an export can only be voided once', async () => {
+  const accountingExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  await accountingExportService.voidExport(accountingExport, admin, 'Posted twice');
+
+  await assert.rejects(accountingExportService.voidExport(accountingExport, admin, 'Posted twice'), AccountingExportError);
+});
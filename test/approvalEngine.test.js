@@ -0,0 +1,200 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Approval = require('../models/Approval');
+const Delegation = require('../models/Delegation');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const approvalEngine = require('../services/approvalEngine');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const companyId = id();
+const manager = id();
+const financeLead = id();
+const controller = id();
+const auditor = id();
+
+let admin;
+let employee;
+let approvals;
+
+beforeEach(async () => {
+  useMemoryModel(User);
+  approvals = useMemoryModel(Approval);
+  useMemoryModel(Delegation);
+
+  admin = new User({ company: companyId, firstName: 'Ann', lastName: 'Admin', email: 'ann@example.com', role: 'admin', isActive: true });
+  await admin.save();
+  employee = { _id: id(), manager, department: 'Sales' };
+});
+
+const companyWith = (approvalChain, settings = {}) => ({
+  _id: companyId,
+  settings: { approvalChain, ...settings }
+});
+
+const summary = chain => chain.map(step => [step.level, step.type, step.approver && step.approver.toString(), step.status]);
+
+test('the default chain goes to the direct manager and then an administrator', async () => {
+  const chain = await approvalEngine.buildChain(employee, companyWith([]), null);
+
+  assert.deepEqual(summary(chain), [
+    [1, 'direct_manager', manager.toString(), 'waiting'],
+    [2, 'role', admin._id.toString(), 'waiting']
+  ]);
+});
+
+test('steps without an approver, back to the employee or repeating the previous approver are skipped', async () => {
+  const company = companyWith([
+    { type: 'direct_manager' },
+    { type: 'specific_user', user: manager },
+    { type: 'department_head' },
+    { type: 'specific_user', user: employee._id },
+    { type: 'finance' }
+  ], { departmentHeads: [{ department: 'Sales', user: financeLead }], financeApprover: financeLead });
+
+  const chain = await approvalEngine.buildChain(employee, company, null);
+
+  assert.deepEqual(chain.map(step => step.status), ['waiting', 'skipped', 'waiting', 'skipped', 'skipped']);
+});
+
+test('steps excluded by the routing rule are skipped', async () => {
+  const chain = await approvalEngine.buildChain(employee, companyWith([]), { skipSteps: ['direct_manager'] });
+
+  assert.deepEqual(chain.map(step => step.status), ['skipped', 'waiting']);
+});
+
+test('a group step leaves out the employee and caps its quorum at the members left', async () => {
+  const company = companyWith([{
+    type: 'group',
+    name: 'Finance committee',
+    users: [financeLead, controller, employee._id, controller],
+    quorum: { rule: 'count', count: 3, mandatory: [controller, employee._id] }
+  }]);
+
+  const [step] = await approvalEngine.buildChain(employee, company, null);
+
+  assert.equal(step.status, 'waiting');
+  assert.deepEqual(step.members.map(member => member.approver), [financeLead.toString(), controller.toString()]);
+  assert.equal(step.quorum.count, 2);
+  assert.deepEqual(step.quorum.mandatory.map(String), [controller.toString()]);
+});
+
+const groupStep = (quorum, statuses) => ({
+  quorum,
+  members: [financeLead, controller, auditor].map((approver, i) => ({ approver, status: statuses[i] }))
+});
+
+test('a group step is approved once its quorum is reached', () => {
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'any' }, ['approved', 'pending', 'pending'])), 'approved');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'all' }, ['approved', 'approved', 'pending'])), 'pending');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'count', count: 2 }, ['approved', 'pending', 'approved'])), 'approved');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'percentage', percentage: 50 }, ['approved', 'pending', 'pending'])), 'pending');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'percentage', percentage: 50 }, ['approved', 'approved', 'pending'])), 'approved');
+});
+
+test('a group step waits for its mandatory members and fails when they reject', () => {
+  const mandatory = { rule: 'any', mandatory: [auditor] };
+
+  assert.equal(approvalEngine.evaluateQuorum(groupStep(mandatory, ['approved', 'approved', 'pending'])), 'pending');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep(mandatory, ['approved', 'pending', 'approved'])), 'approved');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep(mandatory, ['approved', 'approved', 'rejected'])), 'rejected');
+});
+
+test('a group step is rejected once its quorum can no longer be reached', () => {
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'count', count: 2 }, ['rejected', 'pending', 'pending'])), 'pending');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'count', count: 2 }, ['rejected', 'rejected', 'pending'])), 'rejected');
+  assert.equal(approvalEngine.evaluateQuorum(groupStep({ rule: 'all' }, ['approved', 'rejected', 'pending'])), 'rejected');
+});
+
+// Manager, then a finance group where any member decides, then an admin
+const committeeChain = companyWith([
+  { type: 'direct_manager' },
+  { type: 'group', name: 'Finance', users: [financeLead, controller], quorum: { rule: 'any' } },
+  { type: 'role', role: 'admin' }
+]);
+
+const submit = async () => {
+  const expense = new Expense({
+    company: companyId,
+    employee: employee._id,
+    status: 'pending',
+    amount: 80,
+    currency: 'USD',
+    convertedAmount: 80,
+    category: 'travel',
+    description: 'Taxi to the airport',
+    expenseDate: new Date('2026-10-01')
+  });
+  const [first] = await approvalEngine.start(expense, employee, committeeChain);
+
+  first.status = 'approved';
+  const groupApprovals = await approvalEngine.recordApproval(expense, first, committeeChain);
+  return { expense, groupApprovals };
+};
+
+const sendBack = async (expense, approval) => {
+  approval.status = 'changes_requested';
+  await approvalEngine.requestChanges(expense, approval);
+};
+
+const pendingApprovers = () => approvals
+  .filter(approval => approval.status === 'pending')
+  .map(approval => [approval.level, approval.approver.toString()]);
+
+test('a resubmitted expense resumes at the step that asked for changes', async () => {
+  const { expense, groupApprovals } = await submit();
+  assert.deepEqual(pendingApprovers(), [[2, financeLead.toString()], [2, controller.toString()]]);
+
+  await sendBack(expense, groupApprovals[0]);
+  assert.equal(expense.status, 'changes_requested');
+  assert.equal(expense.approvalLevel, 2);
+  assert.deepEqual(pendingApprovers(), []);
+  assert.equal(groupApprovals[1].status, 'cancelled');
+  assert.deepEqual(expense.approvalChain[1].members.map(member => member.status), ['waiting', 'waiting']);
+
+  const resumed = await approvalEngine.resume(expense);
+
+  assert.equal(expense.status, 'pending');
+  assert.deepEqual(resumed.map(approval => approval.level), [2, 2]);
+  assert.deepEqual(pendingApprovers(), [[2, financeLead.toString()], [2, controller.toString()]]);
+  assert.deepEqual(expense.approvalChain.map(step => step.status), ['approved', 'active', 'waiting']);
+});
+
+test('a resumed step goes to the delegate of an approver who is away', async () => {
+  const { expense, groupApprovals } = await submit();
+  await sendBack(expense, groupApprovals[1]);
+
+  await new Delegation({
+    company: companyId,
+    delegator: controller,
+    delegate: auditor,
+    startDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+    endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    createdBy: controller
+  }).save();
+
+  const resumed = await approvalEngine.resume(expense);
+  const delegated = resumed.find(approval => approval.approver.toString() === auditor.toString());
+
+  assert.ok(delegated);
+  assert.equal(delegated.onBehalfOf.toString(), controller.toString());
+});
+
+test('changes asked at a single-approver step resume with that approver', async () => {
+  const { expense, groupApprovals } = await submit();
+  groupApprovals[0].status = 'approved';
+  const [adminApproval] = await approvalEngine.recordApproval(expense, groupApprovals[0], committeeChain);
+  assert.equal(adminApproval.approver.toString(), admin._id.toString());
+
+  await sendBack(expense, adminApproval);
+  assert.equal(expense.currentApprover, null);
+
+  const [resumed] = await approvalEngine.resume(expense);
+
+  assert.equal(resumed.level, 3);
+  assert.equal(expense.currentApprover.toString(), admin._id.toString());
+  assert.deepEqual(expense.approvalChain.map(step => step.status), ['approved', 'approved', 'active']);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Expense = require('../models/Expense');
+const codingService = require('../services/codingService');
+
+const company = {
+  settings: {
+    categories: [
+      { code: 'travel', name: 'Travel', glAccount: '6100', isActive: true },
+      { code: 'meals', name: 'Meals', glAccount: '6999', isActive: true }
+    ],
+    accounting: {
+      glAccounts: [{ code: '6100', isActive: true }, { code: '6200', isActive: true }, { code: '6999', isActive: false }],
+      departments: [{ code: 'SALES', costCenter: 'CC-10', isActive: true }],
+      costCenters: [{ code: 'CC-10', isActive: true }, { code: 'CC-20', isActive: true }],
+      projects: [],
+      requiredDimensions: ['glAccount', 'costCenter', 'project']
+    }
+  }
+};
+
+const newExpense = (fields = {}) => new Expense({ category: 'travel', ...fields });
+
+test('uncoded dimensions default to the category account and the department cost center', () => {
+  const expense = newExpense();
+
+  codingService.applyDefaults(expense, company, { department: 'SALES' });
+
+  assert.equal(expense.coding.glAccount, '6100');
+  assert.equal(expense.coding.department, 'SALES');
+  assert.equal(expense.coding.costCenter, 'CC-10');
+});
+
+test('defaults never replace a code and skip inactive codes', () => {
+  const expense = newExpense({ category: 'meals', coding: { costCenter: 'CC-20' } });
+
+  codingService.applyDefaults(expense, company, { department: 'SALES' });
+
+  assert.equal(expense.coding.glAccount, null);
+  assert.equal(expense.coding.costCenter, 'CC-20');
+});
+
+test('coding is applied only when every code is an active company code', () => {
+  const expense = newExpense();
+
+  const errors = codingService.applyCoding(expense, { glAccount: '6200', costCenter: 'CC-99', region: 'EU' }, company);
+
+  assert.deepEqual(errors.map(error => [error.path, error.msg]), [
+    ['coding.costCenter', '"CC-99" is not an active costCenter code'],
+    ['coding.region', 'Unknown accounting dimension "region"']
+  ]);
+  assert.equal(expense.coding.glAccount, null);
+
+  assert.deepEqual(codingService.applyCoding(expense, { glAccount: '6200', costCenter: 'CC-20' }, company), []);
+  assert.equal(expense.coding.glAccount, '6200');
+});
+
+test('only required dimensions the company has codes for are missing', () => {
+  const expense = newExpense({ coding: { glAccount: '6100' } });
+
+  assert.deepEqual(codingService.getMissingDimensions(expense, company), ['coding.costCenter']);
+});
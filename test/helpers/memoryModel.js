@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// In-memory stand-ins for the Mongoose model methods the services call, so
+// service flows can be tested without a MongoDB server. Queries support the
+// operators the services use.
+
+const valueOf = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const equals = (actual, expected) => {
+  if ((actual === undefined || actual === null) && expected === null) return true;
+  if (Array.isArray(actual)) return actual.some(item => equals(item, expected));
+  return valueOf(actual) === valueOf(expected);
+};
+
+const isOperatorObject = (value) => value && typeof value === 'object' &&
+  !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date) && !Array.isArray(value) &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+const matchesCondition = (actual, condition) => {
+  if (!isOperatorObject(condition)) return equals(actual, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case '$in': return expected.some(value => equals(actual, value));
+      case '$nin': return !expected.some(value => equals(actual, value));
+      case '$ne': return !equals(actual, expected);
+      case '$gt': return valueOf(actual) > valueOf(expected);
+      case '$gte': return valueOf(actual) >= valueOf(expected);
+      case '$lt': return valueOf(actual) < valueOf(expected);
+      case '$lte': return valueOf(actual) <= valueOf(expected);
+      case '$exists': return (actual !== undefined) === expected;
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, query) => Object.entries(query).every(([path, condition]) => {
+  if (path === '$or') return condition.some(part => matches(doc, part));
+  if (path === '$and') return condition.every(part => matches(doc, part));
+  return matchesCondition(doc.get(path), condition);
+});
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update.$set || update).forEach(([path, value]) => doc.set(path, value));
+};
+
+// Chainable like a Mongoose query; sort, select, populate, session and
+// collation are accepted and ignored
+const chain = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    populate: () => query,
+    session: () => query,
+    collation: () => query,
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+  return query;
+};
+
+/**
+ * Replace the query and write methods of a model with ones working on an
+ * in-memory list of its documents. Returns the list.
+ */
+const useMemoryModel = (Model) => {
+  const docs = [];
+  const find = query => docs.filter(doc => matches(doc, query));
+
+  Model.find = (query = {}) => chain(() => find(query));
+  Model.findOne = (query = {}) => chain(() => find(query)[0] || null);
+  Model.findById = id => chain(() => docs.find(doc => equals(doc._id, id)) || null);
+  Model.countDocuments = async (query = {}) => find(query).length;
+
+  Model.updateMany = async (query, update) => {
+    const matched = find(query);
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  };
+
+  // Returns the updated document, as with the `new` option
+  Model.findOneAndUpdate = async (query, update) => {
+    const doc = find(query)[0] || null;
+    if (doc) applyUpdate(doc, update);
+    return doc;
+  };
+
+  Model.bulkWrite = async (operations) => {
+    let matchedCount = 0;
+    operations.forEach(({ updateOne }) => {
+      const doc = find(updateOne.filter)[0];
+      if (!doc) return;
+      applyUpdate(doc, updateOne.update);
+      matchedCount += 1;
+    });
+    return { matchedCount, modifiedCount: matchedCount };
+  };
+
+  Model.create = async (fields) => new Model(fields).save();
+
+  Model.prototype.save = async function () {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  };
+
+  Model.prototype.deleteOne = async function () {
+    const index = docs.indexOf(this);
+    if (index >= 0) docs.splice(index, 1);
+  };
+
+  return docs;
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,99 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const mileageService = require('../services/mileageService');
+
+const { MileageError } = mileageService;
+
+// 45p a mile for the first 10,000 miles of the year, 25p after
+const carRate = {
+  vehicleType: 'car',
+  effectiveFrom: new Date('2026-01-01'),
+  currency: 'GBP',
+  unit: 'mi',
+  rate: 0.45,
+  tiers: [{ after: 10000, rate: 0.25 }]
+};
+
+const company = { settings: { mileageRates: [carRate] } };
+
+let yearToDate;
+
+beforeEach(() => {
+  yearToDate = 0;
+  mileageService.getYearToDateDistance = async () => yearToDate;
+});
+
+test('a trip below the first tier is paid at the base rate', () => {
+  assert.deepEqual(mileageService.applyTiers(carRate, 120, 500), [
+    { rate: 0.45, distance: 120, amount: 54 }
+  ]);
+});
+
+test('a trip crossing a tier is split at the distance already claimed this year', () => {
+  assert.deepEqual(mileageService.applyTiers(carRate, 250, 9900), [
+    { rate: 0.45, distance: 100, amount: 45 },
+    { rate: 0.25, distance: 150, amount: 37.5 }
+  ]);
+});
+
+test('tiers apply in distance order whatever order they are listed in', () => {
+  const rate = { rate: 0.5, currency: 'EUR', tiers: [{ after: 200, rate: 0.1 }, { after: 100, rate: 0.3 }] };
+
+  assert.deepEqual(mileageService.applyTiers(rate, 300, 0), [
+    { rate: 0.5, distance: 100, amount: 50 },
+    { rate: 0.3, distance: 100, amount: 30 },
+    { rate: 0.1, distance: 100, amount: 10 }
+  ]);
+});
+
+test('a mileage expense is priced in the unit of the rate from the year-to-date distance', async () => {
+  yearToDate = 9990;
+  const expense = new Expense({
+    employee: new mongoose.Types.ObjectId(),
+    kind: 'mileage',
+    expenseDate: new Date('2026-05-04'),
+    mileage: { distance: 32.18688, unit: 'km', vehicleType: 'car' }
+  });
+
+  await mileageService.applyToExpense(expense, company);
+
+  assert.equal(expense.currency, 'GBP');
+  assert.equal(expense.amount, 7);
+  assert.deepEqual(expense.mileage.rate.breakdown.map(part => [part.rate, part.distance, part.amount]), [
+    [0.45, 10, 4.5],
+    [0.25, 10, 2.5]
+  ]);
+});
+
+test('the distance is computed from the coordinates of the stops when not entered', async () => {
+  const expense = new Expense({
+    employee: new mongoose.Types.ObjectId(),
+    kind: 'mileage',
+    expenseDate: new Date('2026-05-04'),
+    mileage: {
+      unit: 'km',
+      vehicleType: 'car',
+      origin: { latitude: 51.5007, longitude: -0.1246 },
+      destination: { latitude: 51.7520, longitude: -1.2577 }
+    }
+  });
+
+  await mileageService.applyToExpense(expense, company);
+
+  assert.equal(expense.mileage.distanceSource, 'coordinates');
+  assert.ok(expense.mileage.distance > 80 && expense.mileage.distance < 85);
+  assert.ok(expense.amount > 0);
+});
+
+test('a trip before any rate is in force cannot be priced', async () => {
+  const expense = new Expense({
+    employee: new mongoose.Types.ObjectId(),
+    kind: 'mileage',
+    expenseDate: new Date('2025-12-31'),
+    mileage: { distance: 10, unit: 'mi', vehicleType: 'car' }
+  });
+
+  await assert.rejects(mileageService.applyToExpense(expense, company), MileageError);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const moneyService = require('../services/moneyService');
+
+test('amounts round half away from zero to the minor units of their currency', () => {
+  assert.equal(moneyService.round(1.005, 'USD'), 1.01);
+  assert.equal(moneyService.round(-1.005, 'USD'), -1.01);
+  assert.equal(moneyService.round(2.5, 'JPY'), 3);
+  assert.equal(moneyService.round(1.0005, 'KWD'), 1.001);
+  assert.equal(moneyService.toMinor(19.99, 'usd'), 1999);
+});
+
+test('totals are added up in minor units without floating-point error', () => {
+  assert.equal(moneyService.sum([0.1, 0.2], 'USD'), 0.3);
+  assert.equal(moneyService.sum([1.004, 1.004], 'EUR'), 2);
+  assert.equal(moneyService.sum([], 'EUR'), 0);
+});
+
+test('amounts are formatted with exactly the decimals of their currency', () => {
+  assert.equal(moneyService.format(5, 'KWD'), '5.000');
+  assert.equal(moneyService.format(1234.5, 'JPY'), '1235');
+  assert.equal(moneyService.format(12.3, 'EUR'), '12.30');
+});
+
+test('amounts with more decimals than their currency has are refused', () => {
+  assert.equal(moneyService.checkPrecision(1.5, 'jpy'), 'JPY amounts cannot have decimals');
+  assert.equal(moneyService.checkPrecision(1.234, 'EUR'), 'EUR amounts can have at most 2 decimals');
+  assert.equal(moneyService.checkPrecision(1.234, 'BHD'), null);
+  assert.equal(moneyService.checkPrecision(0.29, 'USD'), null);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ocrService = require('../services/ocrService');
+
+test('a symbol that is not a default currency is detected rather than replaced by the default', () => {
+  const detected = ocrService.detectCurrency('RAMEN ICHIRAN\nTotal ¥1,200', ['USD']);
+
+  assert.equal(detected.currency, 'JPY');
+  assert.equal(detected.source, 'detected');
+  assert.deepEqual(detected.candidates, ['JPY', 'CNY']);
+  assert.ok(detected.confidence > 0 && detected.confidence < 0.95);
+});
+
+test('decimals beside a shared symbol pick the currency they fit', () => {
+  const detected = ocrService.detectCurrency('Total ¥12.50', ['USD']);
+
+  assert.equal(detected.currency, 'CNY');
+  assert.equal(detected.source, 'detected');
+});
+
+test('a default currency among equally likely candidates is preferred', () => {
+  const detected = ocrService.detectCurrency('Total $12.50', ['CAD', 'USD']);
+
+  assert.equal(detected.currency, 'CAD');
+  assert.equal(detected.source, 'detected');
+});
+
+test('the receipt decimal separator breaks ties between candidates', () => {
+  const detected = ocrService.detectCurrency('Tip 3,00 USD\nCoffee 12,50 EUR', ['GBP']);
+
+  assert.equal(detected.currency, 'EUR');
+});
+
+test('the default currency is used with low confidence only when the receipt shows none', () => {
+  const detected = ocrService.detectCurrency('Total 12.50', ['USD']);
+
+  assert.equal(detected.currency, 'USD');
+  assert.equal(detected.source, 'default');
+  assert.deepEqual(detected.candidates, []);
+  assert.ok(detected.confidence > 0 && detected.confidence < 0.5);
+});
+
+test('VAT already in the prices is read as included when the items add up to the total', () => {
+  const text = [
+    'Bäckerei Müller',
+    'Brezel 2 x 1,50 3,00',
+    'Kaffee 2,90',
+    'Summe 5,90',
+    'MwSt 7% 0,39',
+    'Bar 10,00',
+    'Rückgeld 4,10'
+  ].join('\n');
+  const data = ocrService.parseReceiptData(text, undefined, { defaultCurrencies: ['EUR'] });
+
+  assert.equal(data.amount, 5.9);
+  assert.deepEqual(data.tax, [{ label: 'MwSt', rate: 7, amount: 0.39, included: true }]);
+  assert.equal(data.itemsMatchSubtotal, true);
+  assert.equal(data.confidence.amount, 0.95);
+});
+
+test('VAT added to a subtotal stays excluded', () => {
+  const text = ['Shop', 'Item A 10.00', 'Item B 5.00', 'Subtotal 15.00', 'VAT 20% 3.00', 'Total 18.00'].join('\n');
+  const data = ocrService.parseReceiptData(text, undefined, { defaultCurrencies: ['GBP'] });
+
+  assert.deepEqual(data.tax, [{ label: 'VAT', rate: 20, amount: 3, included: false }]);
+  assert.equal(data.itemsMatchSubtotal, true);
+  assert.equal(data.confidence.amount, 0.95);
+});
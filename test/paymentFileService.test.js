@@ -0,0 +1,87 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const paymentFileService = require('../services/paymentFileService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+process.env.DATA_ENCRYPTION_KEY = process.env.DATA_ENCRYPTION_KEY || 'test-encryption-key';
+
+const company = {
+  name: 'Acme',
+  currency: 'USD',
+  paymentSettings: {
+    iban: 'DE89370400440532013000',
+    achImmediateDestination: '021000021',
+    achOriginatingDfi: '02100002',
+    achCompanyId: '1234567890'
+  }
+};
+
+let employee;
+
+beforeEach(async () => {
+  useMemoryModel(User);
+  employee = new User({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' });
+  employee.setBankAccount({ routingNumber: '011000015', accountNumber: '000123456789', iban: 'GB82WEST12345698765432' });
+  await employee.save();
+});
+
+const scheduledBatch = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  employee: employee._id,
+  status: 'scheduled',
+  currency: 'USD',
+  totalAmount: 125.5,
+  ...fields
+});
+
+test('IBANs are checked against their mod-97 check digits', () => {
+  assert.equal(paymentFileService.isValidIban('GB82 WEST 1234 5698 7654 32'), true);
+  assert.equal(paymentFileService.isValidIban('de89370400440532013000'), true);
+  assert.equal(paymentFileService.isValidIban('GB82WEST12345698765433'), false);
+  assert.equal(paymentFileService.isValidIban('GB82WEST123'), false);
+  assert.equal(paymentFileService.isValidIban(null), false);
+});
+
+test('ABA routing numbers are checked against their 3-7-1 checksum', () => {
+  assert.equal(paymentFileService.isValidRoutingNumber('021000021'), true);
+  assert.equal(paymentFileService.isValidRoutingNumber('011000015'), true);
+  assert.equal(paymentFileService.isValidRoutingNumber('021000022'), false);
+  assert.equal(paymentFileService.isValidRoutingNumber('02100002'), false);
+  assert.equal(paymentFileService.isValidRoutingNumber('02100002a'), false);
+});
+
+test('an ACH file has fixed-length records, blocked in tens, with the entry hash and total', async () => {
+  const { content } = await paymentFileService.generate('nacha', [scheduledBatch()], company, { executionDate: '2026-10-20' });
+  const records = content.trimEnd().split('\n');
+
+  assert.equal(records.length, 10);
+  assert.ok(records.every(record => record.length === 94));
+
+  const entry = records.find(record => record.startsWith('6'));
+  assert.equal(entry.slice(3, 12), '011000015');
+  assert.equal(entry.slice(29, 39), '0000012550');
+
+  const batchControl = records.find(record => record.startsWith('8'));
+  assert.equal(batchControl.slice(10, 20), '0001100001');
+  assert.equal(batchControl.slice(32, 44), '000000012550');
+});
+
+test('a payment file is refused with every invalid account listed', async () => {
+  employee.setBankAccount({ routingNumber: '021000022', iban: 'GB82WEST12345698765433' });
+
+  await assert.rejects(
+    paymentFileService.generate('nacha', [scheduledBatch({ status: 'paid' })], company),
+    (error) => {
+      assert.equal(error.name, 'PaymentFileError');
+      assert.ok(error.errors.some(message => /only scheduled batches can be paid/.test(message)));
+      assert.ok(error.errors.includes('Routing number for Ada Lovelace is missing or invalid'));
+      return true;
+    }
+  );
+  await assert.rejects(
+    paymentFileService.generate('pain001', [scheduledBatch()], company),
+    { errors: ['IBAN for Ada Lovelace is missing or invalid'] }
+  );
+});
@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const PerDiemRate = require('../models/PerDiemRate');
+const perDiemService = require('../services/perDiemService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const { PerDiemError } = perDiemService;
+
+const company = {
+  _id: new mongoose.Types.ObjectId(),
+  settings: {
+    perDiem: {
+      travelDayPercentage: 75,
+      mealDeductions: { breakfast: 20, lunch: 30, dinner: 50 }
+    }
+  }
+};
+
+let rates;
+
+beforeEach(async () => {
+  rates = useMemoryModel(PerDiemRate);
+  await PerDiemRate.create({
+    company: company._id, country: 'FR', currency: 'EUR', lodging: 150, mie: 80, effectiveFrom: new Date('2026-01-01')
+  });
+  await PerDiemRate.create({
+    company: company._id, country: 'FR', city: 'Paris', currency: 'EUR', lodging: 200, mie: 100, effectiveFrom: new Date('2026-01-01')
+  });
+});
+
+const paris = {
+  country: 'FR',
+  city: 'Paris',
+  departureDate: new Date('2026-03-10'),
+  returnDate: new Date('2026-03-12'),
+  providedMeals: [{ date: new Date('2026-03-11'), lunch: true }]
+};
+
+test('travel days are prorated, provided meals deducted and the last night has no lodging', () => {
+  const { days, currency } = perDiemService.calculateDays(paris, rates, company);
+
+  assert.equal(currency, 'EUR');
+  assert.deepEqual(days.map(day => [day.mie, day.deductions, day.lodging, day.amount]), [
+    [75, 0, 200, 275],
+    [100, 30, 200, 270],
+    [75, 0, 0, 75]
+  ]);
+});
+
+test('a city without its own rate gets the country rate', () => {
+  const { days } = perDiemService.calculateDays({ ...paris, city: 'Lyon', providedMeals: [] }, rates, company);
+
+  assert.deepEqual(days.map(day => day.amount), [210, 230, 60]);
+});
+
+test('a trip day without a rate fails with the destination and date', () => {
+  assert.throws(
+    () => perDiemService.calculateDays({ ...paris, departureDate: new Date('2025-12-31') }, rates, company),
+    { name: 'PerDiemError', message: 'No per-diem rate is configured for Paris, FR on 2025-12-31' }
+  );
+  assert.throws(
+    () => perDiemService.calculateDays({ ...paris, returnDate: new Date('2026-03-09') }, rates, company),
+    PerDiemError
+  );
+});
+
+test('a per-diem expense is priced from the stored rates', async () => {
+  const expense = new Expense({ company: company._id, kind: 'per_diem', perDiem: paris });
+
+  await perDiemService.applyToExpense(expense, company);
+
+  assert.equal(expense.amount, 620);
+  assert.equal(expense.currency, 'EUR');
+  assert.equal(expense.perDiem.days.length, 3);
+  assert.equal(expense.expenseDate.toISOString().slice(0, 10), '2026-03-10');
+});
+
+test('rate files read quoted fields and CRLF line endings', () => {
+  const text = [
+    'country,city,currency,lodging,mie,effectiveFrom',
+    'RE,"Saint-Denis, ""La Réunion""",eur,120,60,2026-01-01',
+    '',
+    'fr,,EUR,160,85,2026-07-01'
+  ].join('\r\n');
+
+  const parsed = perDiemService.parseRates(text);
+
+  assert.equal(parsed.length, 2);
+  assert.equal(parsed[0].city, 'Saint-Denis, "La Réunion"');
+  assert.equal(parsed[0].currency, 'EUR');
+  assert.equal(parsed[1].country, 'FR');
+  assert.equal(parsed[1].city, null);
+  assert.equal(parsed[1].mie, 85);
+});
+
+test('a rate file is refused with every invalid line listed', () => {
+  const text = 'country,currency,lodging,mie,effectiveFrom,effectiveTo\nFRA,EUR,-1,80,2026-01-01,2025-01-01\nFR,EUR,150,,soon,\n';
+
+  assert.throws(() => perDiemService.parseRates(text), (error) => {
+    assert.ok(error instanceof PerDiemError);
+    assert.deepEqual(error.errors, [
+      'Line 2: country must be a two-letter ISO code',
+      'Line 2: lodging must be a positive number',
+      'Line 2: effectiveTo must be on or after effectiveFrom',
+      'Line 3: mie is required',
+      'Line 3: effectiveFrom must be a date (YYYY-MM-DD)'
+    ]);
+    return true;
+  });
+  assert.throws(() => perDiemService.parseRates('country,city\nFR,Paris'), { message: 'The rate file is missing required columns' });
+});
+
+test('importing replaces the rate with the same destination and date and adds the others', async () => {
+  const text = 'country,city,currency,lodging,mie,effectiveFrom\nFR,,EUR,155,82,2026-01-01\nFR,Nice,EUR,170,90,2026-01-01\n';
+
+  const { created, updated } = await perDiemService.importRates(company._id, text);
+
+  assert.equal(updated.length, 1);
+  assert.equal(updated[0].before.lodging, 150);
+  assert.equal(updated[0].rate.lodging, 155);
+  assert.deepEqual(created.map(rate => rate.city), ['Nice']);
+  assert.equal(rates.length, 3);
+});
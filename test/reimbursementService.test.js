@@ -0,0 +1,137 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const PaymentBatch = require('../models/PaymentBatch');
+const AccountingExport = require('../models/AccountingExport');
+const User = require('../models/User');
+const currencyService = require('../services/currencyService');
+const reimbursementService = require('../services/reimbursementService');
+const accountingExportService = require('../services/accountingExportService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const { ReimbursementError } = reimbursementService;
+
+const company = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Acme',
+  currency: 'USD',
+  settings: {
+    categories: [{ code: 'travel', name: 'Travel', isActive: true }],
+    accounting: { payableAccount: '2100', fxGainAccount: '7100', fxLossAccount: '7200' }
+  }
+};
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+let expenses;
+let rate;
+
+beforeEach(() => {
+  expenses = useMemoryModel(Expense);
+  useMemoryModel(PaymentBatch);
+  useMemoryModel(AccountingExport);
+  useMemoryModel(User);
+  currencyService.getRate = async () => ({ rate, date: new Date('2026-03-01'), source: 'test' });
+});
+
+// EUR 100 booked at 1.10, i.e. USD 110 owed to the employee
+const addExpense = async () => {
+  const expense = new Expense({
+    company: company._id,
+    employee: new mongoose.Types.ObjectId(),
+    status: 'approved',
+    isReimbursable: true,
+    amount: 100,
+    currency: 'EUR',
+    convertedAmount: 110,
+    companyCurrency: 'USD',
+    exchangeRate: 1.1,
+    category: 'travel',
+    description: 'Train to Paris',
+    expenseDate: new Date('2026-02-10'),
+    coding: { glAccount: '6000' }
+  });
+  await expense.save();
+  return expense;
+};
+
+const payAt = async (settlementRate) => {
+  rate = settlementRate;
+  const { batches } = await reimbursementService.createBatches(company, admin);
+  assert.equal(batches.length, 1);
+  return reimbursementService.markPaid(batches[0], admin, { paymentReference: 'PAY-1' });
+};
+
+const fxEntries = (accountingExport) =>
+  JSON.parse(accountingExport.content).entries.filter(entry => entry.type === 'fx');
+
+test('a batch whose FX difference was exported cannot be reversed until the export is voided', async () => {
+  const expense = await addExpense();
+  const batch = await payAt(1.05);
+  assert.equal(expense.fx.gainLoss, 5);
+
+  const accountingExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  assert.equal(expense.fxExportedIn.toString(), accountingExport._id.toString());
+
+  await assert.rejects(reimbursementService.reverse(batch, admin, 'Returned by the bank'), ReimbursementError);
+  assert.equal(batch.status, 'paid');
+  assert.equal(expense.reimbursement.status, 'paid');
+  assert.equal(expense.fx.gainLoss, 5);
+});
+
+test('a reversed and repaid expense exports the FX difference of its new settlement', async () => {
+  const expense = await addExpense();
+  const firstBatch = await payAt(1.05);
+  const firstExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  assert.deepEqual(fxEntries(firstExport).map(entry => entry.lines[0].account), ['2100']);
+
+  await accountingExportService.voidExport(firstExport, admin, 'Payment reversed');
+  await reimbursementService.reverse(firstBatch, admin, 'Returned by the bank');
+  assert.equal(expense.reimbursement.status, 'unpaid');
+  assert.equal(expense.fx.gainLoss, null);
+  assert.equal(expense.fxExportedIn, null);
+
+  // Paid again at a worse rate: a loss of 5 instead of the voided gain
+  await payAt(1.15);
+  assert.equal(expense.fx.settledAmount, 115);
+  assert.equal(expense.fx.gainLoss, -5);
+
+  const secondExport = await accountingExportService.createExport(company, admin, { format: 'journal_json' });
+  assert.deepEqual(secondExport.fxExpenses.map(String), [expense._id.toString()]);
+  assert.equal(secondExport.fxGainLoss, -5);
+  assert.equal(expense.fxExportedIn.toString(), secondExport._id.toString());
+
+  const [entry] = fxEntries(secondExport);
+  assert.deepEqual(entry.lines.map(line => [line.account, line.debit, line.credit]), [
+    ['7200', 5, 0],
+    ['2100', 0, 5]
+  ]);
+});
+
+test('a failed batch releases its expenses for the next batch', async () => {
+  const expense = await addExpense();
+  rate = 1.05;
+  const { batches } = await reimbursementService.createBatches(company, admin);
+  await reimbursementService.markFailed(batches[0], admin, 'Invalid IBAN');
+
+  assert.equal(expense.reimbursement.status, 'unpaid');
+  assert.equal(expense.reimbursement.batch, null);
+  assert.equal(expense.fx.settledAmount, null);
+
+  const batch = await payAt(1.1);
+  assert.deepEqual(batch.expenses.map(String), [expense._id.toString()]);
+  assert.equal(expense.fx.gainLoss, 0);
+});
+
+test('a batch changes status only from the status it is expected to be in', async () => {
+  await addExpense();
+  const batch = await payAt(1.05);
+
+  await assert.rejects(reimbursementService.markPaid(batch, admin, { paymentReference: 'PAY-2' }), ReimbursementError);
+  await assert.rejects(reimbursementService.markFailed(batch, admin, 'Invalid IBAN'), ReimbursementError);
+  assert.equal(batch.status, 'paid');
+  assert.equal(batch.paymentReference, 'PAY-1');
+
+  await reimbursementService.reverse(batch, admin, 'Returned by the bank');
+  await assert.rejects(reimbursementService.reverse(batch, admin, 'Returned by the bank'), ReimbursementError);
+});